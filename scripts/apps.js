@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+const {
+  parseArgs,
+  configOrExit,
+  timeZoneOrExit,
+  fail,
+  openDatabaseOrExit,
+} = require("./lib/cli");
+const {
+  zonedParts,
+  parseTimestamp,
+  formatDate,
+  friendlyAppName,
+  appInfo,
+  isKnownApp,
+  appRegistryPath,
+  historyApps,
+  resolveAppIcon,
+  iconDirSettings,
+} = require("./lib");
+const fs = require("fs");
+
+// --- Config ---
+const { flags, positional } = parseArgs(process.argv.slice(2));
+const [command = "list"] = positional;
+if (command !== "list" && command !== "icons") fail("Usage: apps.js list [--unknown] [--json]\n       apps.js icons [--json]");
+const config = configOrExit(flags);
+const tz = timeZoneOrExit(flags.tz, config);
+const registryPath = appRegistryPath(config);
+
+// --- Apps ---
+const db = openDatabaseOrExit(flags, config);
+const seen = historyApps(db);
+db.close();
+
+const apps = seen
+  .filter((a) => !flags.unknown || !isKnownApp(a.app))
+  .map((a) => ({
+    bundleId: a.app,
+    name: friendlyAppName(a.app),
+    known: isKnownApp(a.app),
+    category: (appInfo(a.app) && appInfo(a.app).category) || null,
+    dictations: a.count,
+    words: a.words,
+    firstUsed: parseTimestamp(a.first).toISOString(),
+    lastUsed: parseTimestamp(a.last).toISOString(),
+  }));
+
+// --- Icons ---
+// Resolving an icon here downloads or extracts it into the cache, which
+// reports only read from, so this also gets every report ready to work offline
+if (command === "icons") {
+  const SOURCES = {
+    user: "your icons folder",
+    bundled: "bundled",
+    registry: "registry (inline)",
+    downloaded: "downloaded now",
+    cache: "cache",
+    app: "installed app",
+    remote: "remote only (not inlined)",
+  };
+  const icons = apps.map((a) => ({ bundleId: a.bundleId, name: a.name, source: resolveAppIcon(a.bundleId, { fetch: true }).source }));
+  if (flags.json) {
+    console.log(JSON.stringify({ ...iconDirSettings(config), icons }, null, 2));
+    process.exit(0);
+  }
+  const out = ["\n# Wispr Flow App Icons\n", "| App | Bundle ID | Icon |", "|-----|-----------|------|"];
+  for (const i of icons) out.push(`| ${i.name} | ${i.bundleId} | ${SOURCES[i.source] || "none"} |`);
+  const { user } = iconDirSettings(config);
+  out.push("", `Add your own as ${user}/<bundle ID>.png`, "");
+  console.log(out.join("\n"));
+  process.exit(0);
+}
+
+// --- Output ---
+if (flags.json) {
+  console.log(JSON.stringify({ registry: registryPath, apps }, null, 2));
+  process.exit(0);
+}
+
+const day = (instant) => formatDate(zonedParts(instant, tz).date, { month: "short", day: "numeric", year: "numeric" });
+const registryNote = `Registry: ${registryPath}${fs.existsSync(registryPath) ? "" : " (not created yet)"}`;
+
+if (flags.unknown && apps.length === 0) {
+  console.log(`Every app in your history is in the registry.\n${registryNote}`);
+  process.exit(0);
+}
+
+const out = [`\n# Wispr Flow Apps${flags.unknown ? " — not in the registry" : ""}\n`];
+if (flags.unknown) {
+  out.push(`${apps.length} bundle ID${apps.length === 1 ? " has" : "s have"} no name yet, so recaps show a guess from the ID.\n`);
+  out.push("| Bundle ID | Shown as | Dictations | Last used |", "|-----------|----------|------------|-----------|");
+  for (const a of apps) out.push(`| ${a.bundleId} | ${a.name} | ${a.dictations.toLocaleString()} | ${day(a.lastUsed)} |`);
+  // Starting point for the registry file, with the guesses filled in
+  const template = Object.fromEntries(apps.map((a) => [a.bundleId, { name: a.name }]));
+  out.push("", `Name them in ${registryPath}, e.g.\n`, "```json", JSON.stringify(template, null, 2), "```", "");
+} else {
+  out.push("| App | Bundle ID | Category | Dictations | Last used |", "|-----|-----------|----------|------------|-----------|");
+  for (const a of apps) {
+    out.push(`| ${a.name}${a.known ? "" : " (guessed)"} | ${a.bundleId} | ${a.category || "—"} | ${a.dictations.toLocaleString()} | ${day(a.lastUsed)} |`);
+  }
+  out.push("", registryNote, "");
+}
+console.log(out.join("\n"));
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { once } = require("events");
+const { parseArgs, configOrExit, timeZoneOrExit, appFiltersOrExit, fail, requireDate, openDatabaseOrExit } = require("./lib/cli");
+const { expandPath, iterateHistory, createExporter, EXPORT_FORMATS } = require("./lib");
+
+// --- Config ---
+const { flags } = parseArgs(process.argv.slice(2));
+const config = configOrExit(flags);
+const tz = timeZoneOrExit(flags.tz, config);
+const filters = appFiltersOrExit(flags);
+const range = {
+  start: requireDate(flags.from, "from"),
+  end: requireDate(flags.to, "to"),
+};
+if (range.start > range.end) fail("--from must be on or before --to");
+
+const outFile = typeof flags.out === "string" ? expandPath(flags.out) : null;
+// --format wins; otherwise go by --out's extension, defaulting to CSV
+const format =
+  typeof flags.format === "string" ? flags.format : outFile && /\.(ndjson|jsonl)$/i.test(outFile) ? "ndjson" : "csv";
+if (!EXPORT_FORMATS.includes(format)) fail(`--format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+const exporter = createExporter(format, { tz, text: !flags["no-text"] });
+
+// --- Export ---
+async function main() {
+  const db = openDatabaseOrExit(flags, config);
+  const out = outFile ? fs.createWriteStream(outFile) : process.stdout;
+  out.on("error", (e) => {
+    // Piped into head or similar, which stopped reading
+    if (e.code === "EPIPE") process.exit(0);
+    fail(`Could not write export: ${e.message}`);
+  });
+
+  // Rows stream out of SQLite and wait on the output when it's backed up,
+  // so memory stays flat however large the range is
+  let count = 0;
+  if (exporter.header) out.write(exporter.header);
+  for (const r of iterateHistory(db, { ...range, tz, filters })) {
+    if (!out.write(exporter.line(r))) await once(out, "drain");
+    count++;
+  }
+  db.close();
+
+  if (outFile) {
+    out.end();
+    await once(out, "finish");
+    console.error(`Exported ${count} dictations to: ${outFile}`);
+  }
+}
+
+main().catch((e) => fail(e.message));
@@ -0,0 +1,323 @@
+// Aggregations over History rows. Every function takes the rows returned by
+// queryHistory and returns plain data the renderers can format.
+
+const { friendlyAppName, showsTranscripts } = require("./apps");
+const { isBrowser, siteName } = require("./sites");
+const { dictationWPM } = require("./pace");
+const { DAY_NAMES, dayOfWeek, eachDay } = require("./dates");
+const { formatHour, formatClock, formatDate, truncate } = require("./format");
+const { localize } = require("./timezone");
+
+function hourOf(r) {
+  return localize(r).localHour;
+}
+
+function dayOf(r) {
+  return localize(r).localDate;
+}
+
+function summarize(rows) {
+  return {
+    totalDictations: rows.length,
+    totalWords: rows.reduce((sum, r) => sum + (r.numWords || 0), 0),
+    totalDuration: rows.reduce((sum, r) => sum + (r.duration || 0), 0),
+    uniqueApps: new Set(rows.map((r) => r.app).filter(Boolean)).size,
+  };
+}
+
+// [[appName, { count, words, bundleId, sites? }], ...] ranked by dictation
+// count. Browsers get sites, [[siteName, { count, words }], ...] ranked the
+// same way, for the dictations whose url has a host.
+function appBreakdown(rows) {
+  const appMap = {};
+  for (const r of rows) {
+    const bundleId = r.app || "Unknown";
+    const appName = friendlyAppName(bundleId);
+    if (!appMap[appName]) appMap[appName] = { count: 0, words: 0, bundleId, ...(isBrowser(bundleId) ? { sites: {} } : {}) };
+    const app = appMap[appName];
+    app.count++;
+    app.words += r.numWords || 0;
+    const site = app.sites && siteName(r.url);
+    if (site) {
+      if (!app.sites[site]) app.sites[site] = { count: 0, words: 0 };
+      app.sites[site].count++;
+      app.sites[site].words += r.numWords || 0;
+    }
+  }
+  for (const app of Object.values(appMap)) {
+    if (app.sites) app.sites = Object.entries(app.sites).sort((a, b) => b[1].count - a[1].count);
+  }
+  return Object.entries(appMap).sort((a, b) => b[1].count - a[1].count);
+}
+
+// { hour: count } for hours with at least one dictation
+function hourBreakdown(rows) {
+  const hourMap = {};
+  for (const r of rows) {
+    const hour = hourOf(r);
+    hourMap[hour] = (hourMap[hour] || 0) + 1;
+  }
+  return hourMap;
+}
+
+// [hour, count] of the busiest hour, or null for an empty map
+function peakHour(hourMap) {
+  return Object.entries(hourMap).sort((a, b) => b[1] - a[1])[0] || null;
+}
+
+// One entry per calendar day from start to end, including days with no
+// dictations; apps lists the bundle IDs used that day
+function dayBreakdown(rows, { start, end }) {
+  const dayMap = {};
+  for (const r of rows) {
+    const day = dayOf(r);
+    if (!dayMap[day]) dayMap[day] = { count: 0, words: 0, duration: 0, apps: new Set() };
+    dayMap[day].count++;
+    dayMap[day].words += r.numWords || 0;
+    dayMap[day].duration += r.duration || 0;
+    if (r.app) dayMap[day].apps.add(r.app);
+  }
+
+  return eachDay(start, end).map((date) => {
+    const dow = dayOfWeek(date);
+    const data = dayMap[date] || { count: 0, words: 0, duration: 0, apps: new Set() };
+    return {
+      date,
+      dayOfWeek: dow,
+      dayName: DAY_NAMES[dow],
+      dayNum: Number(date.slice(8, 10)),
+      count: data.count,
+      words: data.words,
+      duration: data.duration,
+      appCount: data.apps.size,
+      apps: [...data.apps],
+    };
+  });
+}
+
+// Day with the most dictations (earliest wins ties), or null if there were none
+function busiestDay(days) {
+  const best = days.reduce((best, d) => (d.count > best.count ? d : best), days[0]);
+  return best && best.count > 0 ? best : null;
+}
+
+// Runs of consecutive days that pass `qualifies` (default: any dictation).
+// Days that pass `skip` neither extend nor break a run, e.g. weekends for a
+// weekday streak. Returns { current, longest } as { length, start, end } or
+// null: current is the run still going on the last day, longest the longest.
+function findStreaks(days, { qualifies = (d) => d.count > 0, skip = () => false } = {}) {
+  let longest = null;
+  let run = null;
+  for (const d of days) {
+    if (skip(d)) continue;
+    if (!qualifies(d)) {
+      run = null;
+      continue;
+    }
+    run = run ? { ...run, length: run.length + 1, end: d.date } : { length: 1, start: d.date, end: d.date };
+    if (!longest || run.length > longest.length) longest = run;
+  }
+  return { current: run, longest };
+}
+
+// Longest run of consecutive days with at least one dictation:
+// { length, start, end }, or null if no day was active
+function longestStreak(days) {
+  return findStreaks(days).longest;
+}
+
+// Dictation counts per weekday, reordered Mon–Sun for display
+function dayOfWeekBreakdown(days) {
+  const dowAggregate = [0, 0, 0, 0, 0, 0, 0]; // Sun=0 .. Sat=6
+  for (const d of days) {
+    dowAggregate[d.dayOfWeek] += d.count;
+  }
+  return {
+    dowLabels: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    dowValues: [1, 2, 3, 4, 5, 6, 0].map((i) => dowAggregate[i]),
+  };
+}
+
+// Group days into Monday-starting weeks, labelled by their first day in range
+function weekBreakdown(days) {
+  const weeks = [];
+  for (const d of days) {
+    if (weeks.length === 0 || d.dayOfWeek === 1) {
+      weeks.push({ startDate: d.date, count: 0, words: 0, apps: new Set() });
+    }
+    const w = weeks[weeks.length - 1];
+    w.count += d.count;
+    w.words += d.words;
+    for (const a of d.apps) w.apps.add(a);
+  }
+  return weeks.map((w) => ({
+    label: `Week of ${formatDate(w.startDate, { month: "short", day: "numeric" })}`,
+    startDate: w.startDate,
+    count: w.count,
+    words: w.words,
+    appCount: w.apps.size,
+  }));
+}
+
+// Group days into calendar months
+function monthBreakdown(days) {
+  const months = [];
+  for (const d of days) {
+    const key = d.date.slice(0, 7);
+    if (months.length === 0 || months[months.length - 1].month !== key) {
+      months.push({ month: key, startDate: d.date, count: 0, words: 0, apps: new Set() });
+    }
+    const m = months[months.length - 1];
+    m.count += d.count;
+    m.words += d.words;
+    for (const a of d.apps) m.apps.add(a);
+  }
+  return months.map((m) => ({
+    label: formatDate(m.startDate, { month: "short", year: "numeric" }),
+    month: m.month,
+    startDate: m.startDate,
+    count: m.count,
+    words: m.words,
+    appCount: m.apps.size,
+  }));
+}
+
+// Calendar quarters of a year with totals and their top apps
+function quarterBreakdown(rows, year, { topApps = 3 } = {}) {
+  const quarters = [1, 2, 3, 4].map((q) => ({
+    quarter: q,
+    label: `Q${q}`,
+    start: `${year}-${String(q * 3 - 2).padStart(2, "0")}-01`,
+    rows: [],
+  }));
+  for (const r of rows) {
+    const month = Number(dayOf(r).slice(5, 7));
+    quarters[Math.floor((month - 1) / 3)].rows.push(r);
+  }
+  return quarters.map(({ rows: qRows, ...q }) => ({
+    ...q,
+    ...summarize(qRows),
+    topApps: appBreakdown(qRows).slice(0, topApps),
+  }));
+}
+
+// Pick a chart granularity that keeps the number of bars readable:
+// days up to a month, weeks up to ~6 months, months beyond that
+function periodBreakdown(days) {
+  if (days.length <= 31) {
+    return {
+      granularity: "day",
+      periods: days.map((d) => ({
+        label: formatDate(d.date, { month: "short", day: "numeric" }),
+        startDate: d.date,
+        count: d.count,
+        words: d.words,
+        appCount: d.appCount,
+      })),
+    };
+  }
+  if (days.length <= 26 * 7) return { granularity: "week", periods: weekBreakdown(days) };
+  return { granularity: "month", periods: monthBreakdown(days) };
+}
+
+// Active-day averages (days with zero dictations don't drag the average down)
+function dailyAverages(days, { totalDictations, totalWords }) {
+  const activeDays = days.filter((d) => d.count > 0).length;
+  return {
+    activeDays,
+    avgDictationsPerDay: activeDays > 0 ? Math.round(totalDictations / activeDays) : 0,
+    avgWordsPerDay: activeDays > 0 ? Math.round(totalWords / activeDays) : 0,
+  };
+}
+
+// { appName: [formattedText, ...] } for topic summaries; null in place of
+// the text for "countOnly" apps
+function transcriptsByApp(rows) {
+  const byApp = {};
+  for (const r of rows) {
+    const appName = friendlyAppName(r.app || "Unknown");
+    if (!byApp[appName]) byApp[appName] = [];
+    byApp[appName].push(showsTranscripts(r.app) ? r.formattedText : null);
+  }
+  return byApp;
+}
+
+// [{ app, count, samples }] per app, with up to five substantial
+// transcripts (truncated) as a digest of what was worked on. redact (see
+// makeRedactor) rewrites each transcript before it's cut short.
+function topicDigest(rows, { redact = (t) => t } = {}) {
+  return Object.entries(transcriptsByApp(rows)).map(([app, transcripts]) => ({
+    app,
+    count: transcripts.length,
+    samples: transcripts
+      .filter((t) => t !== null && t.length > 30)
+      .slice(0, 5)
+      .map(redact)
+      .filter((t) => t !== null)
+      .map((t) => truncate(t, 150)),
+  }));
+}
+
+// Hour-by-hour blocks with apps used and a couple of representative snippets,
+// redacted as for topicDigest
+function timelineBlocks(rows, { redact = (t) => t } = {}) {
+  const hourGroups = {};
+  for (const r of rows) {
+    const hour = hourOf(r);
+    if (!hourGroups[hour]) hourGroups[hour] = [];
+    hourGroups[hour].push(r);
+  }
+  return Object.entries(hourGroups)
+    .sort((a, b) => a[0] - b[0])
+    .map(([hour, entries]) => {
+      const apps = [...new Set(entries.map((e) => friendlyAppName(e.app || "Unknown")))];
+      const words = entries.reduce((s, e) => s + (e.numWords || 0), 0);
+      const snippets = entries
+        .filter((e) => e.formattedText && e.formattedText.length > 20 && showsTranscripts(e.app))
+        .slice(0, 2)
+        .map((e) => redact(e.formattedText))
+        .filter((t) => t !== null)
+        .map((t) => truncate(t, 100));
+      return { hour: parseInt(hour), label: formatHour(parseInt(hour)), count: entries.length, apps, words, snippets };
+    });
+}
+
+// Every dictation, oldest first, with its full text — for the transcript
+// browser in the HTML reports. Text redacted away entirely, or from a
+// "countOnly" app, becomes ""; wpm is null when the rate is an outlier.
+function dictationList(rows, { redact = (t) => t } = {}) {
+  return rows.map((r) => {
+    localize(r);
+    return {
+      date: r.localDate,
+      hour: r.localHour,
+      time: formatClock(r.localHour, r.localMinute),
+      app: friendlyAppName(r.app || "Unknown"),
+      words: r.numWords || 0,
+      duration: r.duration || 0,
+      wpm: dictationWPM(r),
+      text: (showsTranscripts(r.app) && redact(r.formattedText)) || "",
+    };
+  });
+}
+
+module.exports = {
+  summarize,
+  appBreakdown,
+  hourBreakdown,
+  peakHour,
+  dayBreakdown,
+  busiestDay,
+  findStreaks,
+  longestStreak,
+  dayOfWeekBreakdown,
+  weekBreakdown,
+  monthBreakdown,
+  quarterBreakdown,
+  periodBreakdown,
+  dailyAverages,
+  transcriptsByApp,
+  topicDigest,
+  timelineBlocks,
+  dictationList,
+};
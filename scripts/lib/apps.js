@@ -0,0 +1,259 @@
+// Bundle ID → display name, icon, category and colour lookups shared by every
+// recap, and the per-app privacy rules from the config that adjust them.
+
+const fs = require("fs");
+const path = require("path");
+const { defaultConfigPath, configPathSetting } = require("./config");
+
+// Apps we know out of the box. Users add to (or correct) these in a registry
+// file, see loadAppRegistry.
+const BUILTIN_APPS = {
+  "dev.warp.Warp-Stable": { name: "Warp", category: "Terminal", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/4e/30/a3/4e30a3c6-4e6a-8b3e-2c43-1e5e1392da38/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.apple.Safari": { name: "Safari", category: "Browser", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple221/v4/e4/90/f7/e490f720-05f3-da66-87b5-2c24d2039027/AppIcon-0-0-85-220-0-0-4-0-2x-P3.png/128x128bb.png" },
+  "com.google.Chrome": { name: "Chrome", category: "Browser", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/43/81/fa/4381faed-2d0d-c3a8-9692-faab4f3c7197/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.tinyspeck.slackmacgap": { name: "Slack", category: "Chat", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/4c/d2/e3/4cd2e362-0499-89c7-a1f5-1708b8b0b9f3/AppIcon-85-220-0-4-2x-sRGB.png/128x128bb.png" },
+  "com.microsoft.VSCode": { name: "VS Code", category: "Code", icon: "https://code.visualstudio.com/assets/images/code-stable.png" },
+  "com.todesktop.230313mzl4w4u92": { name: "Cursor", category: "Code", icon: "https://cursor.sh/apple-touch-icon.png" },
+  "com.linear": { name: "Linear", category: "Planning", icon: "https://linear.app/favicon-128.png" },
+  "com.apple.MobileSMS": { name: "Messages", category: "Chat", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/09/63/1e/09631eff-b2e2-0279-c9ba-221c84bc8a74/AppIcon-0-1x_U007emarketing-0-0-0-10-0-0-85-220-0.png/128x128bb.png" },
+  "com.apple.mail": { name: "Mail", category: "Email", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/b7/1c/6b/b71c6b5b-db47-6dab-2f24-7b79e2413b64/AppIcon-0-0-85-220-0-0-4-0-2x.png/128x128bb.png" },
+  "com.apple.Notes": { name: "Notes", category: "Notes" },
+  "com.openai.chat": { name: "ChatGPT", category: "AI", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple221/v4/a8/2e/4d/a82e4d68-dc3a-a762-6e07-e6e1be5e01a8/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.superhuman.electron": { name: "Superhuman", category: "Email", icon: "https://superhuman.com/favicon-196x196.png" },
+  "com.figma.Desktop": { name: "Figma", category: "Design", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/41/31/8e/41318ea1-7be2-2aaa-07ae-3c3a1e0a04c3/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.apple.finder": { name: "Finder", category: "System" },
+  "com.apple.Terminal": { name: "Terminal", category: "Terminal" },
+  "md.obsidian": { name: "Obsidian", category: "Notes", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/6e/1f/34/6e1f34cb-a1f9-4f67-e8d3-1a8d7bb5f1d2/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "notion.id": { name: "Notion", category: "Notes", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/f4/67/94/f467940c-9b4b-7a71-f1e6-f4a43aef3de5/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.codeium.windsurf": { name: "Windsurf", category: "Code", icon: "https://codeium.com/favicon.png" },
+  "company.thebrowser.Browser": { name: "Arc", category: "Browser", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/4f/0f/bd/4f0fbd2a-fd34-56d2-35c2-9b1f51db38fc/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "org.mozilla.firefox": { name: "Firefox", category: "Browser" },
+  "com.microsoft.edgemac": { name: "Edge", category: "Browser" },
+  "com.brave.Browser": { name: "Brave", category: "Browser" },
+  "com.vivaldi.Vivaldi": { name: "Vivaldi", category: "Browser" },
+  "net.shinyfrog.bear": { name: "Bear", category: "Notes", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/88/de/a5/88dea5c5-6ca2-72c4-fb51-c7563eb06b60/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.hnc.Discord": { name: "Discord", category: "Chat", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/77/3c/3f/773c3fe3-7f3c-ed1f-8c4c-8dab2a55f040/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "com.spotify.client": { name: "Spotify", category: "Music", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/ae/5e/44/ae5e4464-5965-67e6-66ba-6e06b19b19e9/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+  "us.zoom.xos": { name: "Zoom", category: "Meetings", icon: "https://is1-ssl.mzstatic.com/image/thumb/Purple211/v4/47/a6/72/47a672c6-4261-d5cf-3acb-dd62ce0d9788/AppIcon-85-220-0-4-2x.png/128x128bb.png" },
+};
+
+// --- Registry ---
+
+const REGISTRY_KEYS = ["name", "icon", "category", "color"];
+const REGISTRY_FILE_NAME = "apps.json";
+let appRegistry = BUILTIN_APPS;
+
+// The registry file: the config's "appRegistry", else apps.json next to the
+// config file (in the config directory when there is none)
+function appRegistryPath(config) {
+  const configured = config && configPathSetting(config, "appRegistry");
+  if (configured) return configured;
+  return path.join(path.dirname((config && config.path) || defaultConfigPath()), REGISTRY_FILE_NAME);
+}
+
+// Validated entries from a registry file, an object of bundle ID → any of
+//
+//   { "name": "Granola", "icon": "https://…/icon.png", "category": "Meetings", "color": "#4a7c59" }
+//
+// {} when the default file doesn't exist; a missing file the config asked for
+// is an error
+function loadAppRegistry(file, { required = false } = {}) {
+  if (!fs.existsSync(file)) {
+    if (required) throw new Error(`App registry not found: ${file}`);
+    return {};
+  }
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not parse app registry ${file}: ${e.message}`);
+  }
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) throw new Error(`App registry ${file} must contain a JSON object`);
+  for (const [bundleId, entry] of Object.entries(entries)) {
+    const where = `${bundleId} in ${file}`;
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) throw new Error(`${where} must be an object with ${REGISTRY_KEYS.join(", ")}`);
+    for (const [key, value] of Object.entries(entry)) {
+      if (!REGISTRY_KEYS.includes(key)) throw new Error(`${where}: unknown setting "${key}" (expected ${REGISTRY_KEYS.join(", ")})`);
+      if (typeof value !== "string" || !value.trim()) throw new Error(`${where}: ${key} must be a non-empty string`);
+    }
+    // Both end up in HTML attributes, so only accept what's safe there
+    if (entry.icon && !/^(https?:\/\/|data:image\/)[^"'<>\s]+$/.test(entry.icon)) {
+      throw new Error(`${where}: icon must be an http(s) or data:image URL`);
+    }
+    if (entry.color && !/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(entry.color)) throw new Error(`${where}: color must be a hex colour like #4a7c59`);
+  }
+  return entries;
+}
+
+// User entries from the config's registry file, merged over the built-ins
+// field by field
+function appRegistrySettings(config) {
+  const entries = loadAppRegistry(appRegistryPath(config), { required: Boolean(config && config.settings.appRegistry) });
+  const registry = { ...BUILTIN_APPS };
+  for (const [bundleId, entry] of Object.entries(entries)) registry[bundleId] = { ...BUILTIN_APPS[bundleId], ...entry };
+  return registry;
+}
+
+// Makes every lookup below use registry (see appRegistrySettings); the
+// commands install it when they load the config
+function setAppRegistry(registry = BUILTIN_APPS) {
+  appRegistry = registry;
+}
+
+// { name, icon, category, color } (any may be missing) for a bundle ID in the
+// registry, or null for an app it doesn't know
+function appInfo(bundleId) {
+  return (bundleId && Object.prototype.hasOwnProperty.call(appRegistry, bundleId) && appRegistry[bundleId]) || null;
+}
+
+// Whether the registry names the app, rather than it falling back to part of
+// its bundle ID
+function isKnownApp(bundleId) {
+  return Boolean(appInfo(bundleId) && appInfo(bundleId).name);
+}
+
+// --- Per-app rules ---
+
+// The config's "apps": { "<bundle ID>": rule }, where a rule is "exclude"
+// (dropped from every recap), "countOnly" (counted, but its transcripts are
+// never shown) or an object with any of { alias, countOnly, exclude }; alias
+// renames the app, e.g. "Personal" for Messages
+const APP_RULE_KEYS = ["alias", "countOnly", "exclude"];
+let appRules = {};
+
+// Validated rules from the config, normalised to objects; {} when none are set
+function appRulesSettings(config) {
+  const apps = config ? config.settings.apps : undefined;
+  if (apps === undefined) return {};
+  if (!apps || typeof apps !== "object" || Array.isArray(apps)) throw new Error(`"apps" in ${config.path} must be an object`);
+  const rules = {};
+  for (const [bundleId, rule] of Object.entries(apps)) {
+    const where = `"apps" rule for ${bundleId} in ${config.path}`;
+    const normalised = rule === "exclude" || rule === "countOnly" ? { [rule]: true } : rule;
+    if (!normalised || typeof normalised !== "object" || Array.isArray(normalised)) {
+      throw new Error(`${where} must be "exclude", "countOnly" or an object with ${APP_RULE_KEYS.join(", ")}`);
+    }
+    for (const [key, value] of Object.entries(normalised)) {
+      if (!APP_RULE_KEYS.includes(key)) throw new Error(`${where}: unknown setting "${key}" (expected ${APP_RULE_KEYS.join(", ")})`);
+      if (key === "alias" ? typeof value !== "string" || !value.trim() : typeof value !== "boolean") {
+        throw new Error(`${where}: ${key} must be ${key === "alias" ? "a name" : "true or false"}`);
+      }
+    }
+    rules[bundleId] = normalised;
+  }
+  return rules;
+}
+
+// Applies rules to every lookup below; the commands install the config's
+// rules when they load it
+function setAppRules(rules = {}) {
+  appRules = rules;
+}
+
+function appRule(bundleId) {
+  return appRules[bundleId] || {};
+}
+
+// True when the config renames the app; its icon and colour would give it away
+function isAppAliased(bundleId) {
+  return Boolean(appRule(bundleId).alias);
+}
+
+function isAppExcluded(bundleId) {
+  return Boolean(appRule(bundleId).exclude);
+}
+
+// False for apps whose transcripts must never be shown
+function showsTranscripts(bundleId) {
+  const rule = appRule(bundleId);
+  return !rule.countOnly && !rule.exclude;
+}
+
+// Registry colour for an app (used behind its initial when there's no icon),
+// or null
+function appColor(bundleId) {
+  if (isAppAliased(bundleId)) return null;
+  return (appInfo(bundleId) && appInfo(bundleId).color) || null;
+}
+
+// High-res icon URL for a bundle ID, or null when we don't know the app (or
+// it's aliased, since its icon would give it away)
+function appIconURL(bundleId) {
+  if (isAppAliased(bundleId)) return null;
+  return (appInfo(bundleId) && appInfo(bundleId).icon) || null;
+}
+
+function friendlyAppName(bundleId) {
+  if (appRule(bundleId).alias) return appRule(bundleId).alias.trim();
+  return unaliasedAppName(bundleId);
+}
+
+// The app's own name, ignoring any alias: the registry's, else a guess from
+// the bundle ID
+function unaliasedAppName(bundleId) {
+  if (!bundleId) return "Unknown";
+  if (isKnownApp(bundleId)) return appInfo(bundleId).name;
+  // Try to extract last component
+  const parts = bundleId.split(".");
+  return parts[parts.length - 1].replace(/-/g, " ");
+}
+
+// Predicate for an --app style list ("Slack,com.todesktop.230313mzl4w4u92"):
+// each entry matches a bundle ID exactly, or case-insensitively the app's
+// alias or its own name, so an app aliased "Personal" still matches "Messages"
+function appMatcher(list) {
+  const wanted = (Array.isArray(list) ? list : String(list).split(","))
+    .map((s) => s.trim())
+    .filter(Boolean);
+  const names = new Set(wanted.map((s) => s.toLowerCase()));
+  return (bundleId) =>
+    wanted.includes(bundleId) || names.has(friendlyAppName(bundleId).toLowerCase()) || names.has(unaliasedAppName(bundleId).toLowerCase());
+}
+
+// Predicate for --app / --exclude-app ({ apps, excludeApps }, lists as for
+// appMatcher), or null when nothing is filtered
+function makeAppFilter(filters) {
+  if (!filters) return null;
+  const include = filters.apps.length > 0 ? appMatcher(filters.apps) : null;
+  const exclude = filters.excludeApps.length > 0 ? appMatcher(filters.excludeApps) : null;
+  if (!include && !exclude) return null;
+  return (bundleId) => (!include || include(bundleId)) && !(exclude && exclude(bundleId));
+}
+
+// "Only Slack, Cursor · excluding Messages" for report headers, or null.
+// Known apps are shown by name however they were typed.
+function appFilterLabel(filters) {
+  if (!filters) return null;
+  const known = [...Object.values(appRules).map((r) => r.alias), ...Object.values(appRegistry).map((a) => a.name)]
+    .filter(Boolean)
+    .map((name) => name.trim());
+  const names = (list) =>
+    list
+      .map((entry) => (isKnownApp(entry) ? friendlyAppName(entry) : known.find((name) => name.toLowerCase() === entry.toLowerCase()) || entry))
+      .join(", ");
+  const parts = [];
+  if (filters.apps.length > 0) parts.push(`Only ${names(filters.apps)}`);
+  if (filters.excludeApps.length > 0) parts.push(`${parts.length > 0 ? "excluding" : "Excluding"} ${names(filters.excludeApps)}`);
+  return parts.length > 0 ? parts.join(" · ") : null;
+}
+
+module.exports = {
+  BUILTIN_APPS,
+  appRegistryPath,
+  loadAppRegistry,
+  appRegistrySettings,
+  setAppRegistry,
+  appInfo,
+  isKnownApp,
+  appRulesSettings,
+  setAppRules,
+  isAppAliased,
+  isAppExcluded,
+  showsTranscripts,
+  appColor,
+  appIconURL,
+  friendlyAppName,
+  appMatcher,
+  makeAppFilter,
+  appFilterLabel,
+};
@@ -0,0 +1,94 @@
+// Fonts and the share-image renderer (html2canvas) for self-contained HTML
+// reports, read from the npm packages the scripts depend on and inlined so a
+// report opened offline looks and shares the same as one opened online.
+
+const fs = require("fs");
+const path = require("path");
+
+// The faces the CSS uses, from @fontsource packages
+const FONTS = [
+  { pkg: "@fontsource/instrument-serif", files: ["400.css", "400-italic.css"] },
+  { pkg: "@fontsource/inter", files: ["400.css", "500.css", "600.css", "700.css"] },
+  { pkg: "@fontsource/jetbrains-mono", files: ["400.css", "500.css"] },
+];
+
+// Other scripts fall back to system fonts via unicode-range, which keeps
+// reports a few hundred KB rather than a few MB
+const FONT_SUBSETS = ["latin", "latin-ext"];
+
+const HTML2CANVAS = { pkg: "html2canvas", file: "dist/html2canvas.min.js" };
+
+let faces = null;
+let fontCSS = null;
+let html2canvasJS = null;
+
+function packageFile(pkg, file) {
+  try {
+    return require.resolve(`${pkg}/${file}`);
+  } catch {
+    throw new Error(`${pkg} is not installed; run npm install in ${path.join(__dirname, "..")}`);
+  }
+}
+
+// { name, family, weight, style, rule, file } for every face the reports use
+// ("inter-latin-400-normal", "Inter", 400, "normal"), file being the path
+// without its extension (.woff2 and .woff both exist)
+function fontFaces() {
+  if (faces) return faces;
+  faces = [];
+  for (const { pkg, files } of FONTS) {
+    for (const file of files) {
+      const cssFile = packageFile(pkg, file);
+      const css = fs.readFileSync(cssFile, "utf8");
+      // Each face is "/* inter-latin-400-normal */\n@font-face { ... }"
+      for (const [, name, rule] of css.matchAll(/\/\* ([\w-]+) \*\/\s*(@font-face \{[^}]*\})/g)) {
+        if (!FONT_SUBSETS.some((subset) => new RegExp(`-${subset}-\\d+-(normal|italic)$`).test(name))) continue;
+        faces.push({
+          name,
+          family: rule.match(/font-family: '([^']+)'/)[1],
+          weight: Number(rule.match(/font-weight: (\d+)/)[1]),
+          style: rule.match(/font-style: (\w+)/)[1],
+          rule,
+          file: path.join(path.dirname(cssFile), "files", name),
+        });
+      }
+    }
+  }
+  return faces;
+}
+
+// @font-face rules for faces (all of them by default), with the woff2 files
+// as data: URIs
+function inlineFontCSS(only = null) {
+  if (!only && fontCSS) return fontCSS;
+  const css = (only || fontFaces())
+    .map((face) => {
+      const data = fs.readFileSync(`${face.file}.woff2`).toString("base64");
+      return face.rule.replace(/src: [^;]*;/, `src: url(data:font/woff2;base64,${data}) format('woff2');`);
+    })
+    .join("\n");
+  if (!only) fontCSS = css;
+  return css;
+}
+
+// html2canvas's minified build, safe to put inside a <script> element
+function html2canvasSource() {
+  if (html2canvasJS) return html2canvasJS;
+  html2canvasJS = fs.readFileSync(packageFile(HTML2CANVAS.pkg, HTML2CANVAS.file), "utf8").replace(/<\/(script)/gi, "<\\/$1");
+  return html2canvasJS;
+}
+
+// Loads both up front, so a missing package is reported before any report
+// is rendered
+function checkInlineAssets() {
+  inlineFontCSS();
+  html2canvasSource();
+}
+
+module.exports = {
+  FONT_SUBSETS,
+  fontFaces,
+  inlineFontCSS,
+  html2canvasSource,
+  checkInlineAssets,
+};
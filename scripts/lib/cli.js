@@ -0,0 +1,218 @@
+// Argument parsing and output plumbing shared by the recap commands.
+
+const path = require("path");
+const os = require("os");
+const { openDatabase } = require("./db");
+const { resolveTimeZone } = require("./timezone");
+const { loadConfig } = require("./config");
+const { COMPARE_MODES } = require("./compare");
+const { loadStreaks } = require("./streaks");
+const { goalSettings } = require("./goals");
+const { redactionSettings } = require("./redact");
+const { sessionGapSettings } = require("./sessions");
+const { appRulesSettings, setAppRules, appRegistrySettings, setAppRegistry } = require("./apps");
+const { siteSettings, setSiteLabels } = require("./sites");
+const { iconDirSettings, setIconDirs } = require("./icons");
+const { checkInlineAssets } = require("./assets");
+const { SHARE_FORMATS, templateUnavailable, shareImageName } = require("./sharetemplates");
+
+// ["--html", "--date=2026-02-05", "foo"] → { flags: { html: true, date: "2026-02-05" }, positional: ["foo"] }
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (arg.startsWith("--")) {
+      const eq = arg.indexOf("=");
+      if (eq === -1) flags[arg.slice(2)] = true;
+      else flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { flags, positional };
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+// "YYYY-MM-DD" flag value for a day that exists, or exit with a usage error
+function requireDate(value, flag) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    fail(`--${flag} must be a date in YYYY-MM-DD format`);
+  }
+  const [y, m, d] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) fail(`--${flag}: ${value} is not a real date`);
+  return value;
+}
+
+// "YYYY-MM" flag value, or exit with a usage error
+function requireMonth(value, flag) {
+  if (typeof value !== "string" || !/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    fail(`--${flag} must be a month in YYYY-MM format`);
+  }
+  return value;
+}
+
+// Config file named by --config, or the default one if it exists, with its
+// app registry, icon folder, per-app rules ("apps") and site labels put into
+// effect for the rest of the command
+function configOrExit(flags) {
+  try {
+    const config = loadConfig(typeof flags.config === "string" ? flags.config : undefined);
+    setAppRegistry(appRegistrySettings(config));
+    setAppRules(appRulesSettings(config));
+    setSiteLabels(siteSettings(config));
+    setIconDirs(iconDirSettings(config));
+    return config;
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// --tz value (or the config's "timeZone") as a validated IANA zone,
+// defaulting to the system zone
+function timeZoneOrExit(tz, config) {
+  if (tz === true || !tz) tz = config && config.settings.timeZone;
+  try {
+    return resolveTimeZone(tz);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// --app=Slack,Cursor and --exclude-app=Messages as { apps, excludeApps }
+// (see makeAppFilter), or null when neither is given
+function appFiltersOrExit(flags) {
+  const list = (flag) => {
+    if (flags[flag] === undefined) return [];
+    const names = typeof flags[flag] === "string" ? flags[flag].split(",").map((s) => s.trim()).filter(Boolean) : [];
+    if (names.length === 0) fail(`--${flag} needs app names or bundle IDs, e.g. --${flag}=Slack,Cursor`);
+    return names;
+  };
+  const filters = { apps: list("app"), excludeApps: list("exclude-app") };
+  return filters.apps.length > 0 || filters.excludeApps.length > 0 ? filters : null;
+}
+
+// Database from --db, $WISPR_DB, the config or the platform default
+function openDatabaseOrExit(flags = {}, config) {
+  try {
+    return openDatabase(typeof flags.db === "string" ? flags.db : undefined, { config });
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// --compare value: "previous" (the default), "yoy", or null for --compare=none
+function compareModeOrExit(value) {
+  if (value === undefined || value === true || value === "prev") return "previous";
+  if (value === "none" || value === "off") return null;
+  if (!COMPARE_MODES.includes(value)) fail(`--compare must be one of: ${COMPARE_MODES.join(", ")}, none`);
+  return value;
+}
+
+// The config's "goals", or exit if they're malformed
+function goalsOrExit(config) {
+  try {
+    return goalSettings(config);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// --redact level plus the config's names to mask (see redact.js), or null
+function redactionOrExit(flags, config) {
+  try {
+    return redactionSettings(flags.redact, config);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// --session-gap (or the config's "sessions.gapMinutes") in minutes
+function sessionGapOrExit(flags, config) {
+  try {
+    return sessionGapSettings(flags["session-gap"], config);
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// Streaks as of the report's last day (see streaks.js); exits on a bad
+// "streaks" config setting
+function streaksOrExit(db, { end, tz, config, filters }) {
+  try {
+    return loadStreaks(db, { end, tz, config, filters });
+  } catch (e) {
+    fail(e.message);
+  }
+}
+
+// Render options for --html: fonts and html2canvas are inlined unless --cdn
+// asks for links. If their packages are missing, --self-contained is an
+// error; otherwise the report links them, with a warning.
+function htmlOptionsOrExit(flags) {
+  if (flags.cdn && flags["self-contained"]) fail("Use either --self-contained or --cdn, not both");
+  if (flags.cdn) return { selfContained: false };
+  try {
+    checkInlineAssets();
+    return { selfContained: true };
+  } catch (e) {
+    if (flags["self-contained"]) fail(e.message);
+    console.error(`${e.message}. Linking fonts and html2canvas from their CDNs instead.`);
+    return { selfContained: false };
+  }
+}
+
+// Where HTML reports are saved
+function reportPath(filename) {
+  return path.join(os.homedir(), "Desktop", filename);
+}
+
+// --share-template and --share-format, for card (the report's share card
+// data): which card --share-image draws and the HTML share modal starts on
+function shareOptionsOrExit(flags, card) {
+  const template = flags["share-template"] === undefined ? "summary" : String(flags["share-template"]);
+  const format = flags["share-format"] === undefined ? "landscape" : String(flags["share-format"]);
+  const unavailable = templateUnavailable(card, template);
+  if (unavailable) fail(`Can't use --share-template=${template}: ${unavailable}`);
+  if (!SHARE_FORMATS[format]) fail(`--share-format must be one of ${Object.keys(SHARE_FORMATS).join(", ")}`);
+  return { shareTemplate: template, shareFormat: format };
+}
+
+// --share-image[=file.png|file.svg]: writes the report's share card, by
+// default as a PNG next to the HTML reports. The note goes to stderr so it
+// can be combined with --json. shareimage.js is loaded here, not up top, so
+// commands run without --share-image never load it.
+function writeShareImageOrExit(value, card, { shareTemplate: template, shareFormat: format } = {}) {
+  const { writeShareImage } = require("./shareimage");
+  const outPath = value === true ? reportPath(shareImageName(card.filename, { template, format })) : path.resolve(value);
+  try {
+    writeShareImage(outPath, card, { template, format });
+  } catch (e) {
+    fail(e.message);
+  }
+  console.error(`Share image saved to: ${outPath}`);
+}
+
+module.exports = {
+  parseArgs,
+  fail,
+  requireDate,
+  requireMonth,
+  configOrExit,
+  timeZoneOrExit,
+  appFiltersOrExit,
+  openDatabaseOrExit,
+  compareModeOrExit,
+  goalsOrExit,
+  redactionOrExit,
+  sessionGapOrExit,
+  streaksOrExit,
+  htmlOptionsOrExit,
+  reportPath,
+  shareOptionsOrExit,
+  writeShareImageOrExit,
+};
@@ -0,0 +1,110 @@
+// Period-over-period comparison: the same stats for the previous week/month
+// (or the same period a year earlier) and the change from it.
+
+const { summarize, appBreakdown, hourBreakdown, dayBreakdown, weekBreakdown } = require("./aggregate");
+const { addDays, getMonthRange } = require("./dates");
+const { queryHistory } = require("./db");
+
+// --compare values: previous period (default), same period last year
+const COMPARE_MODES = ["previous", "yoy"];
+
+// The range a weekly or monthly report is compared against
+function comparisonRange(report, range, mode) {
+  if (report === "weekly") {
+    const back = mode === "yoy" ? 364 : 7; // 52 weeks keeps Monday–Sunday alignment
+    return { start: addDays(range.start, -back), end: addDays(range.end, -back) };
+  }
+  if (report === "monthly") {
+    const year = mode === "yoy" ? range.year - 1 : range.month === 1 ? range.year - 1 : range.year;
+    const month = mode === "yoy" ? range.month : range.month === 1 ? 12 : range.month - 1;
+    return getMonthRange(`${year}-${String(month).padStart(2, "0")}`);
+  }
+  throw new Error(`No comparison period for ${report} reports`);
+}
+
+// "last week", "last month", "the same week last year", "Feb 2025"
+function comparisonLabel(report, mode, range) {
+  if (mode === "previous") return report === "weekly" ? "last week" : "last month";
+  return report === "weekly" ? "the same week last year" : range.label;
+}
+
+// Rows for the comparison period, ready to pass to build*Recap as `previous`
+// (with the same app filters as the report's own rows)
+function queryComparison(db, report, range, { mode, tz, filters }) {
+  const previousRange = comparisonRange(report, range, mode);
+  return { mode, range: previousRange, rows: queryHistory(db, { ...previousRange, tz, filters }) };
+}
+
+// { previous, change, pct }; pct is null when there is nothing to compare to
+function delta(current, previous) {
+  return {
+    previous,
+    change: current - previous,
+    pct: previous > 0 ? Math.round(((current - previous) / previous) * 100) : null,
+  };
+}
+
+// Every app used in either period with its change in dictations. status is
+// "new" (not used before), "dropped" (not used now), "rising", "falling" or
+// "steady". Current apps first in their usual order, then dropped ones.
+function appChanges(appsSorted, previousApps) {
+  const before = new Map(previousApps);
+  const now = new Map(appsSorted);
+  const status = (count, previousCount) =>
+    previousCount === 0 ? "new" : count === 0 ? "dropped" : count > previousCount ? "rising" : count < previousCount ? "falling" : "steady";
+
+  const current = appsSorted.map(([name, s]) => {
+    const previousCount = before.has(name) ? before.get(name).count : 0;
+    return { name, bundleId: s.bundleId, count: s.count, ...delta(s.count, previousCount), status: status(s.count, previousCount) };
+  });
+  const dropped = previousApps
+    .filter(([name]) => !now.has(name))
+    .map(([name, s]) => ({ name, bundleId: s.bundleId, count: 0, ...delta(0, s.count), status: "dropped" }));
+  return [...current, ...dropped];
+}
+
+// Comparison block shared by the weekly and monthly recaps. previous is
+// { mode, range, rows } from queryComparison; returns null without one.
+// days (weekly) or weeks (monthly) feed the ghost bars in the charts.
+function buildComparison(report, previous, { totals, appsSorted }) {
+  if (!previous) return null;
+  const previousTotals = summarize(previous.rows);
+  const days = dayBreakdown(previous.rows, previous.range);
+  const series =
+    report === "weekly"
+      ? { days: days.map(({ date, count, words }) => ({ date, count, words })) }
+      : { weeks: weekBreakdown(days).map(({ startDate, count, words }) => ({ startDate, count, words })) };
+  const deltas = {};
+  for (const key of ["totalDictations", "totalWords", "totalDuration", "uniqueApps"]) {
+    deltas[key] = delta(totals[key], previousTotals[key]);
+  }
+  return {
+    mode: previous.mode,
+    label: comparisonLabel(report, previous.mode, previous.range),
+    range: previous.range,
+    ...previousTotals,
+    deltas,
+    apps: appChanges(appsSorted, appBreakdown(previous.rows)),
+    hourMap: hourBreakdown(previous.rows),
+    ...series,
+  };
+}
+
+// "+23% words vs last week" for the share card, or null if there's no
+// meaningful change to show
+function comparisonHighlight(comparison, key = "totalWords", noun = "words") {
+  if (!comparison) return null;
+  const { pct } = comparison.deltas[key];
+  if (pct === null || pct === 0) return null;
+  return `${pct > 0 ? "+" : "−"}${Math.abs(pct)}% ${noun} vs ${comparison.label}`;
+}
+
+module.exports = {
+  COMPARE_MODES,
+  comparisonRange,
+  comparisonLabel,
+  queryComparison,
+  appChanges,
+  buildComparison,
+  comparisonHighlight,
+};
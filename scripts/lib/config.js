@@ -0,0 +1,85 @@
+// User config file (JSON). Looked up from --config, then $WISPR_RECAP_CONFIG,
+// then the per-user config directory:
+//
+//   macOS / Linux   $XDG_CONFIG_HOME/wispr-flow-recap/config.json (~/.config/...)
+//   Windows         %APPDATA%\wispr-flow-recap\config.json
+//
+// Example:
+//
+//   {
+//     "db": "~/backups/flow.sqlite",
+//     "timeZone": "America/Los_Angeles"
+//   }
+
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+
+const CONFIG_DIR_NAME = "wispr-flow-recap";
+
+function defaultConfigPath() {
+  const base =
+    process.platform === "win32"
+      ? process.env.APPDATA || path.join(os.homedir(), "AppData", "Roaming")
+      : process.env.XDG_CONFIG_HOME || path.join(os.homedir(), ".config");
+  return path.join(base, CONFIG_DIR_NAME, "config.json");
+}
+
+// Per-user cache directory for things the scripts can rebuild (the search
+// index, app icons): ~/Library/Caches on macOS, %LOCALAPPDATA% on Windows,
+// $XDG_CACHE_HOME (~/.cache) elsewhere
+function defaultCacheDir(platform = process.platform, env = process.env) {
+  const home = os.homedir();
+  const base =
+    platform === "darwin"
+      ? path.join(home, "Library", "Caches")
+      : platform === "win32"
+        ? env.LOCALAPPDATA || path.join(home, "AppData", "Local")
+        : env.XDG_CACHE_HOME || path.join(home, ".cache");
+  return path.join(base, CONFIG_DIR_NAME);
+}
+
+// "~/x" → "/home/me/x"; relative paths resolve against baseDir
+function expandPath(p, baseDir = process.cwd()) {
+  if (p === "~" || p.startsWith("~/") || p.startsWith("~\\")) p = path.join(os.homedir(), p.slice(1));
+  return path.resolve(baseDir, p);
+}
+
+// Parsed config plus `path` (the file it came from, or null when none exists).
+// An explicitly requested file that is missing or malformed is an error; a
+// missing default file just means "no config".
+function loadConfig(configPath) {
+  const explicit = configPath || process.env.WISPR_RECAP_CONFIG;
+  const file = explicit ? expandPath(explicit) : defaultConfigPath();
+
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`Config file not found: ${file}`);
+    return { path: null, settings: {} };
+  }
+
+  let settings;
+  try {
+    settings = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Could not parse config file ${file}: ${e.message}`);
+  }
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new Error(`Config file ${file} must contain a JSON object`);
+  }
+  return { path: file, settings };
+}
+
+// A path setting from the config, resolved relative to the config file
+function configPathSetting(config, key) {
+  const value = config.settings[key];
+  if (!value) return null;
+  return expandPath(value, config.path ? path.dirname(config.path) : process.cwd());
+}
+
+module.exports = {
+  defaultConfigPath,
+  defaultCacheDir,
+  expandPath,
+  loadConfig,
+  configPathSetting,
+};
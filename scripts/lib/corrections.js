@@ -0,0 +1,210 @@
+// How much Wispr Flow's formatting rewrote what it heard: each dictation's
+// asrText (raw recognition) is diffed word by word against its formattedText,
+// and the differences are sorted into filler words removed, punctuation
+// added, capitalisation fixes and real corrections ("wisper" → "Wispr"),
+// which are what a custom dictionary can fix.
+
+const { friendlyAppName, showsTranscripts } = require("./apps");
+const { formatClock } = require("./format");
+const { localize } = require("./timezone");
+
+// Removed outright by the formatter; "like" and "so" are left out as they're
+// usually meant
+const FILLER_WORDS = ["um", "umm", "uh", "uhh", "uhm", "er", "erm", "ah", "hmm", "mm", "mhm"];
+
+// Corrections longer than this (in words, either side) are rewrites rather
+// than fixes and aren't ranked
+const MAX_CORRECTION_WORDS = 4;
+
+// Beyond this many token edits two texts are too different to align
+const MAX_DIFF_EDITS = 2000;
+
+// How many rewritten dictations the diff viewer shows, most edits first
+const DIFFS_SHOWN = 100;
+
+const isWord = (token) => /[\p{L}\p{N}]/u.test(token.text);
+
+// "um, so I think." → tokens { text, space } where space says whether
+// whitespace came before it: words (with inner punctuation, so emails and
+// URLs stay whole) and each punctuation mark around them
+function tokenize(text) {
+  const tokens = [];
+  for (const chunk of String(text || "").split(/\s+/).filter(Boolean)) {
+    const [, lead, core, trail] = chunk.match(/^([^\p{L}\p{N}]*)(.*?)([^\p{L}\p{N}]*)$/u);
+    const parts = [...lead, core, ...trail].filter(Boolean);
+    parts.forEach((part, i) => tokens.push({ text: part, space: i === 0 && tokens.length > 0 }));
+  }
+  return tokens;
+}
+
+// Myers' diff of two token lists as [op, token] pairs, op being "=", "-"
+// (only in a) or "+" (only in b); "=" pairs carry b's token third. Texts
+// more than MAX_DIFF_EDITS tokens apart are treated as rewritten outright,
+// which keeps the trace small.
+function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const limit = Math.min(max, MAX_DIFF_EDITS);
+  const v = new Int32Array(2 * max + 2);
+  // trace[d] holds v for diagonals -d-1..d+1 as it was before step d
+  const trace = [];
+  let found = max === 0;
+  for (let d = 0; d <= limit && !found; d++) {
+    trace.push(v.slice(Math.max(0, max - d - 1), max + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[max + k - 1] < v[max + k + 1]) ? v[max + k + 1] : v[max + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x].text === b[y].text) {
+        x++;
+        y++;
+      }
+      v[max + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+  if (!found) return [...a.map((token) => ["-", token]), ...b.map((token) => ["+", token])];
+
+  // Walk the trace back from the end
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const at = (k) => trace[d][max + k - Math.max(0, max - d - 1)];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) ops.push(["=", a[--x], b[--y]]);
+    if (d === 0) break;
+    if (x === prevX) ops.push(["+", null, b[--y]]);
+    else ops.push(["-", a[--x], null]);
+  }
+  return ops.reverse().map(([op, from, to]) => (op === "=" ? [op, from, to] : [op, op === "+" ? to : from]));
+}
+
+// Runs of "-" and "+" between unchanged tokens
+function hunks(ops) {
+  const out = [];
+  let current = null;
+  for (const [op, token] of ops) {
+    if (op === "=") {
+      current = null;
+      continue;
+    }
+    if (!current) out.push((current = { removed: [], added: [] }));
+    (op === "-" ? current.removed : current.added).push(token);
+  }
+  return out;
+}
+
+// One dictation's changes: { asrWords, edits, fillers, punctuation,
+// capitalizations, corrections, segments }. edits is the word-level edit
+// distance; segments ([op, text], text with its leading space) rebuild both
+// versions for the diff viewer.
+function compareTexts(asrText, formattedText) {
+  const asr = tokenize(asrText);
+  const ops = diffTokens(asr, tokenize(formattedText));
+  const result = { asrWords: asr.filter(isWord).length, edits: 0, fillers: [], punctuation: 0, capitalizations: 0, corrections: [] };
+  for (const hunk of hunks(ops)) {
+    const removed = hunk.removed.filter(isWord).map((t) => t.text);
+    const added = hunk.added.filter(isWord).map((t) => t.text);
+    result.punctuation += hunk.added.filter((t) => !isWord(t)).length;
+    result.edits += Math.max(removed.length, added.length);
+    // A filler only counts as removed when it's gone, not just recased ("um" → "Um")
+    const addedLower = new Set(added.map((word) => word.toLowerCase()));
+    const isFiller = (word) => FILLER_WORDS.includes(word.toLowerCase()) && !addedLower.has(word.toLowerCase());
+    const kept = removed.filter((word) => !isFiller(word));
+    result.fillers.push(...removed.filter(isFiller).map((word) => word.toLowerCase()));
+    if (kept.length === 0 || added.length === 0) continue;
+    const from = kept.join(" ");
+    const to = added.join(" ");
+    if (from.toLowerCase() === to.toLowerCase()) result.capitalizations++;
+    else if (kept.length <= MAX_CORRECTION_WORDS && added.length <= MAX_CORRECTION_WORDS) result.corrections.push({ from, to });
+  }
+
+  // Merge neighbouring ops into segments; an unchanged token whose spacing
+  // changed gets the space as its own segment
+  result.segments = [];
+  const push = (op, text) => {
+    const last = result.segments[result.segments.length - 1];
+    if (last && last[0] === op) last[1] += text;
+    else result.segments.push([op, text]);
+  };
+  for (const [op, token, other] of ops) {
+    if (op === "=" && token.space !== other.space) {
+      push(token.space ? "-" : "+", " ");
+      push(op, token.text);
+    } else push(op, `${token.space ? " " : ""}${token.text}`);
+  }
+  return result;
+}
+
+// Correction stats over rows with both texts. redact (see makeRedactor) is
+// applied to both sides before diffing; with transcripts hidden or
+// summarised (level "hide" or "keywords") the numbers come from the raw text
+// and no words are listed. countOnly apps add to the numbers only.
+//
+// { analyzed, changed, asrWords, wordEdits, editRate, fillersRemoved,
+//   fillers: [[word, count]], punctuationAdded, capitalizations,
+//   topCorrections: [{ from, to, count }], dictations: [{ date, time, app,
+//   edits, fillers, punctuation, segments }] }
+function analyzeCorrections(rows, { redaction = null, redact = (t) => t } = {}) {
+  const listsText = !redaction || redaction === "mask";
+  const totals = { analyzed: 0, changed: 0, asrWords: 0, wordEdits: 0, fillersRemoved: 0, punctuationAdded: 0, capitalizations: 0 };
+  const fillers = {};
+  const corrections = new Map();
+  const dictations = [];
+  for (const r of rows) {
+    if (!r.asrText || !r.formattedText) continue;
+    const showText = listsText && showsTranscripts(r.app);
+    const c = showText ? compareTexts(redact(r.asrText), redact(r.formattedText)) : compareTexts(r.asrText, r.formattedText);
+    totals.analyzed++;
+    totals.asrWords += c.asrWords;
+    totals.wordEdits += c.edits;
+    totals.fillersRemoved += c.fillers.length;
+    totals.punctuationAdded += c.punctuation;
+    totals.capitalizations += c.capitalizations;
+    for (const word of c.fillers) fillers[word] = (fillers[word] || 0) + 1;
+    const changed = c.segments.some(([op]) => op !== "=");
+    if (changed) totals.changed++;
+    if (!showText) continue;
+    for (const { from, to } of c.corrections) {
+      const key = `${from}\u0000${to}`;
+      corrections.set(key, { from, to, count: ((corrections.get(key) || {}).count || 0) + 1 });
+    }
+    if (changed) {
+      dictations.push({
+        date: localize(r).localDate,
+        time: formatClock(r.localHour, r.localMinute),
+        app: friendlyAppName(r.app || "Unknown"),
+        edits: c.edits,
+        fillers: c.fillers.length,
+        punctuation: c.punctuation,
+        segments: c.segments,
+      });
+    }
+  }
+  return {
+    ...totals,
+    editRate: totals.asrWords > 0 ? Math.round((totals.wordEdits / totals.asrWords) * 1000) / 10 : 0,
+    fillers: Object.entries(fillers).sort((a, b) => b[1] - a[1]),
+    topCorrections: [...corrections.values()].sort((a, b) => b.count - a.count).slice(0, 20),
+    dictations: dictations
+      .map((d, i) => ({ d, i }))
+      .sort((a, b) => b.d.edits - a.d.edits || b.d.fillers + b.d.punctuation - (a.d.fillers + a.d.punctuation) || a.i - b.i)
+      .slice(0, DIFFS_SHOWN)
+      .map(({ d }) => d),
+  };
+}
+
+module.exports = {
+  FILLER_WORDS,
+  tokenize,
+  diffTokens,
+  compareTexts,
+  analyzeCorrections,
+};
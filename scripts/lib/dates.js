@@ -0,0 +1,86 @@
+// Calendar helpers. Dates are passed around as "YYYY-MM-DD" strings and all
+// arithmetic happens on UTC noon, so results never depend on the zone the
+// process runs in (see timezone.js for mapping instants onto dates).
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function toDate(dateStr) {
+  return new Date(dateStr + "T12:00:00Z");
+}
+
+function toKey(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday .. 6 = Saturday
+function dayOfWeek(dateStr) {
+  return toDate(dateStr).getUTCDay();
+}
+
+function addDays(dateStr, n) {
+  const d = toDate(dateStr);
+  d.setUTCDate(d.getUTCDate() + n);
+  return toKey(d);
+}
+
+// Every date from start to end, inclusive
+function eachDay(start, end) {
+  const days = [];
+  for (let key = start; key <= end; key = addDays(key, 1)) days.push(key);
+  return days;
+}
+
+// Week range (Monday–Sunday) containing refDate
+function getWeekRange(refDate) {
+  const day = dayOfWeek(refDate);
+  const diffToMon = day === 0 ? -6 : 1 - day;
+  const start = addDays(refDate, diffToMon);
+  return { start, end: addDays(start, 6) };
+}
+
+// Month range (first day to last day) for "YYYY-MM"
+function getMonthRange(yearMonth) {
+  const [year, month] = yearMonth.split("-").map(Number);
+  const firstDay = new Date(Date.UTC(year, month - 1, 1, 12));
+  const lastDay = new Date(Date.UTC(year, month, 0, 12)); // day 0 of next month = last day of this month
+  return {
+    start: toKey(firstDay),
+    end: toKey(lastDay),
+    year,
+    month,
+    label: firstDay.toLocaleDateString("en-US", { month: "long", year: "numeric", timeZone: "UTC" }),
+    shortLabel: firstDay.toLocaleDateString("en-US", { month: "short", timeZone: "UTC" }),
+    daysInMonth: lastDay.getUTCDate(),
+  };
+}
+
+// Year range (Jan 1 to Dec 31) for "YYYY"
+function getYearRange(year) {
+  const y = Number(year);
+  return {
+    start: `${year}-01-01`,
+    end: `${year}-12-31`,
+    year: y,
+    label: String(y),
+    daysInYear: (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0 ? 366 : 365,
+  };
+}
+
+// startDate of the period dateStr falls in: the last of periods
+// ([{ startDate }], oldest first) starting on or before it
+function periodOf(dateStr, periods) {
+  return periods.filter((p) => p.startDate <= dateStr).at(-1).startDate;
+}
+
+module.exports = {
+  DAY_NAMES,
+  toDate,
+  toKey,
+  dayOfWeek,
+  addDays,
+  eachDay,
+  getWeekRange,
+  getMonthRange,
+  getYearRange,
+  periodOf,
+};
@@ -0,0 +1,153 @@
+// Read-only access to the Wispr Flow History table.
+
+const Database = require("better-sqlite3");
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { addDays } = require("./dates");
+const { systemTimeZone, startOfDay, zonedParts } = require("./timezone");
+const { loadConfig, configPathSetting, expandPath, defaultConfigPath } = require("./config");
+const { makeAppFilter, isAppExcluded } = require("./apps");
+
+const DB_FILE = "flow.sqlite";
+
+const HISTORY_COLUMNS = [
+  "transcriptEntityId",
+  "formattedText",
+  "asrText",
+  "timestamp",
+  "app",
+  "url",
+  "numWords",
+  "duration",
+  "language",
+  "conversationId",
+];
+
+// Rows the recaps count: not archived and with some text
+const ACTIVE_HISTORY = "isArchived = 0 AND (formattedText IS NOT NULL AND formattedText != '')";
+
+// --- Locating flow.sqlite ---
+
+// Where the desktop app keeps its data (Electron's userData directory)
+function defaultDbPaths(platform = process.platform, env = process.env) {
+  const home = os.homedir();
+  let dirs;
+  if (platform === "darwin") {
+    dirs = [path.join(home, "Library", "Application Support", "Wispr Flow")];
+  } else if (platform === "win32") {
+    const roaming = env.APPDATA || path.join(home, "AppData", "Roaming");
+    const local = env.LOCALAPPDATA || path.join(home, "AppData", "Local");
+    dirs = [path.join(roaming, "Wispr Flow"), path.join(local, "Wispr Flow")];
+  } else {
+    const configHome = env.XDG_CONFIG_HOME || path.join(home, ".config");
+    dirs = [path.join(configHome, "Wispr Flow"), path.join(configHome, "wispr-flow")];
+  }
+  return dirs.map((dir) => path.join(dir, DB_FILE));
+}
+
+// Database path from, in order: dbPath (--db), $WISPR_DB, "db" in the config
+// file, then the platform defaults. The first of the first three that is set
+// wins outright, so a typo never silently falls back to another database.
+// Throws with every location tried when nothing is found.
+function findDatabase(dbPath, { config = loadConfig() } = {}) {
+  let tried;
+  if (dbPath) tried = [{ path: expandPath(dbPath), source: "--db" }];
+  else if (process.env.WISPR_DB) tried = [{ path: expandPath(process.env.WISPR_DB), source: "WISPR_DB" }];
+  else if (configPathSetting(config, "db")) tried = [{ path: configPathSetting(config, "db"), source: `"db" in ${config.path}` }];
+  else tried = defaultDbPaths().map((p) => ({ path: p, source: "default" }));
+
+  const found = tried.find((t) => fs.existsSync(t.path));
+  if (found) return found.path;
+
+  const width = Math.max(...tried.map((t) => t.path.length));
+  throw new Error(
+    [
+      "Wispr Flow database not found. Looked in:",
+      ...tried.map((t) => `  ${t.path.padEnd(width)}  (${t.source})`),
+      "",
+      "Point to flow.sqlite with --db=PATH, the WISPR_DB environment variable,",
+      `or a "db" setting in ${config.path || defaultConfigPath()}.`,
+    ].join("\n")
+  );
+}
+
+function openDatabase(dbPath, { config } = {}) {
+  return new Database(findDatabase(dbPath, { config }), { readonly: true });
+}
+
+// Non-archived dictations with text between two local dates (inclusive) in
+// time zone tz, oldest first, read one row at a time so huge ranges never sit
+// in memory. Each row gains localDate ("YYYY-MM-DD"), localHour (0–23) and
+// localMinute in that zone for the aggregations to bucket by. filters
+// ({ apps, excludeApps }) keeps only matching apps; apps excluded by the
+// config's rules are always left out.
+function* iterateHistory(db, { start, end, tz = systemTimeZone(), filters = null }) {
+  const keepApp = makeAppFilter(filters);
+  const from = startOfDay(start, tz).toISOString();
+  const until = startOfDay(addDays(end, 1), tz).toISOString();
+  const rows = db
+    .prepare(
+      `SELECT
+        ${HISTORY_COLUMNS.join(",\n        ")}
+      FROM History
+      WHERE julianday(timestamp) >= julianday(?) AND julianday(timestamp) < julianday(?)
+        AND ${ACTIVE_HISTORY}
+      ORDER BY timestamp ASC`
+    )
+    .iterate(from, until);
+
+  for (const r of rows) {
+    if (isAppExcluded(r.app) || (keepApp && !keepApp(r.app))) continue;
+    const { date, hour, minute } = zonedParts(r.timestamp, tz);
+    // Guards days whose midnight falls in a DST gap
+    if (date < start || date > end) continue;
+    r.localDate = date;
+    r.localHour = hour;
+    r.localMinute = minute;
+    yield r;
+  }
+}
+
+// Same rows as iterateHistory, as an array
+function queryHistory(db, options) {
+  return [...iterateHistory(db, options)];
+}
+
+// Open, query and close in one go
+function loadHistory({ start, end, tz, filters, dbPath, config }) {
+  const db = openDatabase(dbPath, { config });
+  try {
+    return queryHistory(db, { start, end, tz, filters });
+  } finally {
+    db.close();
+  }
+}
+
+// { app, count, words, first, last } for every bundle ID in History, most
+// dictations first (first/last are raw timestamps). Apps excluded by the
+// config's rules are left out.
+function historyApps(db) {
+  return db
+    .prepare(
+      `SELECT app, COUNT(*) AS count, COALESCE(SUM(numWords), 0) AS words, MIN(timestamp) AS first, MAX(timestamp) AS last
+      FROM History
+      WHERE ${ACTIVE_HISTORY} AND app IS NOT NULL AND app != ''
+      GROUP BY app
+      ORDER BY count DESC, app ASC`
+    )
+    .all()
+    .filter((r) => !isAppExcluded(r.app));
+}
+
+module.exports = {
+  HISTORY_COLUMNS,
+  ACTIVE_HISTORY,
+  defaultDbPaths,
+  findDatabase,
+  openDatabase,
+  iterateHistory,
+  queryHistory,
+  loadHistory,
+  historyApps,
+};
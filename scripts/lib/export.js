@@ -0,0 +1,68 @@
+// Raw dictation rows as CSV or NDJSON, one line per row so exports can be
+// written as the rows stream out of the database.
+
+const { friendlyAppName, showsTranscripts } = require("./apps");
+const { parseTimestamp, zonedParts } = require("./timezone");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// [column, (row, tz) => value]; text columns last so --no-text just drops them
+const EXPORT_COLUMNS = [
+  ["id", (r) => r.transcriptEntityId],
+  ["timestamp", (r) => parseTimestamp(r.timestamp).toISOString()],
+  ["localTime", (r, tz) => {
+    const p = zonedParts(r.timestamp, tz);
+    return `${p.date} ${[p.hour, p.minute, p.second].map((n) => String(n).padStart(2, "0")).join(":")}`;
+  }],
+  ["app", (r) => r.app],
+  ["appName", (r) => friendlyAppName(r.app || "Unknown")],
+  ["url", (r) => r.url],
+  ["numWords", (r) => r.numWords],
+  ["duration", (r) => r.duration],
+  ["language", (r) => r.language],
+  ["conversationId", (r) => r.conversationId],
+];
+
+// Left empty for "countOnly" apps
+const TEXT_COLUMNS = [
+  ["formattedText", (r) => (showsTranscripts(r.app) ? r.formattedText : null)],
+  ["asrText", (r) => (showsTranscripts(r.app) ? r.asrText : null)],
+];
+
+// RFC 4180: quote fields containing commas, quotes or line breaks
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// { header, line(row) } for a format; header is null when the format has none
+function createExporter(format, { tz, text = true }) {
+  const columns = text ? [...EXPORT_COLUMNS, ...TEXT_COLUMNS] : EXPORT_COLUMNS;
+  const record = (r) => columns.map(([, get]) => {
+    const value = get(r, tz);
+    return value === undefined ? null : value;
+  });
+
+  if (format === "csv") {
+    return {
+      header: columns.map(([name]) => name).join(",") + "\r\n",
+      line: (r) => record(r).map(csvField).join(",") + "\r\n",
+    };
+  }
+  if (format === "ndjson") {
+    return {
+      header: null,
+      line: (r) => {
+        const values = record(r);
+        return JSON.stringify(Object.fromEntries(columns.map(([name], i) => [name, values[i]]))) + "\n";
+      },
+    };
+  }
+  throw new Error(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join(" or ")})`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExporter,
+};
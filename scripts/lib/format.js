@@ -0,0 +1,79 @@
+// Text and number formatting shared by the CLI and HTML renderers.
+
+function truncate(str, len) {
+  if (!str) return "";
+  const clean = str.replace(/\n/g, " ").trim();
+  return clean.length > len ? clean.slice(0, len) + "..." : clean;
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${Math.round(seconds)}s`;
+  if (seconds < 3600) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.round(seconds % 60);
+    return secs > 0 ? `${mins}m ${secs}s` : `${mins}m`;
+  }
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.round((seconds % 3600) / 60);
+  return mins > 0 ? `${hrs}h ${mins}m` : `${hrs}h`;
+}
+
+function formatHour(h) {
+  return h === 0 ? "12 AM" : h < 12 ? `${h} AM` : h === 12 ? "12 PM" : `${h - 12} PM`;
+}
+
+// 15, 7 → "3:07 PM"
+function formatClock(hour, minute) {
+  const h = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h}:${String(minute).padStart(2, "0")} ${hour < 12 ? "AM" : "PM"}`;
+}
+
+function barChart(value, max, width = 20) {
+  const filled = Math.round((value / max) * width);
+  return "█".repeat(filled) + "░".repeat(width - filled);
+}
+
+// 12345 → "12K", for chart labels with little room
+function formatCompact(n) {
+  return new Intl.NumberFormat("en-US", { notation: "compact", maximumFractionDigits: 1 }).format(n);
+}
+
+// Delta from compare.js → "+23%", "−12%", "±0%", "new"; absolute shows the
+// raw change instead ("+2")
+function formatChange({ change, pct }, { absolute = false } = {}) {
+  const sign = change > 0 ? "+" : change < 0 ? "−" : "±";
+  if (absolute) return `${sign}${Math.abs(change)}`;
+  if (pct === null) return change > 0 ? "new" : "±0%";
+  return `${sign}${Math.abs(pct)}%`;
+}
+
+function escapeHTML(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Embed a string as a JS literal inside an inline <script>
+function scriptString(str) {
+  return JSON.stringify(String(str)).replace(/</g, "\\u003c");
+}
+
+// "2026-02-05" → localized label, e.g. { weekday: "long" } → "Thursday"
+function formatDate(dateStr, options) {
+  return new Date(dateStr + "T12:00:00Z").toLocaleDateString("en-US", { ...options, timeZone: "UTC" });
+}
+
+module.exports = {
+  truncate,
+  formatDuration,
+  formatHour,
+  formatClock,
+  barChart,
+  formatCompact,
+  formatChange,
+  escapeHTML,
+  scriptString,
+  formatDate,
+};
@@ -0,0 +1,140 @@
+// Word and voice-time goals from the config file:
+//
+//   "goals": { "wordsPerDay": 3000, "voiceMinutesPerDay": 20, "wordsPerWeek": 15000 }
+//
+// Any subset can be set. Recaps show progress against the goals for their
+// period, how often the daily goals were hit, and which days hit them.
+
+const { barChart, formatDuration } = require("./format");
+
+const words = (n) => Math.round(n).toLocaleString();
+const minutes = (n) => formatDuration(n * 60);
+
+// label: progress ring/bar title; amount: "3,000 words", "20m of voice"
+const GOALS = {
+  wordsPerDay: { per: "day", label: "Words", format: words, amount: (n) => `${words(n)} words`, value: (d) => d.words },
+  voiceMinutesPerDay: {
+    per: "day",
+    label: "Voice time",
+    format: minutes,
+    amount: (n) => `${minutes(n)} of voice`,
+    value: (d) => d.duration / 60,
+  },
+  wordsPerWeek: { per: "week", label: "Words this week", format: words, amount: (n) => `${words(n)} words`, value: (w) => w.words },
+};
+
+// Validated { wordsPerDay?, voiceMinutesPerDay?, wordsPerWeek? } from the
+// config's "goals"; {} when none are set
+function goalSettings(config) {
+  const goals = config ? config.settings.goals : undefined;
+  if (goals === undefined) return {};
+  const where = `"goals" in ${config.path}`;
+  if (!goals || typeof goals !== "object" || Array.isArray(goals)) throw new Error(`${where} must be an object`);
+  for (const [key, target] of Object.entries(goals)) {
+    if (!GOALS[key]) throw new Error(`Unknown goal "${key}" in ${config.path} (expected ${Object.keys(GOALS).join(", ")})`);
+    if (typeof target !== "number" || !(target > 0)) throw new Error(`${where}: ${key} must be a positive number`);
+  }
+  return goals;
+}
+
+function dayGoalKeys(targets) {
+  return Object.keys(targets).filter((key) => GOALS[key].per === "day");
+}
+
+function progress(key, target, value) {
+  return { goal: key, target, value: Math.round(value * 100) / 100, pct: Math.round((value / target) * 100), met: value >= target };
+}
+
+function rate(met, of) {
+  return { met, of, pct: of > 0 ? Math.round((met / of) * 100) : 0 };
+}
+
+// Goal block for a recap. days are dayBreakdown-style ({ date, words,
+// duration }); only days up to asOf count towards hit rates, so a week in
+// progress isn't marked down for days still to come. With one day (daily
+// recap) progress is against the daily goals; with week: true it's against
+// wordsPerWeek. Returns null when no goals are set.
+function buildGoals(targets, { days, asOf, week = false }) {
+  if (Object.keys(targets).length === 0) return null;
+  const dayKeys = dayGoalKeys(targets);
+  const elapsed = days.filter((d) => d.date <= asOf);
+  const meets = (d) => dayKeys.every((key) => GOALS[key].value(d) >= targets[key]);
+
+  const out = { targets, progress: [], hitRates: [], hitRate: null, metDates: [] };
+  if (days.length === 1) {
+    out.progress = dayKeys.map((key) => progress(key, targets[key], GOALS[key].value(days[0])));
+  } else {
+    out.hitRates = dayKeys.map((key) => ({ goal: key, ...rate(elapsed.filter((d) => GOALS[key].value(d) >= targets[key]).length, elapsed.length) }));
+  }
+  if (week && targets.wordsPerWeek) {
+    out.progress.push(progress("wordsPerWeek", targets.wordsPerWeek, days.reduce((sum, d) => sum + d.words, 0)));
+  }
+  if (dayKeys.length > 0) {
+    out.metDates = elapsed.filter(meets).map((d) => d.date);
+    out.hitRate = rate(out.metDates.length, elapsed.length);
+  }
+  return out;
+}
+
+// "2,100 / 3,000", "14m 30s / 20m"
+function progressValue(p) {
+  const { format } = GOALS[p.goal];
+  return `${format(p.value)} / ${format(p.target)}`;
+}
+
+// "Days at 3,000 words", "Days at 20m of voice"
+function hitRateLabel(goal, targets) {
+  return `Days at ${GOALS[goal].amount(targets[goal])}`;
+}
+
+// Rings for renderProgressRings: progress first, then daily hit rates
+function goalRings(goals) {
+  return [
+    ...goals.progress.map((p) => ({
+      pct: p.pct,
+      center: `${p.pct}%`,
+      label: GOALS[p.goal].label,
+      sublabel: progressValue(p),
+    })),
+    ...goals.hitRates.map((r) => ({
+      pct: r.pct,
+      center: `${r.met}/${r.of}`,
+      label: hitRateLabel(r.goal, goals.targets),
+      sublabel: `${r.pct}% hit rate`,
+    })),
+  ];
+}
+
+// "Hit every daily goal on 3 of 7 days (43%)" when there are several daily
+// goals (with one, its hit rate already says it), otherwise null
+function hitRateSentence(goals) {
+  const { hitRate } = goals;
+  if (!hitRate || goals.hitRates.length < 2) return null;
+  return `Hit every daily goal on ${hitRate.met} of ${hitRate.of} days (${hitRate.pct}%)`;
+}
+
+// "## Goals" section for the CLI renderers
+function goalList(goals) {
+  const out = ["## Goals\n"];
+  for (const p of goals.progress) {
+    out.push(
+      `${barChart(Math.min(p.value, p.target), p.target, 15)} ${GOALS[p.goal].label}: ${progressValue(p)} (${p.pct}%)${p.met ? " ✓" : ""}`
+    );
+  }
+  for (const r of goals.hitRates) {
+    out.push(`${barChart(r.met, Math.max(r.of, 1), 15)} ${hitRateLabel(r.goal, goals.targets)}: ${r.met} of ${r.of} (${r.pct}%)`);
+  }
+  const sentence = hitRateSentence(goals);
+  if (sentence) out.push(sentence);
+  out.push("");
+  return out;
+}
+
+module.exports = {
+  GOALS,
+  goalSettings,
+  buildGoals,
+  goalRings,
+  hitRateSentence,
+  goalList,
+};
@@ -0,0 +1,160 @@
+// App icons inlined into reports as data: URIs, so a saved report (and the
+// share card html2canvas paints) doesn't depend on icon hosts being
+// reachable. For each bundle ID the first of these wins:
+//
+//   1. icons/<bundle ID>.png next to the config file (your own)
+//   2. scripts/icons/<bundle ID>.png (shipped with the scripts)
+//   3. the registry's icon: data: URIs as they are, URLs from the cache
+//      directory once `apps.js icons` has downloaded them
+//   4. on macOS, the icon of the installed .app, converted once into the cache
+//
+// When none of them work the registry URL is used as before. Rendering never
+// downloads, so a report doesn't wait on icon hosts that are slow or gone.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { execFileSync } = require("child_process");
+const { defaultConfigPath, defaultCacheDir } = require("./config");
+const { appIconURL, isAppAliased } = require("./apps");
+
+const BUNDLED_ICON_DIR = path.join(__dirname, "..", "icons");
+const ICON_SIZE = 128;
+
+// Image types we inline, by their first bytes
+const IMAGE_SIGNATURES = [
+  ["image/png", [0x89, 0x50, 0x4e, 0x47]],
+  ["image/jpeg", [0xff, 0xd8, 0xff]],
+  ["image/gif", [0x47, 0x49, 0x46, 0x38]],
+  ["image/webp", [0x52, 0x49, 0x46, 0x46]],
+  ["image/x-icon", [0x00, 0x00, 0x01, 0x00]],
+];
+
+let iconDirs = null;
+const resolved = new Map();
+
+// { user, cache } directories for a config: icons/ next to the config file and
+// icons/ in the per-user cache directory
+function iconDirSettings(config) {
+  return {
+    user: path.join(path.dirname((config && config.path) || defaultConfigPath()), "icons"),
+    cache: path.join(defaultCacheDir(), "icons"),
+  };
+}
+
+// Makes appIconSrc look in dirs (see iconDirSettings); the commands install
+// the config's when they load it
+function setIconDirs(dirs = iconDirSettings(null)) {
+  iconDirs = dirs;
+  resolved.clear();
+}
+
+function imageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(([, bytes]) => buffer.length > bytes.length && bytes.every((b, i) => buffer[i] === b));
+  return match ? match[0] : null;
+}
+
+// data: URI for an image file, or null when it's missing or not an image
+function fileDataURI(file) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+  const type = imageType(buffer);
+  return type ? `data:${type};base64,${buffer.toString("base64")}` : null;
+}
+
+function iconFileName(bundleId, suffix = "") {
+  return `${bundleId.replace(/[^\w.-]/g, "_")}${suffix}.png`;
+}
+
+// Downloads url into file with curl (which ships with macOS, Windows 10+ and
+// most Linux installs), keeping the process synchronous like the rest of the
+// rendering. Failures leave no file behind.
+function download(url, file) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    execFileSync("curl", ["-fsSL", "--connect-timeout", "3", "--max-time", "10", "-o", file, url], { stdio: "ignore", timeout: 15000 });
+    if (fileDataURI(file)) return true;
+  } catch {
+    // offline, curl missing, or the host said no
+  }
+  fs.rmSync(file, { force: true });
+  return false;
+}
+
+// Converts the installed app's .icns to a PNG in file (macOS only): Spotlight
+// finds the .app, its Info.plist names the icon, sips converts it
+function extractMacIcon(bundleId, file) {
+  if (process.platform !== "darwin" || !/^[\w.-]+$/.test(bundleId)) return false;
+  const run = (cmd, args) => execFileSync(cmd, args, { encoding: "utf8", stdio: ["ignore", "pipe", "ignore"], timeout: 10000 }).trim();
+  try {
+    const app = run("mdfind", [`kMDItemCFBundleIdentifier == "${bundleId}"`])
+      .split("\n")
+      .find((p) => p.endsWith(".app"));
+    if (!app) return false;
+    let iconName = run("plutil", ["-extract", "CFBundleIconFile", "raw", "-o", "-", path.join(app, "Contents", "Info.plist")]);
+    if (!path.extname(iconName)) iconName += ".icns";
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    run("sips", ["-s", "format", "png", "-Z", String(ICON_SIZE), path.join(app, "Contents", "Resources", iconName), "--out", file]);
+    return Boolean(fileDataURI(file));
+  } catch {
+    fs.rmSync(file, { force: true });
+    return false;
+  }
+}
+
+// Where the icon for bundleId comes from: { source, src }, source being
+// "user", "bundled", "registry" (a data: URI), "downloaded" (just now, with
+// fetch), "cache", "app", "remote" (not inlined) or null (no icon, src null).
+// Aliased apps never get one. Resolved once per process.
+function resolveAppIcon(bundleId, { fetch = false } = {}) {
+  if (!iconDirs) setIconDirs();
+  if (resolved.has(bundleId) && !fetch) return resolved.get(bundleId);
+  const url = appIconURL(bundleId);
+  const result = (() => {
+    if (!bundleId || isAppAliased(bundleId)) return { source: null, src: null };
+    const user = fileDataURI(path.join(iconDirs.user, iconFileName(bundleId)));
+    if (user) return { source: "user", src: user };
+    const bundled = fileDataURI(path.join(BUNDLED_ICON_DIR, iconFileName(bundleId)));
+    if (bundled) return { source: "bundled", src: bundled };
+    if (url && url.startsWith("data:")) return { source: "registry", src: url };
+    if (url) {
+      // Keyed by the URL too, so a changed registry URL is fetched afresh
+      const hash = crypto.createHash("sha1").update(url).digest("hex").slice(0, 8);
+      const file = path.join(iconDirs.cache, iconFileName(bundleId, `-${hash}`));
+      const cached = fileDataURI(file);
+      if (cached) return { source: "cache", src: cached };
+      if (fetch && download(url, file)) return { source: "downloaded", src: fileDataURI(file) };
+    }
+    const appFile = path.join(iconDirs.cache, iconFileName(bundleId, "-app"));
+    if (fileDataURI(appFile) || extractMacIcon(bundleId, appFile)) return { source: "app", src: fileDataURI(appFile) };
+    return url ? { source: "remote", src: url } : { source: null, src: null };
+  })();
+  resolved.set(bundleId, result);
+  return result;
+}
+
+// Icon for an <img src>: a data: URI whenever one can be had, else the
+// registry URL, else null
+function appIconSrc(bundleId) {
+  return resolveAppIcon(bundleId).src;
+}
+
+// Only an inlined icon, or null; for the share card, which html2canvas can't
+// paint remote images onto reliably
+function inlineAppIcon(bundleId) {
+  const { src } = resolveAppIcon(bundleId);
+  return src && src.startsWith("data:") ? src : null;
+}
+
+module.exports = {
+  BUNDLED_ICON_DIR,
+  iconDirSettings,
+  setIconDirs,
+  resolveAppIcon,
+  appIconSrc,
+  inlineAppIcon,
+};
@@ -0,0 +1,48 @@
+// Public API for building Wispr Flow recaps from your own tooling:
+//
+//   const recap = require("wispr-flow-recap");
+//   const rows = recap.loadHistory({ start: "2026-02-02", end: "2026-02-08" });
+//   const data = recap.buildWeeklyRecap(rows, { week: recap.getWeekRange("2026-02-05") });
+//   console.log(recap.renderWeeklyCLI(data));
+//
+// The commands' own flag handling (cli.js) isn't part of it: its helpers print
+// and exit the process on bad input.
+
+module.exports = {
+  ...require("./config"),
+  ...require("./db"),
+  ...require("./apps"),
+  ...require("./sites"),
+  ...require("./languages"),
+  ...require("./corrections"),
+  ...require("./pace"),
+  ...require("./icons"),
+  ...require("./assets"),
+  ...require("./sharetemplates"),
+  ...require("./dates"),
+  ...require("./timezone"),
+  ...require("./format"),
+  ...require("./aggregate"),
+  ...require("./compare"),
+  ...require("./streaks"),
+  ...require("./sessions"),
+  ...require("./goals"),
+  ...require("./redact"),
+  ...require("./markdown"),
+  ...require("./json"),
+  ...require("./export"),
+  ...require("./search"),
+  ...require("./theme"),
+  ...require("./reports/daily"),
+  ...require("./reports/weekly"),
+  ...require("./reports/monthly"),
+  ...require("./reports/range"),
+  ...require("./reports/yearly"),
+};
+
+// Share images (and @resvg/resvg-js behind their PNGs) are only needed for
+// --share-image, so shareimage.js is required when one of its exports is
+// first used
+for (const name of ["SHARE_IMAGE_TYPES", "woffToSfnt", "fontMetrics", "renderShareCardSVG", "renderShareCardPNG", "writeShareImage"]) {
+  Object.defineProperty(module.exports, name, { enumerable: true, get: () => require("./shareimage")[name] });
+}
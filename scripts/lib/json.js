@@ -0,0 +1,28 @@
+// Machine-readable recaps (--json). The build*Recap objects are the JSON:
+// renderers read nothing that isn't in them, and schema/recap.schema.json
+// documents every field. Bump SCHEMA_VERSION on any change that could break
+// a consumer (renamed or removed fields, changed types); adding fields is fine.
+
+const SCHEMA_VERSION = 1;
+
+// Fields every recap starts with. filters are the --app / --exclude-app
+// lists the rows were narrowed by, or null.
+function recapMeta(report, timeZone, filters = null) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    report,
+    generatedAt: new Date().toISOString(),
+    timeZone,
+    filters,
+  };
+}
+
+function renderJSON(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  recapMeta,
+  renderJSON,
+};
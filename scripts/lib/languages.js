@@ -0,0 +1,105 @@
+// Languages dictated in, from History's language column (a language code
+// such as "en" or "es"): totals per language, the mix per app and per hour,
+// and how the mix changed over a week or month. Regional codes count towards
+// their language, so "en" and "en-US" are both English.
+
+const { friendlyAppName } = require("./apps");
+const { periodOf } = require("./dates");
+const { formatHour } = require("./format");
+const { localize } = require("./timezone");
+
+// Rows with no language are counted under this code (BCP 47 "undetermined")
+const UNKNOWN_LANGUAGE = "und";
+
+let displayNames = null;
+
+// "de" → "German", in the locale the reports are written in; the code itself
+// when Intl doesn't know it
+function languageName(code) {
+  if (!code || code === UNKNOWN_LANGUAGE) return "Unknown";
+  try {
+    displayNames = displayNames || new Intl.DisplayNames(["en-US"], { type: "language" });
+    return displayNames.of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+// A row's language as its primary subtag: "en-US" and "en_gb" → "en"
+function languageOf(r) {
+  const code = r.language && String(r.language).trim().split(/[-_]/)[0].toLowerCase();
+  return code || UNKNOWN_LANGUAGE;
+}
+
+// { count, languages: { code: count } } per key, in order of first use
+function mixBy(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, { count: 0, languages: {} });
+    const group = groups.get(key);
+    const code = languageOf(r);
+    group.count++;
+    group.languages[code] = (group.languages[code] || 0) + 1;
+  }
+  return groups;
+}
+
+// { languages, byApp, byHour, trend }:
+//   languages  [{ code, name, count, words }] ranked by dictation count
+//   byApp      [{ app, count, languages: { code: count } }] ranked the same way
+//   byHour     [{ hour, label, count, languages }] for hours with dictations
+//   trend      [{ label, startDate, count, languages }] per period, or null
+// periods ([{ label, startDate }], oldest first: the days of a week, the
+// weeks of a month) buckets the trend; a row goes in the last period starting
+// on or before its day.
+function languageBreakdown(rows, { periods = null } = {}) {
+  const totals = {};
+  for (const r of rows) {
+    const code = languageOf(r);
+    if (!totals[code]) totals[code] = { code, name: languageName(code), count: 0, words: 0 };
+    totals[code].count++;
+    totals[code].words += r.numWords || 0;
+  }
+
+  const byApp = [...mixBy(rows, (r) => friendlyAppName(r.app || "Unknown"))]
+    .map(([app, mix]) => ({ app, ...mix }))
+    .sort((a, b) => b.count - a.count);
+  const byHour = [...mixBy(rows, (r) => localize(r).localHour)]
+    .map(([hour, mix]) => ({ hour, label: formatHour(hour), ...mix }))
+    .sort((a, b) => a.hour - b.hour);
+
+  let trend = null;
+  if (periods) {
+    const mixes = mixBy(rows, (r) => periodOf(localize(r).localDate, periods));
+    trend = periods.map((p) => ({ label: p.label, startDate: p.startDate, ...(mixes.get(p.startDate) || { count: 0, languages: {} }) }));
+  }
+
+  return {
+    languages: Object.values(totals).sort((a, b) => b.count - a.count),
+    byApp,
+    byHour,
+    trend,
+  };
+}
+
+// Whether there's more than one language to break down
+function isMultilingual(breakdown) {
+  return breakdown.languages.length > 1;
+}
+
+// A mix ({ count, languages }) as [{ code, name, count, pct }], in the
+// overall ranking's order and without languages it doesn't use
+function mixShares(mix, breakdown) {
+  return breakdown.languages
+    .filter((l) => mix.languages[l.code])
+    .map((l) => ({ code: l.code, name: l.name, count: mix.languages[l.code], pct: Math.round((mix.languages[l.code] / mix.count) * 100) }));
+}
+
+module.exports = {
+  UNKNOWN_LANGUAGE,
+  languageName,
+  languageBreakdown,
+  isMultilingual,
+  mixShares,
+};
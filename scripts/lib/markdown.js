@@ -0,0 +1,203 @@
+// Markdown building blocks for the CLI renderers.
+
+const { barChart, formatChange, formatDuration } = require("./format");
+const { siteRows } = require("./sites");
+const { mixShares } = require("./languages");
+const { outlierNote } = require("./pace");
+
+// "_Only Slack · Personal details masked_" under a recap's title, from the
+// notes that apply (falsy ones are skipped)
+function headerNote(notes) {
+  const shown = notes.filter(Boolean);
+  return shown.length > 0 ? [`_${shown.join(" · ")}_\n`] : [];
+}
+
+// | Metric | Value | table from [[metric, value], ...]
+function overviewTable(rows) {
+  return ["## Overview\n", "| Metric | Value |", "|--------|-------|", ...rows.map(([k, v]) => `| ${k} | ${v} |`), ""];
+}
+
+// One bar per app, scaled to the most-used app, with a browser's sites
+// listed beneath it
+function appList(appsSorted, totalDictations) {
+  const out = ["## Apps Used\n"];
+  const maxAppCount = appsSorted[0]?.[1].count || 1;
+  for (const [name, stats] of appsSorted) {
+    const pct = Math.round((stats.count / totalDictations) * 100);
+    out.push(`${barChart(stats.count, maxAppCount, 15)} **${name}** — ${stats.count} dictations (${pct}%) · ${stats.words} words`);
+    if (!stats.sites || stats.sites.length === 0) continue;
+    for (const [site, s] of siteRows(stats)) {
+      out.push(`${" ".repeat(15)} ↳ ${site} — ${s.count} dictations (${Math.round((s.count / totalDictations) * 100)}%) · ${s.words} words`);
+    }
+  }
+  out.push("");
+  return out;
+}
+
+// One bar per period ({ label, count, words, appCount }), empty periods greyed out
+function periodList(title, periods) {
+  const out = [`## ${title}\n`];
+  const max = Math.max(...periods.map((p) => p.count), 1);
+  for (const p of periods) {
+    if (p.count === 0) {
+      out.push(`${barChart(0, max, 15)} ${p.label} — no dictations`);
+    } else {
+      out.push(`${barChart(p.count, max, 15)} **${p.label}** — ${p.count} dictations · ${p.words} words · ${p.appCount} apps`);
+    }
+  }
+  out.push("");
+  return out;
+}
+
+// " (+23% vs last week)" to append to an overview value
+function changeSuffix(d, vs, options = {}) {
+  if (!d) return "";
+  if (d.pct === null && !options.absolute) return d.change > 0 ? ` (none ${vs})` : "";
+  return ` (${formatChange(d, options)} vs ${vs})`;
+}
+
+// Rising, falling, new and dropped apps from compare.js's appChanges
+function appChangesList(changes, vs) {
+  const groups = [
+    ["New", "new"],
+    ["Rising", "rising"],
+    ["Falling", "falling"],
+    ["Dropped", "dropped"],
+  ];
+  const out = [`## Compared to ${vs}\n`];
+  for (const [title, status] of groups) {
+    const apps = changes.filter((a) => a.status === status);
+    if (apps.length === 0) continue;
+    const items = apps.map((a) => (status === "new" ? `${a.name} (${a.count})` : `${a.name} (${a.previous} → ${a.count}, ${formatChange(a)})`));
+    out.push(`**${title}:** ${items.join(", ")}`);
+  }
+  if (out.length === 1) out.push("Same apps, same usage.");
+  out.push("");
+  return out;
+}
+
+// Dictations per language, then the mix by app, by hour and over the
+// trend's periods (languageBreakdown)
+function languageList(breakdown, { trendTitle = "Over Time" } = {}) {
+  const total = breakdown.languages.reduce((sum, l) => sum + l.count, 0);
+  const max = breakdown.languages[0]?.count || 1;
+  const out = ["## Languages\n"];
+  for (const l of breakdown.languages) {
+    out.push(`${barChart(l.count, max, 15)} **${l.name}** — ${l.count} dictations (${Math.round((l.count / total) * 100)}%) · ${l.words} words`);
+  }
+  out.push("");
+  const mixText = (mix) => (mix.count > 0 ? mixShares(mix, breakdown).map((s) => `${s.name} ${s.pct}%`).join(" · ") : "no dictations");
+  const groups = [
+    ["By App", breakdown.byApp.map((a) => [a.app, a])],
+    ["By Hour", breakdown.byHour.map((h) => [h.label, h])],
+    ...(breakdown.trend ? [[trendTitle, breakdown.trend.map((p) => [p.label, p])]] : []),
+  ];
+  for (const [title, rows] of groups) {
+    out.push(`### ${title}\n`);
+    for (const [label, mix] of rows) out.push(`- **${label}** — ${mixText(mix)}`);
+    out.push("");
+  }
+  return out;
+}
+
+// paceBreakdown as a "Speaking Rate" section: the rate and typical length,
+// a histogram of lengths, then the rate per app, per hour and over trendTitle
+function paceList(pace, { trendTitle = "Over Time" } = {}) {
+  const out = ["## Speaking Rate\n"];
+  const length = (p) => `${p.toLocaleString()} words`;
+  if (pace.wpm !== null) out.push(`- **Rate:** ${pace.wpm} wpm on average · median ${pace.medianWpm} wpm (${pace.counted.toLocaleString()} timed dictations)`);
+  if (pace.duration.median !== null) {
+    out.push(`- **Length:** median ${length(pace.words.median)} · ${formatDuration(pace.duration.median)}; 90th percentile ${length(pace.words.p90)} · ${formatDuration(pace.duration.p90)}`);
+  }
+  const note = outlierNote(pace);
+  if (note) out.push(`\n_${note}._`);
+  out.push("");
+
+  const total = pace.lengths.reduce((sum, l) => sum + l.count, 0);
+  const maxLength = Math.max(...pace.lengths.map((l) => l.count), 1);
+  out.push("### Dictation Length\n");
+  for (const l of pace.lengths) {
+    out.push(`${barChart(l.count, maxLength, 15)} **${l.kind}** (${l.label} words) — ${l.count}${total > 0 ? ` (${Math.round((l.count / total) * 100)}%)` : ""}`);
+  }
+  out.push("");
+
+  const rate = (r) => `${r.wpm} wpm (${r.count} dictation${r.count === 1 ? "" : "s"})`;
+  const groups = [
+    ["By App", pace.byApp.map((a) => [a.app, a])],
+    ["By Hour", pace.byHour.map((h) => [h.label, h])],
+    ...(pace.trend ? [[trendTitle, pace.trend.filter((p) => p.count > 0).map((p) => [p.label, p])]] : []),
+  ];
+  for (const [title, rows] of groups) {
+    if (rows.length === 0) continue;
+    const max = Math.max(...rows.map(([, r]) => r.wpm));
+    out.push(`### ${title}\n`);
+    for (const [label, r] of rows) out.push(`${barChart(r.wpm, max, 15)} **${label}** — ${rate(r)}`);
+    out.push("");
+  }
+  return out;
+}
+
+// A diff's segments (compareTexts) inline: removed text struck through,
+// added text in bold
+function inlineDiff(segments) {
+  let out = "";
+  segments.forEach(([op, text], i) => {
+    if (op === "=") {
+      out += text;
+      return;
+    }
+    // Markers go inside the spaces around the text
+    const [, lead, body, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!body) {
+      if (op === "+") out += lead;
+      return;
+    }
+    const before = op === "+" && !lead && segments[i - 1]?.[0] === "-" ? " " : lead;
+    const mark = op === "-" ? "~~" : "**";
+    out += `${before}${mark}${body}${mark}${trail}`;
+  });
+  return out;
+}
+
+// analyzeCorrections as a "Corrections" section: what formatting changed in
+// total, the words it corrected most, and the most rewritten dictations
+function correctionList(corrections, { diffs = 5 } = {}) {
+  const c = corrections;
+  const out = ["## Corrections\n"];
+  if (c.analyzed === 0) {
+    out.push("No dictations with raw recognition text to compare.\n");
+    return out;
+  }
+  out.push(`Formatting rewrote ${c.editRate}% of ${c.asrWords.toLocaleString()} recognised words, changing ${c.changed} of ${c.analyzed} dictations.\n`);
+  const fillers = c.fillers.map(([word, n]) => `${word} ×${n}`).join(" · ");
+  out.push(`- **Word edits:** ${c.wordEdits.toLocaleString()}`);
+  out.push(`- **Filler words removed:** ${c.fillersRemoved.toLocaleString()}${fillers ? ` (${fillers})` : ""}`);
+  out.push(`- **Punctuation added:** ${c.punctuationAdded.toLocaleString()}`);
+  out.push(`- **Capitalisation fixes:** ${c.capitalizations.toLocaleString()}`);
+  out.push("");
+  if (c.topCorrections.length > 0) {
+    out.push("### Most Corrected\n");
+    for (const { from, to, count } of c.topCorrections) out.push(`- "${from}" → "${to}" ×${count}`);
+    out.push("");
+  }
+  if (c.dictations.length > 0 && diffs > 0) {
+    out.push("### Most Rewritten\n");
+    for (const d of c.dictations.slice(0, diffs)) {
+      out.push(`- ${d.time} · ${d.app} (${d.edits} edit${d.edits === 1 ? "" : "s"}): ${inlineDiff(d.segments)}`);
+    }
+    out.push("");
+  }
+  return out;
+}
+
+module.exports = {
+  headerNote,
+  overviewTable,
+  appList,
+  periodList,
+  changeSuffix,
+  appChangesList,
+  languageList,
+  paceList,
+  correctionList,
+};
@@ -0,0 +1,153 @@
+// Speaking rate and dictation length, from each row's numWords and duration:
+// words per minute overall, per app, per hour and over a week or month, how
+// long dictations run, and which ones can't be timed. Those (no duration, no
+// words, or a rate nobody speaks at) are left out of the rates and counted
+// as outliers.
+
+const { friendlyAppName } = require("./apps");
+const { periodOf } = require("./dates");
+const { formatHour } = require("./format");
+const { localize } = require("./timezone");
+
+// Rates outside this range are recording glitches or a held key, not speech
+const MIN_WPM = 10;
+const MAX_WPM = 400;
+
+// Dictation lengths in words, from one-line commands to long-form
+const LENGTH_BUCKETS = [
+  { label: "1–5", kind: "Commands", max: 5 },
+  { label: "6–20", kind: "Short", max: 20 },
+  { label: "21–60", kind: "Medium", max: 60 },
+  { label: "61–150", kind: "Long", max: 150 },
+  { label: "150+", kind: "Long-form", max: Infinity },
+];
+
+// 42 words in 18 seconds → 140
+function wordsPerMinute(words, seconds) {
+  return Math.round(words / (seconds / 60));
+}
+
+// Why a row's rate can't be trusted ("no duration", "no words", "too fast",
+// "too slow"), or null when it can
+function paceOutlier(r) {
+  const words = r.numWords || 0;
+  const seconds = r.duration || 0;
+  if (!(seconds > 0)) return "no duration";
+  if (words <= 0) return "no words";
+  const wpm = words / (seconds / 60);
+  if (wpm > MAX_WPM) return "too fast";
+  if (wpm < MIN_WPM) return "too slow";
+  return null;
+}
+
+// A row's words per minute, or null for an outlier
+function dictationWPM(r) {
+  return paceOutlier(r) ? null : wordsPerMinute(r.numWords, r.duration);
+}
+
+// Linear-interpolated percentile (0–100) of sorted numbers; null when empty
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const at = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(at);
+  const upper = Math.ceil(at);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (at - lower);
+}
+
+// { count, wpm } per key over timed rows, in order of first use. wpm is the
+// group's words over its minutes, so long dictations weigh more.
+function rateBy(rows, keyOf) {
+  const groups = new Map();
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, { count: 0, words: 0, seconds: 0 });
+    const group = groups.get(key);
+    group.count++;
+    group.words += r.numWords;
+    group.seconds += r.duration;
+  }
+  return new Map([...groups].map(([key, g]) => [key, { count: g.count, wpm: wordsPerMinute(g.words, g.seconds) }]));
+}
+
+// { wpm, medianWpm, counted, outliers, duration, words, lengths, byApp,
+// byHour, trend }:
+//   wpm, medianWpm  over the counted (timed) dictations; null when none are
+//   outliers        { count, reasons: { "no duration": n, ... } }
+//   duration        { median, p90 } seconds, of dictations with a duration
+//   words           { median, p90 } words per dictation
+//   lengths         [{ label, kind, count }] per LENGTH_BUCKETS bucket
+//   byApp           [{ app, count, wpm }] ranked by counted dictations
+//   byHour          [{ hour, label, count, wpm }] for hours with any
+//   trend           [{ label, startDate, count, wpm }] per period, or null
+// periods buckets the trend as for languageBreakdown: [{ label, startDate }],
+// oldest first, a row going in the last period starting on or before its day.
+function paceBreakdown(rows, { periods = null } = {}) {
+  const timed = [];
+  const reasons = {};
+  for (const r of rows) {
+    const reason = paceOutlier(r);
+    if (reason) reasons[reason] = (reasons[reason] || 0) + 1;
+    else timed.push(r);
+  }
+
+  const sorted = (values) => values.sort((a, b) => a - b);
+  const spread = (values) => ({
+    median: values.length ? Math.round(percentile(values, 50) * 10) / 10 : null,
+    p90: values.length ? Math.round(percentile(values, 90) * 10) / 10 : null,
+  });
+  const rates = sorted(timed.map((r) => r.numWords / (r.duration / 60)));
+  const overall = rateBy(timed, () => "all").get("all");
+
+  const lengths = LENGTH_BUCKETS.map((b) => ({ label: b.label, kind: b.kind, count: 0 }));
+  for (const r of rows) {
+    if (!(r.numWords > 0)) continue;
+    lengths[LENGTH_BUCKETS.findIndex((b) => r.numWords <= b.max)].count++;
+  }
+
+  let trend = null;
+  if (periods) {
+    const byPeriod = rateBy(timed, (r) => periodOf(localize(r).localDate, periods));
+    trend = periods.map((p) => ({ label: p.label, startDate: p.startDate, ...(byPeriod.get(p.startDate) || { count: 0, wpm: null }) }));
+  }
+
+  return {
+    wpm: overall ? overall.wpm : null,
+    medianWpm: rates.length ? Math.round(percentile(rates, 50)) : null,
+    counted: timed.length,
+    outliers: { count: rows.length - timed.length, reasons },
+    duration: spread(sorted(rows.filter((r) => r.duration > 0).map((r) => r.duration))),
+    words: spread(sorted(rows.map((r) => r.numWords || 0))),
+    lengths,
+    byApp: [...rateBy(timed, (r) => friendlyAppName(r.app || "Unknown"))]
+      .map(([app, rate]) => ({ app, ...rate }))
+      .sort((a, b) => b.count - a.count),
+    byHour: [...rateBy(timed, (r) => localize(r).localHour)]
+      .map(([hour, rate]) => ({ hour, label: formatHour(hour), ...rate }))
+      .sort((a, b) => a.hour - b.hour),
+    trend,
+  };
+}
+
+// "Left out of the rates: 79 dictations with no duration, 2 too fast (over
+// 400 wpm)", or null when nothing was
+function outlierNote(pace) {
+  const { count, reasons } = pace.outliers;
+  if (count === 0) return null;
+  const phrases = { "no duration": "with no duration", "no words": "with no words", "too fast": `too fast (over ${MAX_WPM} wpm)`, "too slow": `too slow (under ${MIN_WPM} wpm)` };
+  const parts = Object.entries(reasons)
+    .sort((a, b) => b[1] - a[1])
+    .map(([reason, n], i) => `${n}${i === 0 ? ` dictation${n === 1 ? "" : "s"}` : ""} ${phrases[reason]}`);
+  return `Left out of the rates: ${parts.join(", ")}`;
+}
+
+module.exports = {
+  MIN_WPM,
+  MAX_WPM,
+  LENGTH_BUCKETS,
+  wordsPerMinute,
+  paceOutlier,
+  dictationWPM,
+  percentile,
+  paceBreakdown,
+  outlierNote,
+};
@@ -0,0 +1,119 @@
+// Transcript redaction for recaps that get shared (--redact). Levels:
+//
+//   hide      no transcript text at all
+//   mask      emails, phone numbers, URLs, card-like numbers and the names
+//             listed in the config replaced by [email], [phone], ...
+//   keywords  each transcript replaced by its main words (masked first)
+//
+// Text is redacted while the recap is built, before snippets are cut short,
+// so the CLI, HTML and JSON output all show the same thing.
+
+const REDACT_LEVELS = ["hide", "mask", "keywords"];
+
+// Checked in order: emails before URLs and card numbers before phone numbers,
+// so each piece of text is claimed by the most specific pattern
+const PATTERNS = [
+  ["email", /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu],
+  ["url", /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]'’]/gi],
+  ["url", /\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|org|net|io|dev|app|ai|co|me|so|xyz|uk|de|fr|es)\b(?:\/[^\s<>"]*[^\s<>".,;:!?)\]'’])?/gi],
+  ["card", /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g],
+  // (555) 123-4567, 555-123-4567, 20 7946 0958, 0161 496 0000 or a bare
+  // 5551234567, each with an optional +country code. A four-digit first group
+  // must be followed by three digits, so ids and dates grouped 4-4-4
+  // ("2026 0205 1234") aren't phone numbers.
+  [
+    "phone",
+    /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?\d{3,4}[\s.-]?\d{4}|\d{2,3}[\s.-]\d{3,4}[\s.-]?\d{4}|\d{4}[\s.-]\d{3}[\s.-]\d{3,4}|\d{10,11})(?!\d)/g,
+  ],
+];
+
+const MASK_TOKEN = /\[(?:email|url|card|phone|name)\]/g;
+
+// Common words that say nothing about what a dictation was about
+const STOP_WORDS = new Set(
+  `about above after again against all also and any are aren't because been before being below between both but can
+  can't could couldn't did didn't does doesn't doing don't down during each few for from further get gets getting got
+  had hadn't has hasn't have haven't having her here hers herself him himself his how i'd i'll i'm i've into isn't it's
+  its itself just let's like make more most much must mustn't myself need not now off once only other our ours
+  ourselves out over own really same she she'd she'll she's should shouldn't some such than that that's the their
+  theirs them themselves then there there's these they they'd they'll they're they've thing things think this those
+  through too under until very want was wasn't we'd we'll we're we've were weren't what what's when when's where
+  where's which while who who's whom why why's will with won't would wouldn't yeah yes you you'd you'll you're you've
+  your yours yourself yourselves okay going gonna please check see ask tell say said know look send take put use let`.split(/\s+/)
+);
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Replaces sensitive details in text with [email], [url], [card], [phone]
+// and [name] (for each of names, matched as whole words, any case)
+function maskText(text, names = []) {
+  let out = text;
+  for (const [label, pattern] of PATTERNS) out = out.replace(pattern, `[${label}]`);
+  if (names.length > 0) {
+    // Longest first, so "Ana Lima" wins over "Ana"
+    const alternatives = [...names].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    out = out.replace(new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`, "giu"), "[name]");
+  }
+  return out;
+}
+
+// "pricing, launch, page": the most frequent meaningful words, or null when
+// there are none
+function keywordSummary(text, { count = 3 } = {}) {
+  const words = text.replace(MASK_TOKEN, " ").toLowerCase().match(/\p{L}[\p{L}\p{N}'’-]*/gu) || [];
+  const tally = new Map();
+  for (const word of words) {
+    if (word.length < 3 || STOP_WORDS.has(word.replace(/’/g, "'"))) continue;
+    tally.set(word, (tally.get(word) || 0) + 1);
+  }
+  // Map keeps first-seen order, and the sort is stable, so ties read in order
+  const top = [...tally].sort((a, b) => b[1] - a[1]).slice(0, count);
+  return top.length > 0 ? top.map(([word]) => word).join(", ") : null;
+}
+
+// Function from transcript text to what a recap may show of it (null for
+// nothing); the identity when redaction is null
+function makeRedactor(redaction) {
+  if (!redaction) return (text) => text;
+  const names = redaction.names || [];
+  if (redaction.level === "hide") return () => null;
+  if (redaction.level === "keywords") return (text) => keywordSummary(maskText(text, names));
+  return (text) => maskText(text, names);
+}
+
+// { level, names } from --redact (a level, bare for "mask", or "none") and
+// the config's "redact": { "level": "mask", "names": ["Ana", ...] }, or null
+// when nothing is redacted
+function redactionSettings(flag, config) {
+  const settings = (config && config.settings.redact) || {};
+  const where = config && config.path;
+  if (typeof settings !== "object" || Array.isArray(settings)) throw new Error(`"redact" in ${where} must be an object`);
+  const names = settings.names || [];
+  if (!Array.isArray(names) || names.some((n) => typeof n !== "string" || !n.trim())) {
+    throw new Error(`"redact.names" in ${where} must be a list of names`);
+  }
+  if (settings.level !== undefined && !REDACT_LEVELS.includes(settings.level)) {
+    throw new Error(`"redact.level" in ${where} must be one of: ${REDACT_LEVELS.join(", ")}`);
+  }
+
+  const level = flag === undefined ? settings.level : flag === true ? settings.level || "mask" : flag;
+  if (level === "none" || level === "off" || level === undefined) return null;
+  if (!REDACT_LEVELS.includes(level)) throw new Error(`--redact must be one of: ${REDACT_LEVELS.join(", ")}, none`);
+  return { level, names: names.map((n) => n.trim()) };
+}
+
+// Header note for a redacted recap, or null
+function redactionLabel(level) {
+  return { hide: "Transcripts hidden", mask: "Personal details masked", keywords: "Transcripts shown as keywords" }[level] || null;
+}
+
+module.exports = {
+  REDACT_LEVELS,
+  maskText,
+  keywordSummary,
+  makeRedactor,
+  redactionSettings,
+  redactionLabel,
+};
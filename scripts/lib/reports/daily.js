@@ -0,0 +1,405 @@
+// Daily recap: overview, apps, speaking rate, sessions and hour-by-hour
+// timeline, topic digest and every transcript of the day, plus what
+// formatting corrected when asked for.
+
+const agg = require("../aggregate");
+const { recapMeta } = require("../json");
+const { appFilterLabel } = require("../apps");
+const { appsAndSites } = require("../sites");
+const { makeRedactor, redactionLabel } = require("../redact");
+const { streakSummary, streakStat, streakBadge } = require("../streaks");
+const { buildGoals, goalRings, goalList } = require("../goals");
+const { topQuote } = require("../sharetemplates");
+const { buildSessions, DEFAULT_SESSION_GAP_MINUTES } = require("../sessions");
+const { languageBreakdown, isMultilingual } = require("../languages");
+const { paceBreakdown } = require("../pace");
+const { analyzeCorrections } = require("../corrections");
+const { systemTimeZone } = require("../timezone");
+const { formatDuration, formatHour, escapeHTML, formatDate, truncate } = require("../format");
+const { headerNote, overviewTable, appList, languageList, paceList, correctionList } = require("../markdown");
+const {
+  renderPage,
+  renderAppCards,
+  renderProgressRings,
+  renderTranscriptBrowser,
+  renderLanguageMix,
+  renderPace,
+  renderCorrections,
+  renderSection,
+  CHART_CSS,
+  GOALS_CSS,
+  TRANSCRIPTS_CSS,
+  LANGUAGES_CSS,
+  PACE_CSS,
+  CORRECTIONS_CSS,
+} = require("../theme");
+
+const DAILY_CSS = `
+  /* Timeline */
+  .timeline-block {
+    display: flex;
+    gap: 20px;
+    margin-bottom: 0;
+    padding: 20px 0;
+    border-bottom: 1px solid var(--border);
+  }
+  .timeline-block:first-child { padding-top: 0; }
+  .timeline-block:last-child { border-bottom: none; }
+  .time-label {
+    font-family: var(--font-mono);
+    font-size: 0.7rem;
+    font-weight: 500;
+    color: var(--accent);
+    min-width: 56px;
+    padding-top: 3px;
+    letter-spacing: 0.04em;
+  }
+  .time-body { flex: 1; }
+  .time-stats {
+    font-size: 0.8rem;
+    color: var(--text-muted);
+    margin-bottom: 10px;
+  }
+  .timeline-view[hidden] { display: none; }
+  .view-toggle { display: flex; gap: 6px; margin-bottom: 16px; }
+  .view-toggle button {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    letter-spacing: 0.08em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    background: none;
+    border: 1px solid var(--border);
+    border-radius: 999px;
+    padding: 4px 12px;
+    cursor: pointer;
+  }
+  .view-toggle button.active { color: var(--accent); border-color: var(--accent); background: var(--accent-light); }
+  .session-apps { font-size: 0.8rem; color: var(--text); margin-bottom: 6px; }
+  .session-thread summary {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    color: var(--text-muted);
+    letter-spacing: 0.04em;
+    cursor: pointer;
+  }
+  .session-thread .snippet { font-style: normal; }
+  .session-thread .tx-time { font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); margin-right: 6px; }
+  .snippet {
+    font-size: 0.85rem;
+    color: var(--text);
+    padding: 8px 12px;
+    background: var(--surface2);
+    border-left: 3px solid var(--border);
+    border-radius: 0 8px 8px 0;
+    margin-top: 6px;
+    font-style: italic;
+    line-height: 1.45;
+  }
+
+  /* Topics */
+  .topic-section { margin-bottom: 28px; }
+  .topic-section h3 {
+    font-family: var(--font-serif);
+    font-size: 1.25rem;
+    font-weight: 400;
+    margin-bottom: 10px;
+    color: var(--text);
+  }
+  .topic-section .count {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--text-muted);
+    font-weight: 400;
+    letter-spacing: 0.1em;
+    text-transform: uppercase;
+    background: var(--accent-light);
+    padding: 2px 8px;
+    border-radius: 999px;
+    vertical-align: middle;
+    position: relative;
+    top: -2px;
+  }
+  .topic-section ul {
+    padding-left: 0;
+    list-style: none;
+  }
+  .topic-section li {
+    font-size: 0.9rem;
+    color: var(--text-muted);
+    margin-bottom: 6px;
+    line-height: 1.5;
+    padding-left: 16px;
+    position: relative;
+  }
+  .topic-section li::before {
+    content: "";
+    position: absolute;
+    left: 0;
+    top: 10px;
+    width: 5px;
+    height: 5px;
+    border-radius: 50%;
+    background: var(--accent);
+    opacity: 0.5;
+  }
+`;
+
+// streaks from loadStreaks and goals from the config's "goals", if any;
+// redaction ({ level, names } from redactionSettings) applies to every
+// transcript shown, and only its level is kept in the recap. sessionGap is
+// the idle minutes that end a session (see sessions.js). corrections adds
+// the raw recognition vs formatted text analysis (see corrections.js).
+function buildDailyRecap(
+  rows,
+  { date, tz = systemTimeZone(), streaks = null, goals = {}, filters = null, redaction = null, sessionGap = DEFAULT_SESSION_GAP_MINUTES, corrections = false }
+) {
+  const totals = agg.summarize(rows);
+  const redact = makeRedactor(redaction);
+  const level = redaction ? redaction.level : null;
+  const day = { date, words: totals.totalWords, duration: totals.totalDuration };
+  const hourMap = agg.hourBreakdown(rows);
+  return {
+    ...recapMeta("daily", tz, filters),
+    targetDate: date,
+    ...totals,
+    appsSorted: agg.appBreakdown(rows),
+    languages: languageBreakdown(rows),
+    pace: paceBreakdown(rows),
+    hourMap,
+    peakHour: agg.peakHour(hourMap),
+    timelineBlocks: agg.timelineBlocks(rows, { redact }),
+    sessionGap,
+    sessions: buildSessions(rows, { tz, gapMinutes: sessionGap, redact }),
+    topics: agg.topicDigest(rows, { redact }),
+    dictations: level === "hide" ? [] : agg.dictationList(rows, { redact }),
+    corrections: corrections ? analyzeCorrections(rows, { redaction: level, redact }) : null,
+    redaction: level,
+    streaks,
+    goals: buildGoals(goals, { days: [day], asOf: date }),
+  };
+}
+
+function dayTitle(targetDate) {
+  return formatDate(targetDate, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+}
+
+// Transcripts are quoted; keyword summaries aren't what was said, so they're not
+function quoted(text, redaction) {
+  return redaction === "keywords" ? text : `"${text}"`;
+}
+
+// "9:14 AM – 9:32 AM", or one time for a session that ends the minute it starts
+function sessionSpan(session) {
+  return session.start === session.end ? session.start : `${session.start} – ${session.end}`;
+}
+
+// "2 app switches" after a session's apps, or ""
+function switchNote(session) {
+  return session.appSwitches > 0 ? ` (${session.appSwitches} app switch${session.appSwitches === 1 ? "" : "es"})` : "";
+}
+
+function headerNotes(data) {
+  return [appFilterLabel(data.filters), redactionLabel(data.redaction)];
+}
+
+// ===================== CLI =====================
+
+function renderDailyCLI(data) {
+  const { targetDate, totalDictations, totalWords, totalDuration, appsSorted, languages, pace, peakHour, timelineBlocks, sessions, topics, corrections, streaks, goals, redaction } = data;
+  const out = [];
+
+  out.push(`\n# Wispr Flow Daily Recap — ${dayTitle(targetDate)}\n`);
+  out.push(...headerNote(headerNotes(data)));
+
+  out.push(
+    ...overviewTable([
+      ["Dictations", totalDictations],
+      ["Total words", totalWords.toLocaleString()],
+      ["Voice time", formatDuration(totalDuration)],
+      ["Peak hour", peakHour ? `${formatHour(parseInt(peakHour[0]))} (${peakHour[1]} dictations)` : "N/A"],
+      ...(streaks ? [["Streak", streakSummary(streaks)]] : []),
+    ])
+  );
+  if (goals && goals.progress.length > 0) out.push(...goalList(goals));
+  out.push(...appList(appsSorted, totalDictations));
+  if (isMultilingual(languages)) out.push(...languageList(languages));
+  out.push(...paceList(pace));
+
+  // Timeline
+  out.push("## Timeline\n");
+  for (const block of timelineBlocks) {
+    out.push(`### ${block.label} — ${block.count} dictations · ${block.words} words`);
+    out.push(`Apps: ${block.apps.join(", ")}`);
+    for (const s of block.snippets) {
+      out.push(`> ${quoted(s, redaction)}`);
+    }
+    out.push("");
+  }
+
+  // Sessions, with the start of each one's thread
+  out.push("## Sessions\n");
+  for (const session of sessions) {
+    out.push(`### ${sessionSpan(session)} · ${formatDuration(session.duration)} — ${session.count} dictations · ${session.words} words`);
+    out.push(`Apps: ${session.apps.join(" → ")}${switchNote(session)}`);
+    const thread = session.thread.filter((d) => d.text);
+    for (const d of thread.slice(0, 3)) {
+      out.push(`> ${d.time} · ${d.app}: ${quoted(truncate(d.text, 100), redaction)}`);
+    }
+    if (thread.length > 3) out.push(`> …and ${thread.length - 3} more`);
+    out.push("");
+  }
+
+  // Transcript digest per app
+  out.push("## What You Worked On\n");
+  for (const topic of topics) {
+    out.push(`### ${topic.app} (${topic.count} dictations)\n`);
+    const samples = topic.samples.map((t) => `- ${quoted(t, redaction)}`);
+    if (samples.length > 0) out.push(samples.join("\n"));
+    out.push("");
+  }
+
+  if (corrections) out.push(...correctionList(corrections));
+
+  return out.join("\n");
+}
+
+// ===================== HTML =====================
+
+// Share card for renderShareCard (in the HTML) and writeShareImage
+function dailyShareCard(data) {
+  const { targetDate, totalDictations, totalWords, totalDuration, appsSorted, hourMap, peakHour, streaks } = data;
+  return {
+    type: "Daily Recap",
+    title: dayTitle(targetDate),
+    badge: streakBadge(streaks),
+    stats: [
+      { value: totalDictations, label: "Dictations" },
+      { value: totalWords.toLocaleString(), label: "Words" },
+      { value: formatDuration(totalDuration), label: "Voice Time" },
+    ],
+    appsSorted: appsAndSites(appsSorted),
+    totalDictations,
+    text: `I spoke ${totalWords.toLocaleString()} words across ${appsSorted.length} apps today using @WisprFlow`,
+    filename: `wispr-recap-${targetDate}.png`,
+    hourMap,
+    peakHour,
+    streaks,
+    quote: topQuote(data.dictations, data.redaction),
+  };
+}
+
+function renderDailyHTML(data, { selfContained = true, shareTemplate, shareFormat } = {}) {
+  const {
+    targetDate, totalDictations, totalWords, totalDuration, appsSorted, languages, pace, peakHour,
+    timelineBlocks, sessions, topics, dictations, corrections, streaks, goals, redaction,
+  } = data;
+  const dayName = dayTitle(targetDate);
+
+  const timelineItems = timelineBlocks
+    .map((block) => {
+      const snippetHTML = block.snippets.map((s) => `<div class="snippet">${quoted(escapeHTML(s), redaction)}</div>`).join("\n");
+      return `
+      <div class="timeline-block">
+        <div class="time-label">${block.label}</div>
+        <div class="time-body">
+          <div class="time-stats">${block.count} dictations · ${block.words} words · ${escapeHTML(block.apps.join(", "))}</div>
+          ${snippetHTML}
+        </div>
+      </div>`;
+    })
+    .join("\n");
+
+  const sessionItems = sessions
+    .map((session) => {
+      const thread = session.thread
+        .filter((d) => d.text)
+        .map((d) => `<div class="snippet"><span class="tx-time">${escapeHTML(d.time)} · ${escapeHTML(d.app)}</span>${quoted(escapeHTML(d.text), redaction)}</div>`)
+        .join("\n");
+      return `
+      <div class="timeline-block">
+        <div class="time-label">${escapeHTML(session.start)}</div>
+        <div class="time-body">
+          <div class="time-stats">${escapeHTML(sessionSpan(session))} · ${formatDuration(session.duration)} · ${session.count} dictations · ${session.words} words</div>
+          <div class="session-apps">${escapeHTML(session.apps.join(" → ") + switchNote(session))}</div>${thread ? `
+          <details class="session-thread">
+            <summary>Thread</summary>
+            ${thread}
+          </details>` : ""}
+        </div>
+      </div>`;
+    })
+    .join("\n");
+
+  // Sessions by default, with the hour buckets a click away
+  const timeline = `<div class="view-toggle" id="timelineToggle">
+      <button type="button" class="active" data-view="sessions">Sessions (${sessions.length})</button>
+      <button type="button" data-view="hours">By hour</button>
+    </div>
+    <div class="timeline-view" data-view="sessions">${sessionItems}
+    </div>
+    <div class="timeline-view" data-view="hours" hidden>${timelineItems}
+    </div>
+    <script>
+    document.getElementById("timelineToggle").addEventListener("click", (e) => {
+      const button = e.target.closest("button");
+      if (!button) return;
+      for (const b of button.parentElement.children) b.classList.toggle("active", b === button);
+      for (const view of document.querySelectorAll(".timeline-view")) view.hidden = view.dataset.view !== button.dataset.view;
+    });
+    </script>`;
+
+  const topicSections = topics
+    .map((topic) => {
+      const samples = topic.samples.map((t) => `<li>${quoted(escapeHTML(t), redaction)}</li>`).join("\n");
+      return `
+      <div class="topic-section">
+        <h3>${escapeHTML(topic.app)} <span class="count">${topic.count}</span></h3>
+        <ul>${samples}</ul>
+      </div>`;
+    })
+    .join("\n");
+
+  const headline = [
+    { value: totalDictations, label: "Dictations" },
+    { value: totalWords.toLocaleString(), label: "Words" },
+    { value: formatDuration(totalDuration), label: "Voice Time" },
+  ];
+
+  return renderPage({
+    title: `Wispr Flow Recap — ${dayName}`,
+    label: "Daily Recap",
+    heading: dayName,
+    subtitle: "Your voice, distilled — powered by Wispr Flow",
+    notes: headerNotes(data),
+    maxWidth: 700,
+    statColumns: 4,
+    css: DAILY_CSS + CHART_CSS + GOALS_CSS + TRANSCRIPTS_CSS + LANGUAGES_CSS + PACE_CSS + CORRECTIONS_CSS,
+    stats: [
+      ...headline,
+      { value: peakHour ? formatHour(parseInt(peakHour[0])) : "N/A", label: "Peak Hour" },
+      ...(streaks ? [streakStat(streaks)] : []),
+    ],
+    body: [
+      ...(goals && goals.progress.length > 0 ? [renderSection("Goals", renderProgressRings(goalRings(goals)))] : []),
+      renderSection("Apps", renderAppCards(appsSorted, totalDictations, { selfContained })),
+      ...(isMultilingual(languages) ? [renderSection("Languages", renderLanguageMix(languages))] : []),
+      renderSection("Speaking Rate", renderPace(pace)),
+      renderSection("Timeline", timeline),
+      renderSection("What You Worked On", topicSections),
+      ...(corrections ? [renderSection("Corrections", renderCorrections(corrections))] : []),
+      ...(dictations.length > 0 ? [renderSection("All Dictations", renderTranscriptBrowser(dictations))] : []),
+    ].join("\n"),
+    share: dailyShareCard(data),
+    shareTemplate,
+    shareFormat,
+    selfContained,
+  });
+}
+
+module.exports = {
+  buildDailyRecap,
+  renderDailyCLI,
+  renderDailyHTML,
+  dailyShareCard,
+};
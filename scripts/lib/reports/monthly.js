@@ -0,0 +1,208 @@
+// Monthly recap: week-by-week chart, day-of-week and hourly heatmaps, apps,
+// daily averages, speaking rate.
+
+const agg = require("../aggregate");
+const { recapMeta } = require("../json");
+const { appFilterLabel } = require("../apps");
+const { appsAndSites } = require("../sites");
+const { languageBreakdown, isMultilingual } = require("../languages");
+const { paceBreakdown } = require("../pace");
+const { buildComparison, comparisonHighlight } = require("../compare");
+const { streakSummary, streakStat, streakBadge } = require("../streaks");
+const { buildGoals, goalRings, goalList, hitRateSentence } = require("../goals");
+const { systemTimeZone, today } = require("../timezone");
+const { formatDuration, formatHour, escapeHTML, formatDate } = require("../format");
+const { headerNote, overviewTable, appList, periodList, changeSuffix, appChangesList, languageList, paceList } = require("../markdown");
+const {
+  renderPage,
+  renderAppCards,
+  renderBarChart,
+  renderHourHeatmap,
+  renderDowHeatmap,
+  renderCalendarHeatmap,
+  renderProgressRings,
+  renderLanguageMix,
+  renderPace,
+  renderSection,
+  CHART_CSS,
+  HOUR_HEATMAP_CSS,
+  DOW_HEATMAP_CSS,
+  DAILY_AVG_CSS,
+  CALENDAR_HEATMAP_CSS,
+  GOALS_CSS,
+  LANGUAGES_CSS,
+  PACE_CSS,
+} = require("../theme");
+
+// monthRange as returned by getMonthRange; previous, streaks and goals as for
+// buildWeeklyRecap
+function buildMonthlyRecap(rows, { monthRange, tz = systemTimeZone(), previous, streaks = null, goals = {}, filters = null }) {
+  const totals = agg.summarize(rows);
+  const allDays = agg.dayBreakdown(rows, monthRange);
+  const hourMap = agg.hourBreakdown(rows);
+  const appsSorted = agg.appBreakdown(rows);
+  const weeksSorted = agg.weekBreakdown(allDays);
+  return {
+    ...recapMeta("monthly", tz, filters),
+    monthRange,
+    ...totals,
+    allDays,
+    weeksSorted,
+    appsSorted,
+    languages: languageBreakdown(rows, { periods: weeksSorted }),
+    pace: paceBreakdown(rows, { periods: allDays.map((d) => ({ label: formatDate(d.date, { month: "short", day: "numeric" }), startDate: d.date })) }),
+    hourMap,
+    peakHour: agg.peakHour(hourMap),
+    busiestDay: agg.busiestDay(allDays),
+    ...agg.dayOfWeekBreakdown(allDays),
+    ...agg.dailyAverages(allDays, totals),
+    streaks,
+    goals: buildGoals(goals, { days: allDays, asOf: today(tz) }),
+    comparison: buildComparison("monthly", previous, { totals, appsSorted }),
+  };
+}
+
+// ===================== CLI =====================
+
+function renderMonthlyCLI(data) {
+  const {
+    monthRange, totalDictations, totalWords, totalDuration, uniqueApps,
+    weeksSorted, appsSorted, languages, pace, peakHour, busiestDay,
+    activeDays, avgDictationsPerDay, avgWordsPerDay, streaks, goals, comparison,
+  } = data;
+  const out = [];
+  const deltas = comparison ? comparison.deltas : {};
+  const vs = comparison && comparison.label;
+
+  const busiestDayLabel = formatDate(busiestDay.date, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+
+  out.push(`\n# Wispr Flow Monthly Recap — ${monthRange.label}\n`);
+  out.push(...headerNote([appFilterLabel(data.filters)]));
+
+  out.push(
+    ...overviewTable([
+      ["Dictations", totalDictations + changeSuffix(deltas.totalDictations, vs)],
+      ["Total words", totalWords.toLocaleString() + changeSuffix(deltas.totalWords, vs)],
+      ["Voice time", formatDuration(totalDuration) + changeSuffix(deltas.totalDuration, vs)],
+      ["Apps used", uniqueApps + changeSuffix(deltas.uniqueApps, vs, { absolute: true })],
+      ["Busiest day", `${busiestDayLabel} (${busiestDay.count} dictations)`],
+      ["Peak hour", peakHour ? `${formatHour(parseInt(peakHour[0]))} (${peakHour[1]} total)` : "N/A"],
+      ...(streaks ? [["Streak", streakSummary(streaks)]] : []),
+    ])
+  );
+  out.push(...periodList("Week by Week", weeksSorted));
+  if (goals && goals.hitRate) out.push(...goalList(goals));
+  out.push(...appList(appsSorted, totalDictations));
+  if (comparison) out.push(...appChangesList(comparison.apps, vs));
+  if (isMultilingual(languages)) out.push(...languageList(languages, { trendTitle: "Week by Week" }));
+  out.push(...paceList(pace, { trendTitle: "Day by Day" }));
+
+  // Daily averages
+  out.push(
+    `Daily average (across ${activeDays} active days): ${avgDictationsPerDay} dictations · ${avgWordsPerDay.toLocaleString()} words\n`
+  );
+
+  return out.join("\n");
+}
+
+// ===================== HTML =====================
+
+// Share card for renderShareCard (in the HTML) and writeShareImage
+function monthlyShareCard(data) {
+  const { monthRange, totalDictations, totalWords, totalDuration, uniqueApps, appsSorted, hourMap, peakHour, streaks, comparison } = data;
+  return {
+    type: "Monthly Recap",
+    title: monthRange.label,
+    highlight: comparisonHighlight(comparison),
+    badge: streakBadge(streaks),
+    stats: [
+      { value: totalDictations, label: "Dictations" },
+      { value: totalWords.toLocaleString(), label: "Words" },
+      { value: formatDuration(totalDuration), label: "Voice Time" },
+    ],
+    appsSorted: appsAndSites(appsSorted),
+    totalDictations,
+    text: `My ${monthRange.label} in voice: ${totalDictations} dictations across ${uniqueApps} apps with @WisprFlow`,
+    filename: `wispr-monthly-${monthRange.start.slice(0, 7)}.png`,
+    hourMap,
+    peakHour,
+    streaks,
+  };
+}
+
+function renderMonthlyHTML(data, { selfContained = true, shareTemplate, shareFormat } = {}) {
+  const {
+    monthRange, timeZone, totalDictations, totalWords, totalDuration, uniqueApps,
+    allDays, weeksSorted, appsSorted, languages, pace, hourMap, peakHour, busiestDay,
+    dowLabels, dowValues,
+    activeDays, avgDictationsPerDay, avgWordsPerDay, streaks, goals, comparison,
+  } = data;
+  const deltas = comparison ? comparison.deltas : {};
+  const vs = comparison && comparison.label;
+
+  const busiestDayLabel = formatDate(busiestDay.date, { weekday: "short", month: "short", day: "numeric" });
+  const showGoals = goals && goals.hitRate; // the weekly goal alone has nothing to show here
+
+  const weekBars = renderBarChart(
+    weeksSorted.map((w, i) => ({
+      count: w.count,
+      label: w.label,
+      sublabel: w.words > 0 ? w.words.toLocaleString() + "w" : "-",
+      ghost: comparison && comparison.weeks[i] ? comparison.weeks[i].count : undefined,
+    })),
+    { wide: true, ghostLabel: vs }
+  );
+
+  const dailyAvg = `
+  <div class="daily-avg">
+    Daily average across <strong>${activeDays}</strong> active days: <strong>${avgDictationsPerDay}</strong> dictations · <strong>${avgWordsPerDay.toLocaleString()}</strong> words
+  </div>`;
+
+  const headline = [
+    { value: totalDictations, label: "Dictations", delta: deltas.totalDictations, vs },
+    { value: totalWords.toLocaleString(), label: "Words", delta: deltas.totalWords, vs },
+    { value: formatDuration(totalDuration), label: "Voice Time", delta: deltas.totalDuration, vs, format: formatDuration },
+  ];
+
+  return renderPage({
+    title: `Wispr Flow Monthly Recap — ${monthRange.label}`,
+    label: "Monthly Recap",
+    heading: monthRange.label,
+    subtitle: "Your month in voice — powered by Wispr Flow",
+    notes: [appFilterLabel(data.filters)],
+    css: CHART_CSS + DOW_HEATMAP_CSS + HOUR_HEATMAP_CSS + DAILY_AVG_CSS + LANGUAGES_CSS + PACE_CSS + (showGoals ? CALENDAR_HEATMAP_CSS + GOALS_CSS : ""),
+    stats: [
+      ...headline,
+      { value: uniqueApps, label: "Apps", delta: deltas.uniqueApps, vs, absolute: true },
+      { value: escapeHTML(busiestDayLabel), label: "Best Day" },
+      { value: peakHour ? formatHour(parseInt(peakHour[0])) : "N/A", label: "Peak Hour" },
+      ...(streaks ? [streakStat(streaks)] : []),
+    ],
+    body: [
+      dailyAvg,
+      ...(showGoals
+        ? [
+            renderSection("Goals", renderProgressRings(goalRings(goals), { note: hitRateSentence(goals) })),
+            renderSection("Goal Calendar", renderCalendarHeatmap(allDays, { today: today(timeZone), cell: 28, goalDates: goals.metDates })),
+          ]
+        : []),
+      renderSection("Week by Week", weekBars),
+      renderSection("Day of Week", renderDowHeatmap(dowLabels, dowValues)),
+      renderSection("Hour by Hour", renderHourHeatmap(hourMap, { previous: comparison && comparison.hourMap, vs })),
+      renderSection("Apps", renderAppCards(appsSorted, totalDictations, { changes: comparison && comparison.apps, vs, selfContained })),
+      ...(isMultilingual(languages) ? [renderSection("Languages", renderLanguageMix(languages, { trendTitle: "Week by Week" }))] : []),
+      renderSection("Speaking Rate", renderPace(pace, { trendTitle: "Day by Day" })),
+    ].join("\n"),
+    share: monthlyShareCard(data),
+    shareTemplate,
+    shareFormat,
+    selfContained,
+  });
+}
+
+module.exports = {
+  buildMonthlyRecap,
+  renderMonthlyCLI,
+  renderMonthlyHTML,
+  monthlyShareCard,
+};
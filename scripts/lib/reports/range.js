@@ -0,0 +1,167 @@
+// Range recap: any span from --from to --to (a sprint, a quarter, a holiday).
+// Same building blocks as the weekly/monthly recaps, with the bar chart
+// switching between days, weeks and months depending on the span length.
+
+const agg = require("../aggregate");
+const { recapMeta } = require("../json");
+const { appFilterLabel } = require("../apps");
+const { appsAndSites } = require("../sites");
+const { systemTimeZone } = require("../timezone");
+const { formatDuration, formatHour, escapeHTML, formatDate } = require("../format");
+const { headerNote, overviewTable, appList, periodList } = require("../markdown");
+const {
+  renderPage,
+  renderAppCards,
+  renderBarChart,
+  renderHourHeatmap,
+  renderDowHeatmap,
+  renderSection,
+  CHART_CSS,
+  HOUR_HEATMAP_CSS,
+  DOW_HEATMAP_CSS,
+  DAILY_AVG_CSS,
+} = require("../theme");
+
+const GRANULARITY_TITLES = { day: "Day by Day", week: "Week by Week", month: "Month by Month" };
+
+// range: { start, end } as "YYYY-MM-DD", inclusive
+function buildRangeRecap(rows, { range, tz = systemTimeZone(), filters = null }) {
+  const totals = agg.summarize(rows);
+  const allDays = agg.dayBreakdown(rows, range);
+  const hourMap = agg.hourBreakdown(rows);
+  const { granularity, periods } = agg.periodBreakdown(allDays);
+  return {
+    ...recapMeta("range", tz, filters),
+    range: { ...range, days: allDays.length },
+    ...totals,
+    allDays,
+    granularity,
+    periods,
+    appsSorted: agg.appBreakdown(rows),
+    hourMap,
+    peakHour: agg.peakHour(hourMap),
+    busiestDay: agg.busiestDay(allDays),
+    ...agg.dayOfWeekBreakdown(allDays),
+    ...agg.dailyAverages(allDays, totals),
+  };
+}
+
+function rangeTitle({ start, end }, month = "short") {
+  const sameYear = start.slice(0, 4) === end.slice(0, 4);
+  const startLabel = formatDate(start, sameYear ? { month, day: "numeric" } : { month, day: "numeric", year: "numeric" });
+  const endLabel = formatDate(end, { month, day: "numeric", year: "numeric" });
+  return `${startLabel} – ${endLabel}`;
+}
+
+// ===================== CLI =====================
+
+function renderRangeCLI(data) {
+  const {
+    range, totalDictations, totalWords, totalDuration, uniqueApps,
+    granularity, periods, appsSorted, peakHour, busiestDay,
+    activeDays, avgDictationsPerDay, avgWordsPerDay,
+  } = data;
+  const out = [];
+
+  const busiestDayLabel = formatDate(busiestDay.date, { weekday: "long", month: "long", day: "numeric", year: "numeric" });
+
+  out.push(`\n# Wispr Flow Recap — ${rangeTitle(range)} (${range.days} days)\n`);
+  out.push(...headerNote([appFilterLabel(data.filters)]));
+
+  out.push(
+    ...overviewTable([
+      ["Dictations", totalDictations],
+      ["Total words", totalWords.toLocaleString()],
+      ["Voice time", formatDuration(totalDuration)],
+      ["Apps used", uniqueApps],
+      ["Active days", `${activeDays} of ${range.days}`],
+      ["Busiest day", `${busiestDayLabel} (${busiestDay.count} dictations)`],
+      ["Peak hour", peakHour ? `${formatHour(parseInt(peakHour[0]))} (${peakHour[1]} total)` : "N/A"],
+    ])
+  );
+  out.push(...periodList(GRANULARITY_TITLES[granularity], periods));
+  out.push(...appList(appsSorted, totalDictations));
+
+  out.push(
+    `Daily average (across ${activeDays} active days): ${avgDictationsPerDay} dictations · ${avgWordsPerDay.toLocaleString()} words\n`
+  );
+
+  return out.join("\n");
+}
+
+// ===================== HTML =====================
+
+function renderRangeHTML(data, { selfContained = true } = {}) {
+  const {
+    range, totalDictations, totalWords, totalDuration, uniqueApps,
+    granularity, periods, appsSorted, hourMap, peakHour, busiestDay,
+    dowLabels, dowValues,
+    activeDays, avgDictationsPerDay, avgWordsPerDay,
+  } = data;
+
+  const title = rangeTitle(range, "long");
+  const busiestDayLabel = formatDate(busiestDay.date, { weekday: "short", month: "short", day: "numeric" });
+
+  // Keep bar labels short enough to fit up to 31 columns
+  const barLabel = (p) => {
+    if (granularity === "week") return formatDate(p.startDate, { month: "short", day: "numeric" });
+    if (granularity === "day") return formatDate(p.startDate, range.days <= 7 ? { weekday: "short" } : { day: "numeric" });
+    return p.label;
+  };
+  const periodBars = renderBarChart(
+    periods.map((p) => ({
+      count: p.count,
+      label: barLabel(p),
+      sublabel: p.words > 0 ? p.words.toLocaleString() + "w" : "-",
+    })),
+    { wide: granularity !== "day" }
+  );
+
+  const dailyAvg = `
+  <div class="daily-avg">
+    Daily average across <strong>${activeDays}</strong> of <strong>${range.days}</strong> days: <strong>${avgDictationsPerDay}</strong> dictations · <strong>${avgWordsPerDay.toLocaleString()}</strong> words
+  </div>`;
+
+  const headline = [
+    { value: totalDictations, label: "Dictations" },
+    { value: totalWords.toLocaleString(), label: "Words" },
+    { value: formatDuration(totalDuration), label: "Voice Time" },
+  ];
+
+  return renderPage({
+    title: `Wispr Flow Recap — ${title}`,
+    label: "Range Recap",
+    heading: title,
+    subtitle: `${range.days} days in voice — powered by Wispr Flow`,
+    notes: [appFilterLabel(data.filters)],
+    css: CHART_CSS + DOW_HEATMAP_CSS + HOUR_HEATMAP_CSS + DAILY_AVG_CSS,
+    stats: [
+      ...headline,
+      { value: uniqueApps, label: "Apps" },
+      { value: escapeHTML(busiestDayLabel), label: "Best Day" },
+      { value: peakHour ? formatHour(parseInt(peakHour[0])) : "N/A", label: "Peak Hour" },
+    ],
+    body: [
+      dailyAvg,
+      renderSection(GRANULARITY_TITLES[granularity], periodBars),
+      renderSection("Day of Week", renderDowHeatmap(dowLabels, dowValues)),
+      renderSection("Hour by Hour", renderHourHeatmap(hourMap)),
+      renderSection("Apps", renderAppCards(appsSorted, totalDictations, { selfContained })),
+    ].join("\n"),
+    share: {
+      title,
+      stats: headline,
+      appsSorted: appsAndSites(appsSorted),
+      totalDictations,
+      text: `${range.days} days in voice: ${totalDictations} dictations across ${uniqueApps} apps with @WisprFlow`,
+      filename: `wispr-range-${range.start}-to-${range.end}.png`,
+    },
+    selfContained,
+  });
+}
+
+module.exports = {
+  buildRangeRecap,
+  renderRangeCLI,
+  renderRangeHTML,
+};
@@ -0,0 +1,193 @@
+// Weekly recap: Monday–Sunday overview, day-by-day chart, hourly heatmap, apps,
+// speaking rate.
+
+const agg = require("../aggregate");
+const { recapMeta } = require("../json");
+const { appFilterLabel } = require("../apps");
+const { appsAndSites } = require("../sites");
+const { languageBreakdown, isMultilingual } = require("../languages");
+const { paceBreakdown } = require("../pace");
+const { buildComparison, comparisonHighlight } = require("../compare");
+const { streakSummary, streakStat, streakBadge } = require("../streaks");
+const { buildGoals, goalRings, goalList, hitRateSentence } = require("../goals");
+const { systemTimeZone, today } = require("../timezone");
+const { formatDuration, formatHour, formatDate } = require("../format");
+const { headerNote, overviewTable, appList, periodList, changeSuffix, appChangesList, languageList, paceList } = require("../markdown");
+const {
+  renderPage,
+  renderAppCards,
+  renderBarChart,
+  renderHourHeatmap,
+  renderProgressRings,
+  renderLanguageMix,
+  renderPace,
+  renderSection,
+  CHART_CSS,
+  HOUR_HEATMAP_CSS,
+  GOALS_CSS,
+  LANGUAGES_CSS,
+  PACE_CSS,
+} = require("../theme");
+
+// week: { start, end } as returned by getWeekRange. previous is the
+// comparison period from queryComparison, streaks from loadStreaks and goals
+// the config's "goals", if any. filters are the app filters the rows were
+// queried with, for the header.
+function buildWeeklyRecap(rows, { week, tz = systemTimeZone(), previous, streaks = null, goals = {}, filters = null }) {
+  const totals = agg.summarize(rows);
+  const daySorted = agg.dayBreakdown(rows, week);
+  const hourMap = agg.hourBreakdown(rows);
+  const appsSorted = agg.appBreakdown(rows);
+  const days = daySorted.map((d) => ({ label: formatDate(d.date, { weekday: "short", month: "short", day: "numeric" }), startDate: d.date }));
+  return {
+    ...recapMeta("weekly", tz, filters),
+    week,
+    ...totals,
+    daySorted,
+    appsSorted,
+    languages: languageBreakdown(rows, { periods: days }),
+    pace: paceBreakdown(rows, { periods: days }),
+    hourMap,
+    peakHour: agg.peakHour(hourMap),
+    busiestDay: agg.busiestDay(daySorted),
+    streaks,
+    goals: buildGoals(goals, { days: daySorted, asOf: today(tz), week: true }),
+    comparison: buildComparison("weekly", previous, { totals, appsSorted }),
+  };
+}
+
+// ===================== CLI =====================
+
+function renderWeeklyCLI(data) {
+  const { week, totalDictations, totalWords, totalDuration, uniqueApps, daySorted, appsSorted, languages, pace, peakHour, busiestDay, streaks, goals, comparison } = data;
+  const out = [];
+  const met = new Set(goals ? goals.metDates : []);
+  const deltas = comparison ? comparison.deltas : {};
+  const vs = comparison && comparison.label;
+
+  const startLabel = formatDate(week.start, { month: "short", day: "numeric" });
+  const endLabel = formatDate(week.end, { month: "short", day: "numeric", year: "numeric" });
+
+  out.push(`\n# Wispr Flow Weekly Recap — ${startLabel} – ${endLabel}\n`);
+  out.push(...headerNote([appFilterLabel(data.filters)]));
+
+  out.push(
+    ...overviewTable([
+      ["Dictations", totalDictations + changeSuffix(deltas.totalDictations, vs)],
+      ["Total words", totalWords.toLocaleString() + changeSuffix(deltas.totalWords, vs)],
+      ["Voice time", formatDuration(totalDuration) + changeSuffix(deltas.totalDuration, vs)],
+      ["Apps used", uniqueApps + changeSuffix(deltas.uniqueApps, vs, { absolute: true })],
+      ["Busiest day", `${busiestDay.dayName} (${busiestDay.count} dictations)`],
+      ["Peak hour", peakHour ? `${formatHour(parseInt(peakHour[0]))} (${peakHour[1]} total)` : "N/A"],
+      ...(streaks ? [["Streak", streakSummary(streaks)]] : []),
+    ])
+  );
+  out.push(
+    ...periodList(
+      "Day by Day",
+      daySorted.map((d) => ({ ...d, label: formatDate(d.date, { weekday: "short", month: "short", day: "numeric" }) + (met.has(d.date) ? " ✓" : "") }))
+    )
+  );
+  if (goals) out.push(...goalList(goals));
+  out.push(...appList(appsSorted, totalDictations));
+  if (comparison) out.push(...appChangesList(comparison.apps, vs));
+  if (isMultilingual(languages)) out.push(...languageList(languages, { trendTitle: "Day by Day" }));
+  out.push(...paceList(pace, { trendTitle: "Day by Day" }));
+
+  return out.join("\n");
+}
+
+// ===================== HTML =====================
+
+// "February 2 – February 8, 2026"
+function weekTitle(week) {
+  const startLabel = formatDate(week.start, { month: "long", day: "numeric" });
+  const endLabel = formatDate(week.end, { month: "long", day: "numeric", year: "numeric" });
+  return `${startLabel} – ${endLabel}`;
+}
+
+// Share card for renderShareCard (in the HTML) and writeShareImage
+function weeklyShareCard(data) {
+  const { week, totalDictations, totalWords, totalDuration, uniqueApps, appsSorted, hourMap, peakHour, streaks, comparison } = data;
+  return {
+    type: "Weekly Recap",
+    title: weekTitle(week),
+    highlight: comparisonHighlight(comparison),
+    badge: streakBadge(streaks),
+    stats: [
+      { value: totalDictations, label: "Dictations" },
+      { value: totalWords.toLocaleString(), label: "Words" },
+      { value: formatDuration(totalDuration), label: "Voice Time" },
+    ],
+    appsSorted: appsAndSites(appsSorted),
+    totalDictations,
+    text: `My week in voice: ${totalDictations} dictations across ${uniqueApps} apps with @WisprFlow`,
+    filename: `wispr-weekly-${week.start}.png`,
+    hourMap,
+    peakHour,
+    streaks,
+  };
+}
+
+function renderWeeklyHTML(data, { selfContained = true, shareTemplate, shareFormat } = {}) {
+  const { week, timeZone, totalDictations, totalWords, totalDuration, uniqueApps, daySorted, appsSorted, languages, pace, hourMap, peakHour, busiestDay, streaks, goals, comparison } = data;
+  const met = new Set(goals ? goals.metDates : []);
+  const deltas = comparison ? comparison.deltas : {};
+  const vs = comparison && comparison.label;
+
+  const weekLabel = weekTitle(week);
+
+  const todayKey = today(timeZone);
+  const dayBars = renderBarChart(
+    daySorted.map((d, i) => ({
+      count: d.count,
+      label: formatDate(d.date, { weekday: "short" }),
+      sublabel: d.words > 0 ? d.words + "w" : "-",
+      today: d.date === todayKey,
+      ghost: comparison ? comparison.days[i].count : undefined,
+      goal: met.has(d.date),
+    })),
+    { ghostLabel: vs, goalLabel: goals && goals.hitRate ? "Goal met" : undefined }
+  );
+
+  const headline = [
+    { value: totalDictations, label: "Dictations", delta: deltas.totalDictations, vs },
+    { value: totalWords.toLocaleString(), label: "Words", delta: deltas.totalWords, vs },
+    { value: formatDuration(totalDuration), label: "Voice Time", delta: deltas.totalDuration, vs, format: formatDuration },
+  ];
+
+  return renderPage({
+    title: `Wispr Flow Weekly Recap — ${weekLabel}`,
+    label: "Weekly Recap",
+    heading: weekLabel,
+    subtitle: "Your week in voice — powered by Wispr Flow",
+    notes: [appFilterLabel(data.filters)],
+    css: CHART_CSS + HOUR_HEATMAP_CSS + GOALS_CSS + LANGUAGES_CSS + PACE_CSS,
+    stats: [
+      ...headline,
+      { value: uniqueApps, label: "Apps", delta: deltas.uniqueApps, vs, absolute: true },
+      { value: busiestDay.dayName, label: "Busiest Day" },
+      { value: peakHour ? formatHour(parseInt(peakHour[0])) : "N/A", label: "Peak Hour" },
+      ...(streaks ? [streakStat(streaks)] : []),
+    ],
+    body: [
+      ...(goals ? [renderSection("Goals", renderProgressRings(goalRings(goals), { note: hitRateSentence(goals) }))] : []),
+      renderSection("Day by Day", dayBars),
+      renderSection("Hour by Hour", renderHourHeatmap(hourMap, { previous: comparison && comparison.hourMap, vs })),
+      renderSection("Apps", renderAppCards(appsSorted, totalDictations, { changes: comparison && comparison.apps, vs, selfContained })),
+      ...(isMultilingual(languages) ? [renderSection("Languages", renderLanguageMix(languages, { trendTitle: "Day by Day" }))] : []),
+      renderSection("Speaking Rate", renderPace(pace, { trendTitle: "Day by Day" })),
+    ].join("\n"),
+    share: weeklyShareCard(data),
+    shareTemplate,
+    shareFormat,
+    selfContained,
+  });
+}
+
+module.exports = {
+  buildWeeklyRecap,
+  renderWeeklyCLI,
+  renderWeeklyHTML,
+  weeklyShareCard,
+};
@@ -0,0 +1,375 @@
+// Yearly recap ("year in review"): month-by-month chart, contribution
+// calendar, top apps per quarter, longest streak, biggest day, word count in
+// books, and a deck of share cards.
+
+const agg = require("../aggregate");
+const { recapMeta } = require("../json");
+const { appFilterLabel } = require("../apps");
+const { appsAndSites } = require("../sites");
+const { systemTimeZone, today } = require("../timezone");
+const { formatDuration, formatHour, formatCompact, escapeHTML, formatDate } = require("../format");
+const { headerNote, overviewTable, appList, periodList } = require("../markdown");
+const {
+  renderPage,
+  renderAppCards,
+  renderAppIcon,
+  renderBarChart,
+  renderHourHeatmap,
+  renderDowHeatmap,
+  renderCalendarHeatmap,
+  renderSection,
+  CHART_CSS,
+  HOUR_HEATMAP_CSS,
+  DOW_HEATMAP_CSS,
+  DAILY_AVG_CSS,
+  CALENDAR_HEATMAP_CSS,
+} = require("../theme");
+
+// Approximate word counts of well-known books, shortest first
+const BOOKS = [
+  { title: "The Old Man and the Sea", author: "Ernest Hemingway", words: 26601 },
+  { title: "Animal Farm", author: "George Orwell", words: 29966 },
+  { title: "The Great Gatsby", author: "F. Scott Fitzgerald", words: 47094 },
+  { title: "Harry Potter and the Philosopher's Stone", author: "J.K. Rowling", words: 76944 },
+  { title: "Nineteen Eighty-Four", author: "George Orwell", words: 88942 },
+  { title: "The Hobbit", author: "J.R.R. Tolkien", words: 95356 },
+  { title: "Pride and Prejudice", author: "Jane Austen", words: 122189 },
+  { title: "Moby-Dick", author: "Herman Melville", words: 206052 },
+  { title: "The Lord of the Rings", author: "J.R.R. Tolkien", words: 481103 },
+  { title: "War and Peace", author: "Leo Tolstoy", words: 587287 },
+];
+
+const YEARLY_CSS = `
+  /* Books */
+  .books { margin-top: 8px; }
+  .book {
+    display: flex;
+    align-items: baseline;
+    gap: 12px;
+    padding: 8px 0;
+    border-bottom: 1px solid var(--border);
+    font-size: 0.85rem;
+  }
+  .book:last-child { border-bottom: none; }
+  .book-title { flex: 1; color: var(--text); }
+  .book-author { color: var(--text-muted); font-size: 0.75rem; }
+  .book-times {
+    font-family: var(--font-serif);
+    font-style: italic;
+    font-size: 1.25rem;
+    color: var(--accent);
+    min-width: 64px;
+    text-align: right;
+  }
+
+  /* Quarters */
+  .quarter-grid {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 12px;
+  }
+  @media (min-width: 640px) {
+    .quarter-grid { grid-template-columns: repeat(4, 1fr); }
+  }
+  .quarter-card {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 12px;
+    padding: 14px 16px;
+  }
+  .quarter-label {
+    font-family: var(--font-serif);
+    font-style: italic;
+    font-size: 1.5rem;
+    line-height: 1.1;
+  }
+  .quarter-total {
+    font-family: var(--font-mono);
+    font-size: 0.55rem;
+    letter-spacing: 0.08em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    margin-bottom: 10px;
+  }
+  .quarter-app { display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 0.8rem; }
+  .quarter-app .app-icon, .quarter-app .app-icon-fallback { width: 22px; height: 22px; border-radius: 6px; font-size: 0.8rem; }
+  .quarter-app-name { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .quarter-app-pct { font-family: var(--font-mono); font-size: 0.6rem; color: var(--text-muted); }
+  .quarter-empty { font-size: 0.8rem; color: var(--text-muted); }
+
+  /* Share card bodies */
+  .sc-quarters { display: flex; gap: 24px; }
+  .sc-quarter {
+    flex: 1; background: rgba(255,255,255,0.6); border: 1px solid rgba(135,139,134,0.12);
+    border-radius: 16px; padding: 24px;
+  }
+  .sc-quarter-label { font-family: var(--font-serif); font-style: italic; font-size: 40px; line-height: 1; }
+  .sc-quarter-app { font-size: 22px; font-weight: 600; margin-top: 18px; }
+  .sc-quarter-pct { font-family: var(--font-mono); font-size: 13px; color: var(--text-muted); margin-top: 6px; }
+`;
+
+// Every book as { title, author, words, times } where times = totalWords / words
+function bookEquivalents(totalWords) {
+  return BOOKS.map((b) => ({ ...b, times: Math.round((totalWords / b.words) * 100) / 100 }));
+}
+
+// The longest book the year's words add up to at least once; below the
+// shortest book, the shortest one (times < 1)
+function bookComparison(totalWords) {
+  const books = bookEquivalents(totalWords);
+  return [...books].reverse().find((b) => totalWords >= b.words) || books[0];
+}
+
+// 6.63 → "6.6×"
+function timesLabel(times) {
+  return `${Number(times.toFixed(1))}×`;
+}
+
+function booksPhrase(book) {
+  return book.times >= 1 ? `${timesLabel(book.times)} ${book.title}` : `${Math.round(book.times * 100)}% of ${book.title}`;
+}
+
+// yearRange as returned by getYearRange
+function buildYearlyRecap(rows, { yearRange, tz = systemTimeZone(), filters = null }) {
+  const totals = agg.summarize(rows);
+  const allDays = agg.dayBreakdown(rows, yearRange);
+  const hourMap = agg.hourBreakdown(rows);
+  return {
+    ...recapMeta("yearly", tz, filters),
+    yearRange,
+    ...totals,
+    allDays,
+    monthsSorted: agg.monthBreakdown(allDays),
+    quarters: agg.quarterBreakdown(rows, yearRange.year),
+    appsSorted: agg.appBreakdown(rows),
+    hourMap,
+    peakHour: agg.peakHour(hourMap),
+    busiestDay: agg.busiestDay(allDays),
+    longestStreak: agg.longestStreak(allDays),
+    ...agg.dayOfWeekBreakdown(allDays),
+    ...agg.dailyAverages(allDays, totals),
+    books: bookEquivalents(totals.totalWords),
+    bookComparison: bookComparison(totals.totalWords),
+  };
+}
+
+function streakLabel(streak, month = "short") {
+  if (!streak) return "N/A";
+  const days = `${streak.length} day${streak.length === 1 ? "" : "s"}`;
+  if (streak.length === 1) return `${days} (${formatDate(streak.start, { month, day: "numeric" })})`;
+  return `${days} (${formatDate(streak.start, { month, day: "numeric" })} – ${formatDate(streak.end, { month, day: "numeric" })})`;
+}
+
+function quarterAppsLabel(q) {
+  return q.topApps.map(([name, s]) => `${name} (${Math.round((s.count / q.totalDictations) * 100)}%)`).join(", ");
+}
+
+// ===================== CLI =====================
+
+function renderYearlyCLI(data) {
+  const {
+    yearRange, totalDictations, totalWords, totalDuration, uniqueApps,
+    monthsSorted, quarters, appsSorted, peakHour, busiestDay, longestStreak,
+    activeDays, avgDictationsPerDay, avgWordsPerDay, bookComparison,
+  } = data;
+  const out = [];
+
+  const busiestDayLabel = formatDate(busiestDay.date, { weekday: "long", month: "long", day: "numeric" });
+
+  out.push(`\n# Wispr Flow Year in Review — ${yearRange.label}\n`);
+  out.push(...headerNote([appFilterLabel(data.filters)]));
+
+  out.push(
+    ...overviewTable([
+      ["Dictations", totalDictations.toLocaleString()],
+      ["Total words", totalWords.toLocaleString()],
+      ["Voice time", formatDuration(totalDuration)],
+      ["Apps used", uniqueApps],
+      ["Active days", `${activeDays} of ${yearRange.daysInYear}`],
+      ["Longest streak", streakLabel(longestStreak)],
+      ["Biggest day", `${busiestDayLabel} (${busiestDay.count} dictations · ${busiestDay.words.toLocaleString()} words)`],
+      ["Peak hour", peakHour ? `${formatHour(parseInt(peakHour[0]))} (${peakHour[1]} total)` : "N/A"],
+    ])
+  );
+  out.push(`That's ${booksPhrase(bookComparison)} (${bookComparison.author}) in spoken words.\n`);
+
+  out.push(...periodList("Month by Month", monthsSorted));
+
+  out.push("## Top Apps by Quarter\n");
+  for (const q of quarters) {
+    out.push(q.totalDictations > 0 ? `**${q.label}** — ${q.totalDictations} dictations: ${quarterAppsLabel(q)}` : `${q.label} — no dictations`);
+  }
+  out.push("");
+
+  out.push(...appList(appsSorted, totalDictations));
+
+  out.push(
+    `Daily average (across ${activeDays} active days): ${avgDictationsPerDay} dictations · ${avgWordsPerDay.toLocaleString()} words\n`
+  );
+
+  return out.join("\n");
+}
+
+// ===================== HTML =====================
+
+function renderQuarterCards(quarters, { selfContained }) {
+  const cards = quarters
+    .map((q) => {
+      const apps =
+        q.totalDictations > 0
+          ? q.topApps
+              .map(([name, s]) => `
+          <div class="quarter-app">
+            ${renderAppIcon(name, s.bundleId, { selfContained })}
+            <div class="quarter-app-name">${escapeHTML(name)}</div>
+            <div class="quarter-app-pct">${Math.round((s.count / q.totalDictations) * 100)}%</div>
+          </div>`)
+              .join("")
+          : `<div class="quarter-empty">No dictations</div>`;
+      return `
+      <div class="quarter-card">
+        <div class="quarter-label">${q.label}</div>
+        <div class="quarter-total">${q.totalDictations.toLocaleString()} dictations</div>${apps}
+      </div>`;
+    })
+    .join("\n");
+  return `<div class="quarter-grid">${cards}
+    </div>`;
+}
+
+function renderBookList(books) {
+  const rows = books
+    .filter((b) => b.times >= 0.1)
+    .map(
+      (b) => `
+      <div class="book">
+        <div class="book-title">${escapeHTML(b.title)} <span class="book-author">${escapeHTML(b.author)} · ${b.words.toLocaleString()} words</span></div>
+        <div class="book-times">${timesLabel(b.times)}</div>
+      </div>`
+    )
+    .join("");
+  return `<div class="books">${rows}
+    </div>`;
+}
+
+function renderYearlyHTML(data, { selfContained = true } = {}) {
+  const {
+    yearRange, timeZone, totalDictations, totalWords, totalDuration, uniqueApps,
+    allDays, monthsSorted, quarters, appsSorted, hourMap, peakHour, busiestDay, longestStreak,
+    dowLabels, dowValues, activeDays, avgDictationsPerDay, avgWordsPerDay, books, bookComparison,
+  } = data;
+  const year = yearRange.label;
+  const todayKey = today(timeZone);
+
+  const busiestDayLabel = formatDate(busiestDay.date, { month: "short", day: "numeric" });
+
+  const monthBars = renderBarChart(
+    monthsSorted.map((m) => ({
+      count: m.count,
+      label: formatDate(m.startDate, { month: "short" }),
+      sublabel: m.words > 0 ? formatCompact(m.words) + "w" : "-",
+      today: m.month === todayKey.slice(0, 7),
+    }))
+  );
+
+  const summary = `
+  <div class="daily-avg">
+    <strong>${totalWords.toLocaleString()}</strong> words — that's <strong>${escapeHTML(booksPhrase(bookComparison))}</strong>.
+    Daily average across <strong>${activeDays}</strong> active days: <strong>${avgDictationsPerDay}</strong> dictations · <strong>${avgWordsPerDay.toLocaleString()}</strong> words
+  </div>`;
+
+  const headline = [
+    { value: totalWords.toLocaleString(), label: "Words" },
+    { value: totalDictations.toLocaleString(), label: "Dictations" },
+    { value: formatDuration(totalDuration), label: "Voice Time" },
+  ];
+
+  const streakDays = longestStreak ? longestStreak.length : 0;
+  const topQuarterApps = quarters
+    .map((q) => {
+      const top = q.topApps[0];
+      return `<div class="sc-quarter">
+        <div class="sc-quarter-label">${q.label}</div>
+        <div class="sc-quarter-app">${top ? escapeHTML(top[0]) : "—"}</div>
+        <div class="sc-quarter-pct">${top ? `${Math.round((top[1].count / q.totalDictations) * 100)}% of dictations` : "no dictations"}</div>
+      </div>`;
+    })
+    .join("\n      ");
+
+  const cards = [
+    {
+      title: `${year}, day by day`,
+      filename: `wispr-year-${year}-calendar.png`,
+      body: `${renderCalendarHeatmap(allDays, { cell: 16, legend: false })}
+    <div class="sc-caption"><strong>${activeDays}</strong> active days · longest streak <strong>${streakDays}</strong> days</div>`,
+    },
+    {
+      title: `${year} in books`,
+      filename: `wispr-year-${year}-books.png`,
+      body: `<div class="sc-hero">${totalWords.toLocaleString()} words</div>
+    <div class="sc-caption">That's <strong>${escapeHTML(booksPhrase(bookComparison))}</strong> · ${escapeHTML(bookComparison.author)}</div>`,
+    },
+    {
+      title: `${year} highlights`,
+      filename: `wispr-year-${year}-highlights.png`,
+      body: `<div class="sc-stats">
+      <div class="sc-stat"><div class="sc-num">${streakDays} days</div><div class="sc-label">Longest Streak</div></div>
+      <div class="sc-stat"><div class="sc-num">${escapeHTML(busiestDayLabel)}</div><div class="sc-label">Biggest Day · ${busiestDay.words.toLocaleString()} words</div></div>
+      <div class="sc-stat"><div class="sc-num">${peakHour ? formatHour(parseInt(peakHour[0])) : "N/A"}</div><div class="sc-label">Peak Hour</div></div>
+    </div>
+    <div class="sc-caption">${uniqueApps} apps · ${formatDuration(totalDuration)} of voice</div>`,
+    },
+    {
+      title: `${year}, quarter by quarter`,
+      filename: `wispr-year-${year}-quarters.png`,
+      body: `<div class="sc-quarters">
+      ${topQuarterApps}
+    </div>
+    <div class="sc-caption">Top app each quarter</div>`,
+    },
+  ];
+
+  return renderPage({
+    title: `Wispr Flow Year in Review — ${year}`,
+    label: "Year in Review",
+    heading: `${year} in voice`,
+    subtitle: "Your year, spoken — powered by Wispr Flow",
+    notes: [appFilterLabel(data.filters)],
+    css: CHART_CSS + DOW_HEATMAP_CSS + HOUR_HEATMAP_CSS + DAILY_AVG_CSS + CALENDAR_HEATMAP_CSS + YEARLY_CSS,
+    stats: [
+      ...headline,
+      { value: `${activeDays}`, label: "Active Days" },
+      { value: `${streakDays}d`, label: "Longest Streak" },
+      { value: escapeHTML(busiestDayLabel), label: "Biggest Day" },
+    ],
+    body: [
+      summary,
+      renderSection("Month by Month", monthBars),
+      renderSection("Your Year in Days", renderCalendarHeatmap(allDays, { today: todayKey })),
+      renderSection("Top Apps by Quarter", renderQuarterCards(quarters, { selfContained })),
+      renderSection("Your Year in Books", renderBookList(books)),
+      renderSection("Day of Week", renderDowHeatmap(dowLabels, dowValues)),
+      renderSection("Hour by Hour", renderHourHeatmap(hourMap)),
+      renderSection("Apps", renderAppCards(appsSorted, totalDictations, { selfContained })),
+    ].join("\n"),
+    share: {
+      title: `${year} in voice`,
+      stats: headline,
+      appsSorted: appsAndSites(appsSorted),
+      totalDictations,
+      text: `My ${year} in voice: ${totalWords.toLocaleString()} words — ${booksPhrase(bookComparison)} — with @WisprFlow`,
+      filename: `wispr-year-${year}.png`,
+      cards,
+    },
+    selfContained,
+  });
+}
+
+module.exports = {
+  BOOKS,
+  bookEquivalents,
+  bookComparison,
+  buildYearlyRecap,
+  renderYearlyCLI,
+  renderYearlyHTML,
+};
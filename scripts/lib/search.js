@@ -0,0 +1,251 @@
+// Full-text search over transcripts. Dictations are copied into a sidecar
+// SQLite file with an FTS5 index, so searching years of history doesn't scan
+// History each time. The index is brought up to date before every search:
+// new dictations are appended, and anything else (archived or re-synced rows,
+// a different database, changed per-app rules) triggers a rebuild. Apps the
+// config excludes are never copied, and "countOnly" apps are copied without
+// their text, so the index holds no transcript the reports couldn't show.
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { ACTIVE_HISTORY } = require("./db");
+const { defaultCacheDir } = require("./config");
+const { isAppExcluded, showsTranscripts } = require("./apps");
+const { parseTimestamp } = require("./timezone");
+
+const INDEX_VERSION = "2";
+const SEARCH_MODES = ["words", "phrase", "regex"];
+
+// search.sqlite in the per-user cache directory
+function defaultIndexPath(platform = process.platform, env = process.env) {
+  return path.join(defaultCacheDir(platform, env), "search.sqlite");
+}
+
+const INDEX_SCHEMA = `
+  CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+  CREATE TABLE dictations (
+    id INTEGER PRIMARY KEY,
+    entityId TEXT UNIQUE,
+    timestamp TEXT NOT NULL,
+    app TEXT,
+    conversationId TEXT,
+    numWords INTEGER,
+    text TEXT NOT NULL
+  );
+  CREATE INDEX dictations_timestamp ON dictations(timestamp);
+  CREATE INDEX dictations_conversation ON dictations(conversationId, timestamp);
+  CREATE VIRTUAL TABLE dictations_fts USING fts5(text, content='dictations', content_rowid='id', tokenize='porter unicode61');
+  CREATE TRIGGER dictations_ai AFTER INSERT ON dictations BEGIN
+    INSERT INTO dictations_fts(rowid, text) VALUES (new.id, new.text);
+  END;
+`;
+
+function readMeta(index) {
+  return Object.fromEntries(index.prepare("SELECT key, value FROM meta").all().map((r) => [r.key, r.value]));
+}
+
+// Opens (creating if needed) the index at indexPath. A file from another
+// version of the schema is thrown away and recreated. Deleted rows are
+// overwritten on disk, so text dropped from the index doesn't linger in it.
+function openSearchIndex(indexPath = defaultIndexPath()) {
+  fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+  let index = new Database(indexPath);
+  index.pragma("secure_delete = ON");
+  const hasSchema = index.prepare("SELECT 1 FROM sqlite_master WHERE name = 'meta'").get();
+  if (hasSchema && readMeta(index).version === INDEX_VERSION) return index;
+
+  index.close();
+  fs.rmSync(indexPath, { force: true });
+  index = new Database(indexPath);
+  index.pragma("secure_delete = ON");
+  index.exec(INDEX_SCHEMA);
+  index.prepare("INSERT INTO meta (key, value) VALUES ('version', ?)").run(INDEX_VERSION);
+  return index;
+}
+
+// Copies dictations newer than the last indexed one from flow.sqlite (db) into
+// the index, rebuilding from scratch when the index no longer mirrors History,
+// was built from another file or under other per-app rules. Returns
+// { added, rebuilt, total }.
+function syncSearchIndex(index, db, { rebuild = false } = {}) {
+  const meta = readMeta(index);
+  const dbPath = path.resolve(db.name);
+  const apps = db.prepare(`SELECT app, COUNT(*) AS n FROM History WHERE ${ACTIVE_HISTORY} GROUP BY app`).all();
+  // "com.apple.MobileSMS:countOnly,com.hnc.Discord:exclude" for the apps in
+  // History whose text is kept out
+  const hidden = apps
+    .filter((a) => !showsTranscripts(a.app))
+    .map((a) => `${a.app}:${isAppExcluded(a.app) ? "exclude" : "countOnly"}`)
+    .sort()
+    .join(",");
+  const setMeta = index.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+  const insert = index.prepare(
+    `INSERT OR IGNORE INTO dictations (entityId, timestamp, app, conversationId, numWords, text)
+    VALUES (@transcriptEntityId, @timestamp, @app, @conversationId, @numWords, @formattedText)`
+  );
+  const select = db.prepare(
+    `SELECT transcriptEntityId, timestamp, app, conversationId, numWords, formattedText
+    FROM History
+    WHERE ${ACTIVE_HISTORY} AND julianday(timestamp) >= julianday(?)
+    ORDER BY timestamp ASC`
+  );
+
+  const copy = (since) =>
+    index.transaction(() => {
+      let added = 0;
+      let last = since;
+      for (const r of select.iterate(since)) {
+        r.timestamp = parseTimestamp(r.timestamp).toISOString();
+        last = r.timestamp;
+        if (isAppExcluded(r.app)) continue;
+        if (!showsTranscripts(r.app)) r.formattedText = "";
+        added += insert.run(r).changes;
+      }
+      setMeta.run("lastTimestamp", last);
+      setMeta.run("source", dbPath);
+      setMeta.run("hidden", hidden);
+      return added;
+    })();
+  const clear = () => {
+    index.exec("DELETE FROM dictations; INSERT INTO dictations_fts(dictations_fts) VALUES ('delete-all');");
+  };
+
+  let rebuilt = rebuild || meta.source !== dbPath || meta.hidden !== hidden;
+  if (rebuilt) clear();
+  let added = copy(rebuilt ? "0000-01-01" : meta.lastTimestamp || "0000-01-01");
+
+  const total = () => index.prepare("SELECT COUNT(*) AS n FROM dictations").get().n;
+  const expected = apps.filter((a) => !isAppExcluded(a.app)).reduce((sum, a) => sum + a.n, 0);
+  if (total() !== expected) {
+    clear();
+    rebuilt = true;
+    added = copy("0000-01-01");
+  }
+  return { added, rebuilt, total: total() };
+}
+
+// FTS5 query for what the user typed. Every word must appear (stemmed, so
+// "pricing" finds "price"); "quoted parts" must appear as phrases. phrase
+// treats the whole query as one phrase.
+function ftsQuery(query, { phrase = false } = {}) {
+  const quote = (s) => `"${s.replace(/"/g, '""')}"`;
+  if (phrase) return quote(query.trim());
+  const parts = [...query.matchAll(/"([^"]+)"|(\S+)/g)].map((m) => quote(m[1] || m[2]));
+  return parts.join(" ");
+}
+
+// [start, end) ranges of the text between \x01 … \x02 markers, and the text
+// without them
+function unmark(marked) {
+  const matches = [];
+  let text = "";
+  let start = null;
+  for (const ch of marked) {
+    if (ch === "\x01") start = text.length;
+    else if (ch === "\x02") {
+      matches.push([start, text.length]);
+      start = null;
+    } else text += ch;
+  }
+  return { text, matches };
+}
+
+// Search the index. mode is "words" (default), "phrase" or "regex" (a
+// case-insensitive JavaScript RegExp). from/until are instants bounding the
+// timestamps; appFilter a bundle ID predicate (see appMatcher). Words and
+// phrases are ranked by BM25 relevance, regex matches by how often they match,
+// then newest first. Each result has the matched [start, end) ranges. Apps
+// whose transcripts the config hides are never searched.
+function searchTranscripts(index, query, { mode = "words", from, until, appFilter = () => true, limit = 20 } = {}) {
+  if (!SEARCH_MODES.includes(mode)) throw new Error(`Search mode must be one of: ${SEARCH_MODES.join(", ")}`);
+  if (!query || !query.trim()) throw new Error("Nothing to search for");
+  const range = [from ? from.toISOString() : "0000", until ? until.toISOString() : "9999"];
+  const results = [];
+
+  if (mode === "regex") {
+    const re = new RegExp(query, "gi"); // a bad pattern throws "Invalid regular expression: …"
+    const rows = index
+      .prepare("SELECT * FROM dictations WHERE timestamp >= ? AND timestamp < ? ORDER BY timestamp DESC")
+      .iterate(...range);
+    for (const r of rows) {
+      if (!showsTranscripts(r.app) || !appFilter(r.app)) continue;
+      const matches = [...r.text.matchAll(re)].filter((m) => m[0].length > 0).map((m) => [m.index, m.index + m[0].length]);
+      if (matches.length > 0) results.push({ ...r, score: matches.length, matches });
+    }
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+
+  const rows = index
+    .prepare(
+      `SELECT d.*, bm25(dictations_fts) AS score, highlight(dictations_fts, 0, char(1), char(2)) AS marked
+      FROM dictations_fts JOIN dictations d ON d.id = dictations_fts.rowid
+      WHERE dictations_fts MATCH ? AND d.timestamp >= ? AND d.timestamp < ?
+      ORDER BY score, d.timestamp DESC`
+    )
+    .iterate(ftsQuery(query, { phrase: mode === "phrase" }), ...range);
+  for (const { marked, ...r } of rows) {
+    if (!showsTranscripts(r.app) || !appFilter(r.app)) continue;
+    // bm25 is lower-is-better; flip it so higher scores rank first everywhere
+    results.push({ ...r, score: -r.score, ...unmark(marked) });
+    if (results.length === limit) break;
+  }
+  return results;
+}
+
+// Dictations just before and after a result in the same conversation,
+// skipping any whose transcripts the config hides or that appFilter (as for
+// searchTranscripts) leaves out
+function conversationContext(index, result, { before = 1, after = 1, appFilter = () => true } = {}) {
+  if (!result.conversationId) return { before: [], after: [] };
+  const nearby = (sql, n) => {
+    const out = [];
+    for (const r of index.prepare(sql).iterate(result.conversationId, result.timestamp)) {
+      if (out.length === n) break;
+      if (showsTranscripts(r.app) && appFilter(r.app)) out.push(r);
+    }
+    return out;
+  };
+  return {
+    before: nearby("SELECT * FROM dictations WHERE conversationId = ? AND timestamp < ? ORDER BY timestamp DESC", before).reverse(),
+    after: nearby("SELECT * FROM dictations WHERE conversationId = ? AND timestamp > ? ORDER BY timestamp ASC", after),
+  };
+}
+
+// Up to `width` characters of text around the first match, with every match
+// in the window wrapped by mark() and "…" where text was cut
+function highlightExcerpt(text, matches, { width = 200, mark = (s) => `**${s}**` } = {}) {
+  const clean = text.replace(/\s/g, " "); // one for one, so match offsets still line up
+  const first = matches.length > 0 ? matches[0][0] : 0;
+  const start = Math.max(0, Math.min(first - Math.floor(width / 3), clean.length - width));
+  const end = Math.min(clean.length, start + width);
+
+  // Matches separated only by spaces read as one: **pricing page**
+  const merged = [];
+  for (const [a, b] of matches) {
+    const prev = merged[merged.length - 1];
+    if (prev && clean.slice(prev[1], a).trim() === "") prev[1] = Math.max(prev[1], b);
+    else merged.push([a, b]);
+  }
+
+  let out = start > 0 ? "…" : "";
+  let pos = start;
+  for (const [a, b] of merged) {
+    if (b <= pos || a >= end) continue;
+    out += clean.slice(pos, Math.max(a, pos)) + mark(clean.slice(Math.max(a, pos), Math.min(b, end)));
+    pos = Math.min(b, end);
+  }
+  return out + clean.slice(pos, end) + (end < clean.length ? "…" : "");
+}
+
+module.exports = {
+  SEARCH_MODES,
+  defaultIndexPath,
+  openSearchIndex,
+  syncSearchIndex,
+  ftsQuery,
+  searchTranscripts,
+  conversationContext,
+  highlightExcerpt,
+};
@@ -0,0 +1,78 @@
+// Dictation sessions: the bursts a day's dictations come in. A dictation
+// carries on the session before it when it starts within an idle gap of the
+// previous one ending; otherwise it starts a new session, even when it's in
+// the same conversation (History's conversationId), since a conversation
+// picked up hours later is a new burst. The gap comes from
+//
+//   "sessions": { "gapMinutes": 10 }
+//
+// in the config file, or --session-gap.
+
+const { friendlyAppName } = require("./apps");
+const { dictationList } = require("./aggregate");
+const { formatClock } = require("./format");
+const { parseTimestamp, zonedParts, systemTimeZone } = require("./timezone");
+
+const DEFAULT_SESSION_GAP_MINUTES = 10;
+
+// Idle gap in minutes from flag (--session-gap), else the config's
+// "sessions.gapMinutes", else the default
+function sessionGapSettings(flag, config) {
+  if (flag !== undefined && flag !== true) {
+    const minutes = Number(flag);
+    if (!(minutes > 0)) throw new Error("--session-gap must be a number of minutes, e.g. --session-gap=15");
+    return minutes;
+  }
+  const settings = config ? config.settings.sessions : undefined;
+  if (settings === undefined) return DEFAULT_SESSION_GAP_MINUTES;
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) throw new Error(`"sessions" in ${config.path} must be an object`);
+  if (settings.gapMinutes === undefined) return DEFAULT_SESSION_GAP_MINUTES;
+  if (typeof settings.gapMinutes !== "number" || !(settings.gapMinutes > 0)) {
+    throw new Error(`"sessions.gapMinutes" in ${config.path} must be a positive number`);
+  }
+  return settings.gapMinutes;
+}
+
+// Sessions in rows (oldest first, as queryHistory returns them):
+// [{ start, end, startHour, duration, voiceTime, count, words, apps,
+// appSwitches, thread }]. start and end are clock times in tz, duration the
+// seconds from the first dictation starting to the last one ending, apps the
+// apps used in order of first use, appSwitches how often the app changed,
+// and thread the session's dictations as dictationList entries (redacted
+// with redact the same way).
+function buildSessions(rows, { tz = systemTimeZone(), gapMinutes = DEFAULT_SESSION_GAP_MINUTES, redact } = {}) {
+  const dictations = dictationList(rows, { redact });
+  const groups = [];
+  let previous = null;
+  rows.forEach((r, i) => {
+    const start = parseTimestamp(r.timestamp).getTime();
+    if (!previous || start - previous.end > gapMinutes * 60000) groups.push([]);
+    groups[groups.length - 1].push({ row: r, dictation: dictations[i], start, end: start + (r.duration || 0) * 1000 });
+    previous = groups[groups.length - 1].at(-1);
+  });
+
+  return groups.map((items) => {
+    const first = items[0];
+    const end = Math.max(...items.map((item) => item.end));
+    const endParts = zonedParts(new Date(end), tz);
+    const apps = items.map((item) => friendlyAppName(item.row.app || "Unknown"));
+    return {
+      start: first.dictation.time,
+      end: formatClock(endParts.hour, endParts.minute),
+      startHour: first.dictation.hour,
+      duration: Math.round((end - first.start) / 1000),
+      voiceTime: items.reduce((sum, item) => sum + (item.row.duration || 0), 0),
+      count: items.length,
+      words: items.reduce((sum, item) => sum + (item.row.numWords || 0), 0),
+      apps: [...new Set(apps)],
+      appSwitches: apps.filter((app, i) => i > 0 && app !== apps[i - 1]).length,
+      thread: items.map((item) => item.dictation),
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_SESSION_GAP_MINUTES,
+  sessionGapSettings,
+  buildSessions,
+};
@@ -0,0 +1,514 @@
+// Share cards as standalone SVGs or PNGs, for --share-image. The browser
+// version is .share-card in theme.js, painted by html2canvas; this
+// lays out the same boxes with the same CSS numbers, measuring text with the
+// report fonts' own metrics, so the two match without a browser. PNGs are
+// rasterised by resvg.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { defaultCacheDir } = require("./config");
+const { fontFaces, inlineFontCSS } = require("./assets");
+const { inlineAppIcon } = require("./icons");
+const { escapeHTML } = require("./format");
+const { heatOpacity } = require("./theme");
+const { SHARE_FORMATS, templateUnavailable, templateContent } = require("./sharetemplates");
+
+const SHARE_IMAGE_TYPES = ["png", "svg"];
+
+const COLORS = {
+  bg: "#f5f4ed",
+  text: "#0b0d0b",
+  muted: "#52534e",
+  accent: "#f34e3f",
+  bar: "#2d2d2d",
+};
+
+// Text styles from the .sc-* rules (line-height 1.5 unless set, as inherited
+// from body; the card itself is at the body's 20px)
+const STYLES = {
+  body: { family: "Inter", weight: 400, style: "normal", size: 20 },
+  brand: { family: "JetBrains Mono", weight: 500, style: "normal", size: 14, spacing: 0.14, upper: true, color: COLORS.accent },
+  type: { family: "JetBrains Mono", weight: 500, style: "normal", size: 13, spacing: 0.12, upper: true, color: COLORS.muted },
+  badge: { family: "JetBrains Mono", weight: 500, style: "normal", size: 13, spacing: 0.12, upper: true, color: COLORS.bg },
+  title: { family: "Instrument Serif", weight: 400, style: "italic", size: 52, lineHeight: 1.15, color: COLORS.text },
+  highlight: { family: "JetBrains Mono", weight: 500, style: "normal", size: 15, spacing: 0.06, color: COLORS.accent },
+  num: { family: "Instrument Serif", weight: 400, style: "normal", size: 44, lineHeight: 1.1, color: COLORS.text },
+  label: { family: "JetBrains Mono", weight: 500, style: "normal", size: 11, spacing: 0.14, upper: true, color: COLORS.muted },
+  appName: { family: "Inter", weight: 600, style: "normal", size: 16, color: COLORS.text },
+  pct: { family: "JetBrains Mono", weight: 400, style: "normal", size: 14, color: COLORS.muted },
+  caption: { family: "JetBrains Mono", weight: 500, style: "normal", size: 15, spacing: 0.1, upper: true, color: COLORS.muted },
+  heatLabel: { family: "JetBrains Mono", weight: 500, style: "normal", size: 12, color: COLORS.muted },
+  hero: { family: "Instrument Serif", weight: 400, style: "italic", size: 96, lineHeight: 1, color: COLORS.text },
+  quote: { family: "Instrument Serif", weight: 400, style: "italic", size: 40, lineHeight: 1.25, color: COLORS.text },
+};
+
+// --- Fonts ---
+
+// WOFF 1.0 → the TrueType/OpenType file inside it (tables are stored
+// zlib-compressed when that made them smaller)
+function woffToSfnt(woff) {
+  const numTables = woff.readUInt16BE(12);
+  const tables = [];
+  for (let i = 0; i < numTables; i++) {
+    const at = 44 + i * 20;
+    const [offset, compLength, origLength] = [woff.readUInt32BE(at + 4), woff.readUInt32BE(at + 8), woff.readUInt32BE(at + 12)];
+    const raw = woff.subarray(offset, offset + compLength);
+    tables.push({ tag: woff.subarray(at, at + 4), checksum: woff.readUInt32BE(at + 16), data: compLength < origLength ? zlib.inflateSync(raw) : raw });
+  }
+
+  const entrySelector = Math.floor(Math.log2(numTables));
+  const header = Buffer.alloc(12 + numTables * 16);
+  header.writeUInt32BE(woff.readUInt32BE(4), 0);
+  header.writeUInt16BE(numTables, 4);
+  header.writeUInt16BE(2 ** entrySelector * 16, 6);
+  header.writeUInt16BE(entrySelector, 8);
+  header.writeUInt16BE(numTables * 16 - 2 ** entrySelector * 16, 10);
+  const chunks = [header];
+  let offset = header.length;
+  tables.forEach((t, i) => {
+    t.tag.copy(header, 12 + i * 16);
+    header.writeUInt32BE(t.checksum, 16 + i * 16);
+    header.writeUInt32BE(offset, 20 + i * 16);
+    header.writeUInt32BE(t.data.length, 24 + i * 16);
+    const padded = Buffer.alloc(Math.ceil(t.data.length / 4) * 4);
+    t.data.copy(padded);
+    chunks.push(padded);
+    offset += padded.length;
+  });
+  return Buffer.concat(chunks);
+}
+
+// { unitsPerEm, ascender, descender, advance(codePoint) } from a TrueType
+// file's head, hhea, hmtx and cmap tables; advance is null for characters
+// the font doesn't have
+function fontMetrics(sfnt) {
+  const tables = {};
+  for (let i = 0; i < sfnt.readUInt16BE(4); i++) {
+    const at = 12 + i * 16;
+    tables[sfnt.toString("latin1", at, at + 4)] = sfnt.readUInt32BE(at + 8);
+  }
+  const unitsPerEm = sfnt.readUInt16BE(tables.head + 18);
+  const hhea = tables.hhea;
+  const numberOfHMetrics = sfnt.readUInt16BE(hhea + 34);
+
+  // Windows Unicode subtable: format 12 (full range) or 4 (BMP)
+  const glyphs = new Map();
+  const cmap = tables.cmap;
+  const subtables = [];
+  for (let i = 0; i < sfnt.readUInt16BE(cmap + 2); i++) {
+    const at = cmap + 4 + i * 8;
+    if (sfnt.readUInt16BE(at) === 3 || sfnt.readUInt16BE(at) === 0) subtables.push(cmap + sfnt.readUInt32BE(at + 4));
+  }
+  const sub = subtables.find((at) => sfnt.readUInt16BE(at) === 12) || subtables.find((at) => sfnt.readUInt16BE(at) === 4);
+  if (sub !== undefined && sfnt.readUInt16BE(sub) === 12) {
+    for (let i = 0; i < sfnt.readUInt32BE(sub + 12); i++) {
+      const at = sub + 16 + i * 12;
+      const [start, end, glyph] = [sfnt.readUInt32BE(at), sfnt.readUInt32BE(at + 4), sfnt.readUInt32BE(at + 8)];
+      for (let c = start; c <= end; c++) glyphs.set(c, glyph + c - start);
+    }
+  } else if (sub !== undefined) {
+    const segCount = sfnt.readUInt16BE(sub + 6) / 2;
+    const ends = sub + 14;
+    const starts = ends + segCount * 2 + 2;
+    const deltas = starts + segCount * 2;
+    const rangeOffsets = deltas + segCount * 2;
+    for (let i = 0; i < segCount; i++) {
+      const [start, end] = [sfnt.readUInt16BE(starts + i * 2), sfnt.readUInt16BE(ends + i * 2)];
+      const delta = sfnt.readInt16BE(deltas + i * 2);
+      const rangeOffset = sfnt.readUInt16BE(rangeOffsets + i * 2);
+      for (let c = start; c <= end && c !== 0xffff; c++) {
+        const glyph = rangeOffset === 0 ? c + delta : sfnt.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (c - start) * 2);
+        if (glyph !== 0) glyphs.set(c, (glyph + (rangeOffset === 0 ? 0 : delta)) & 0xffff);
+      }
+    }
+  }
+
+  const hmtx = tables.hmtx;
+  return {
+    unitsPerEm,
+    ascender: sfnt.readInt16BE(hhea + 4),
+    descender: sfnt.readInt16BE(hhea + 6),
+    advance(codePoint) {
+      const glyph = glyphs.get(codePoint);
+      if (glyph === undefined) return null;
+      return sfnt.readUInt16BE(hmtx + Math.min(glyph, numberOfHMetrics - 1) * 4);
+    },
+  };
+}
+
+let loadedFonts = null;
+
+// The report fonts converted to TrueType in the cache directory (resvg reads
+// fonts from files, and only TrueType/OpenType ones), with their metrics
+// grouped by "family|weight|style"
+function loadFonts() {
+  if (loadedFonts) return loadedFonts;
+  const dir = path.join(defaultCacheDir(), "fonts");
+  const files = [];
+  const byFace = {};
+  for (const face of fontFaces()) {
+    const file = path.join(dir, `${face.name}.ttf`);
+    let sfnt;
+    try {
+      sfnt = fs.readFileSync(file);
+    } catch {
+      sfnt = woffToSfnt(fs.readFileSync(`${face.file}.woff`));
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, sfnt);
+    }
+    files.push(file);
+    const key = `${face.family}|${face.weight}|${face.style}`;
+    (byFace[key] || (byFace[key] = [])).push(fontMetrics(sfnt));
+  }
+  // resvg looks for a character missing from the chosen face in the first
+  // file that has it, so the basic Latin files go first
+  files.sort((a, b) => /-latin-ext-/.test(a) - /-latin-ext-/.test(b));
+  loadedFonts = { files, byFace };
+  return loadedFonts;
+}
+
+function metricsFor(style) {
+  return loadFonts().byFace[`${style.family}|${style.weight}|${style.style}`];
+}
+
+// Width in px of text set in style, letter-spacing included after every
+// character as browsers do. Characters outside the bundled subsets count as
+// 0.6em, about what a fallback font gives.
+function textWidth(text, style) {
+  const faces = metricsFor(style);
+  let width = 0;
+  for (const ch of text) {
+    const codePoint = ch.codePointAt(0);
+    const face = faces.find((f) => f.advance(codePoint) !== null);
+    width += face ? (face.advance(codePoint) / face.unitsPerEm) * style.size : 0.6 * style.size;
+    width += (style.spacing || 0) * style.size;
+  }
+  return width;
+}
+
+// Distance from the top of a line box to the baseline: the font's ascent and
+// descent centred in the line height, as CSS does
+function baselineOffset(style, lineHeight = style.size * (style.lineHeight || 1.5)) {
+  const [face] = metricsFor(style);
+  const ascent = (face.ascender / face.unitsPerEm) * style.size;
+  const descent = (-face.descender / face.unitsPerEm) * style.size;
+  return (lineHeight - (ascent + descent)) / 2 + ascent;
+}
+
+function lineHeightOf(style) {
+  return style.size * (style.lineHeight || 1.5);
+}
+
+// Lines of text wrapped at spaces to fit width
+function wrapText(text, style, width) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, style) > width) {
+      lines.push(line);
+      line = word;
+    } else line = candidate;
+  }
+  return [...lines, line];
+}
+
+// --- Layout ---
+
+// <text> at x, y (its baseline). anchor "middle" and "end" are worked out
+// from our own measurements rather than text-anchor, so trailing
+// letter-spacing counts the way it does in the browser. markup replaces the
+// escaped text, for <tspan>s.
+function svgText(text, style, x, y, anchor = "start", markup = null) {
+  const shown = style.upper ? text.toUpperCase() : text;
+  if (anchor !== "start") x -= textWidth(shown, style) / (anchor === "middle" ? 2 : 1);
+  const attrs = [
+    `x="${round(x)}"`,
+    `y="${round(y)}"`,
+    `font-family="${style.family}"`,
+    `font-size="${style.size}"`,
+    `font-weight="${style.weight}"`,
+    ...(style.style === "italic" ? [`font-style="italic"`] : []),
+    ...(style.spacing ? [`letter-spacing="${round(style.spacing * style.size)}"`] : []),
+    `fill="${style.color}"`,
+    ...(style.opacity ? [`fill-opacity="${style.opacity}"`] : []),
+  ];
+  return `<text ${attrs.join(" ")}>${markup === null ? escapeHTML(shown) : markup}</text>`;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Box model numbers for each card format, from the .share-card.square and
+// .story rules
+const FORMAT_LAYOUT = {
+  landscape: { padX: 64, padY: 56, title: 52, hero: 96, quote: 40, heatColumns: 12, heatHeight: 64, statsColumn: false },
+  square: { padX: 72, padY: 72, title: 64, hero: 120, quote: 52, heatColumns: 6, heatHeight: 96, statsColumn: false },
+  story: { padX: 72, padY: 120, title: 80, hero: 160, quote: 64, heatColumns: 4, heatHeight: 120, statsColumn: true },
+};
+
+// Caption runs ([text, strong]) as one line of text, strong runs in accent
+function svgCaption(runs, x, y) {
+  const style = STYLES.caption;
+  const spans = runs.map(([text, strong]) => {
+    const shown = escapeHTML(text.toUpperCase());
+    return strong ? `<tspan fill="${COLORS.accent}">${shown}</tspan>` : shown;
+  });
+  return svgText(runs.map(([text]) => text).join(""), style, x, y, "start", spans.join(""));
+}
+
+// Each part of a card is a block { height, draw(top) → [elements] }, stacked
+// down the card the way the .share-card flexbox spaces its children
+
+// Top row, title and highlight: the first child of every card
+function headerBlock(card, { width, layout }) {
+  const titleStyle = { ...STYLES.title, size: layout.title };
+  const typeLine = lineHeightOf(STYLES.type);
+  // Badge pill and report type on the right, the badge 5px taller than the
+  // type's line above and below
+  const rowHeight = Math.max(lineHeightOf(STYLES.brand), card.badge ? typeLine + 10 : typeLine);
+  const titleLines = wrapText(card.title, titleStyle, width);
+
+  // Highlight pill: an inline-block (12px margin, 6px padding) sharing a line
+  // box with the card's 20px strut, aligned on their baselines
+  const pillHeight = lineHeightOf(STYLES.highlight) + 12;
+  const pillBaseline = 12 + 6 + baselineOffset(STYLES.highlight);
+  const strutBaseline = baselineOffset(STYLES.body);
+  const above = Math.max(pillBaseline, strutBaseline);
+  const below = Math.max(12 + pillHeight - pillBaseline, lineHeightOf(STYLES.body) - strutBaseline);
+
+  return {
+    height: rowHeight + 8 + titleLines.length * lineHeightOf(titleStyle) + (card.highlight ? above + below : 0),
+    draw(top, left) {
+      const out = [];
+      const typeTop = top + (rowHeight - (card.badge ? typeLine + 10 : typeLine)) / 2;
+      const typeBaseline = typeTop + (card.badge ? 5 : 0) + baselineOffset(STYLES.type);
+      out.push(svgText("Wispr Flow", STYLES.brand, left, top + (rowHeight - lineHeightOf(STYLES.brand)) / 2 + baselineOffset(STYLES.brand)));
+      const typeText = card.type.toUpperCase();
+      const typeX = left + width - textWidth(typeText, STYLES.type);
+      out.push(svgText(typeText, STYLES.type, typeX, typeBaseline));
+      if (card.badge) {
+        const badgeText = card.badge.toUpperCase();
+        const badgeWidth = textWidth(badgeText, STYLES.badge) + 24;
+        const badgeX = typeX - 14 - badgeWidth;
+        const badgeHeight = typeLine + 10;
+        out.push(`<rect x="${round(badgeX)}" y="${round(typeTop)}" width="${round(badgeWidth)}" height="${round(badgeHeight)}" rx="${round(badgeHeight / 2)}" fill="${COLORS.accent}"/>`);
+        out.push(svgText(badgeText, STYLES.badge, badgeX + 12, typeBaseline));
+      }
+
+      let y = top + rowHeight + 8;
+      for (const line of titleLines) {
+        out.push(svgText(line, titleStyle, left, y + baselineOffset(titleStyle)));
+        y += lineHeightOf(titleStyle);
+      }
+
+      if (card.highlight) {
+        const baseline = y + above;
+        const pillTop = baseline - pillBaseline + 12;
+        const pillWidth = textWidth(card.highlight, STYLES.highlight) + 32;
+        out.push(`<rect x="${left}" y="${round(pillTop)}" width="${round(pillWidth)}" height="${round(pillHeight)}" rx="${round(pillHeight / 2)}" fill="${COLORS.accent}" fill-opacity="0.12"/>`);
+        out.push(svgText(card.highlight, STYLES.highlight, left + 16, baseline));
+      }
+      return out;
+    },
+  };
+}
+
+// .sc-stats: a row of cards (a column on stories), 4px below what's above
+function statsBlock(stats, { width, layout }) {
+  const statHeight = 1 + 20 + lineHeightOf(STYLES.num) + 4 + lineHeightOf(STYLES.label) + 20 + 1;
+  const column = layout.statsColumn;
+  const statWidth = column ? width : (width - 24 * (stats.length - 1)) / stats.length;
+  return {
+    height: 4 + (column ? stats.length * statHeight + (stats.length - 1) * 24 : statHeight),
+    draw(top, left) {
+      return stats.flatMap((s, i) => {
+        const x = column ? left : left + i * (statWidth + 24);
+        const y = top + 4 + (column ? i * (statHeight + 24) : 0);
+        const center = x + statWidth / 2;
+        return [
+          `<rect x="${round(x + 0.5)}" y="${round(y + 0.5)}" width="${round(statWidth - 1)}" height="${round(statHeight - 1)}" rx="15.5" fill="#ffffff" fill-opacity="0.6" stroke="#878b86" stroke-opacity="0.12"/>`,
+          svgText(String(s.value), STYLES.num, center, y + 21 + baselineOffset(STYLES.num), "middle"),
+          svgText(s.label, STYLES.label, center, y + 21 + lineHeightOf(STYLES.num) + 4 + baselineOffset(STYLES.label), "middle"),
+        ];
+      });
+    },
+  };
+}
+
+// .sc-apps: the top three apps' share of dictations as bars
+function appsBlock(card, { width }) {
+  const apps = card.appsSorted.slice(0, 3).map(([name, s]) => ({ name, icon: inlineAppIcon(s.bundleId), pct: card.totalDictations ? Math.round((s.count / card.totalDictations) * 100) : 0 }));
+  // Each row is as tall as its tallest item: the name's line, or the icon
+  for (const app of apps) app.height = Math.max(lineHeightOf(STYLES.appName), lineHeightOf(STYLES.pct), app.icon ? 28 : 0);
+  return {
+    height: apps.reduce((sum, app) => sum + app.height, 0) + Math.max(0, apps.length - 1) * 10,
+    draw(top, left) {
+      const out = [];
+      let rowTop = top;
+      apps.forEach((app, i) => {
+        const middle = rowTop + app.height / 2;
+        const nameWidth = Math.max(100, textWidth(app.name, STYLES.appName));
+        const pctText = `${app.pct}%`;
+        const pctWidth = Math.max(40, textWidth(pctText, STYLES.pct));
+        out.push(svgText(app.name, STYLES.appName, left + nameWidth, middle - lineHeightOf(STYLES.appName) / 2 + baselineOffset(STYLES.appName), "end"));
+        let x = left + nameWidth + 14;
+        if (app.icon) {
+          out.push(`<clipPath id="sc-icon-${i}"><rect x="${round(x)}" y="${round(middle - 14)}" width="28" height="28" rx="7"/></clipPath>`);
+          out.push(`<image href="${app.icon}" x="${round(x)}" y="${round(middle - 14)}" width="28" height="28" clip-path="url(#sc-icon-${i})" preserveAspectRatio="none"/>`);
+          x += 28 + 14;
+        }
+        const barWidth = left + width - pctWidth - 14 - x;
+        out.push(`<rect x="${round(x)}" y="${round(middle - 6)}" width="${round(barWidth)}" height="12" rx="6" fill="#878b86" fill-opacity="0.08"/>`);
+        if (app.pct > 0) out.push(`<rect x="${round(x)}" y="${round(middle - 6)}" width="${round((barWidth * app.pct) / 100)}" height="12" rx="6" fill="${COLORS.bar}"/>`);
+        out.push(svgText(pctText, STYLES.pct, x + barWidth + 14, middle - lineHeightOf(STYLES.pct) / 2 + baselineOffset(STYLES.pct)));
+        rowTop += app.height + 10;
+      });
+      return out;
+    },
+  };
+}
+
+// .sc-caption on its own line
+function captionBlock(runs) {
+  return {
+    height: lineHeightOf(STYLES.caption),
+    draw: (top, left) => [svgCaption(runs, left, top + baselineOffset(STYLES.caption))],
+  };
+}
+
+// .sc-heat: every hour of the day as a coral cell, labelled at the bottom
+function heatBlock({ cells, max }, { width, layout }) {
+  const columns = layout.heatColumns;
+  const rows = Math.ceil(cells.length / columns);
+  const cellWidth = (width - 8 * (columns - 1)) / columns;
+  const cellHeight = layout.heatHeight;
+  return {
+    height: rows * cellHeight + (rows - 1) * 8,
+    draw(top, left) {
+      return cells.flatMap((c, i) => {
+        const x = left + (i % columns) * (cellWidth + 8);
+        const y = top + Math.floor(i / columns) * (cellHeight + 8);
+        const opacity = heatOpacity(c.count, max);
+        // Light text on the darker cells, as heatColors does
+        const label = opacity > 0.5 ? { ...STYLES.heatLabel, color: COLORS.bg, opacity: 0.7 } : STYLES.heatLabel;
+        return [
+          `<rect x="${round(x)}" y="${round(y)}" width="${round(cellWidth)}" height="${cellHeight}" rx="10" fill="${COLORS.accent}" fill-opacity="${round(opacity)}"/>`,
+          svgText(c.label, label, x + 10, y + cellHeight - 8 - lineHeightOf(label) + baselineOffset(label)),
+        ];
+      });
+    },
+  };
+}
+
+// .sc-quote: the quote, wrapped
+function quoteBlock(text, { width, layout }) {
+  const style = { ...STYLES.quote, size: layout.quote };
+  const lines = wrapText(text, style, width);
+  return {
+    height: lines.length * lineHeightOf(style),
+    draw: (top, left) => lines.map((line, i) => svgText(line, style, left, top + i * lineHeightOf(style) + baselineOffset(style))),
+  };
+}
+
+// .sc-streak: the streak's length, big, with a caption 16px under it
+function streakBlock({ hero, caption }, { layout }) {
+  const style = { ...STYLES.hero, size: layout.hero };
+  return {
+    height: lineHeightOf(style) + 16 + lineHeightOf(STYLES.caption),
+    draw: (top, left) => [
+      svgText(hero, style, left, top + baselineOffset(style)),
+      svgCaption(caption, left, top + lineHeightOf(style) + 16 + baselineOffset(STYLES.caption)),
+    ],
+  };
+}
+
+// The blocks under the header for each template, matching
+// renderShareTemplate's markup
+function templateBlocks(card, template, box) {
+  const content = templateContent(card, template);
+  switch (template) {
+    case "heatmap":
+      return [heatBlock(content, box), captionBlock(content.caption)];
+    case "quote":
+      return [quoteBlock(content.text, box), captionBlock(content.caption)];
+    case "streak":
+      return [streakBlock(content, box), statsBlock(content.stats, box)];
+    default:
+      return [statsBlock(card.stats, box), appsBlock(card, box)];
+  }
+}
+
+// SVG elements for the card (from dailyShareCard and friends) in a template
+// and format, positioned as the .share-card flexbox lays them out:
+// justify-content: space-between spreads the spare height evenly between
+// the header and the template's blocks
+function layoutShareCard(card, { template, format }) {
+  const { width, height } = SHARE_FORMATS[format];
+  const layout = FORMAT_LAYOUT[format];
+  const box = { width: width - layout.padX * 2, layout };
+  const blocks = [headerBlock({ ...card, badge: template === "streak" ? null : card.badge, highlight: template === "summary" ? card.highlight : null }, box), ...templateBlocks(card, template, box)];
+  const spare = height - layout.padY * 2 - blocks.reduce((sum, b) => sum + b.height, 0);
+  const gap = Math.max(0, spare / (blocks.length - 1));
+  const out = [];
+  let top = layout.padY;
+  for (const block of blocks) {
+    out.push(...block.draw(top, layout.padX));
+    top += block.height + gap;
+  }
+  return out;
+}
+
+// Standalone SVG of the card in a template (summary by default) and format
+// (landscape). embedFonts adds the fonts it uses as data: URIs so it looks
+// right anywhere; resvg is given them directly instead.
+function renderShareCardSVG(card, { template = "summary", format = "landscape", embedFonts = true } = {}) {
+  const unavailable = templateUnavailable(card, template);
+  if (unavailable) throw new Error(`Can't use the ${template} share card: ${unavailable}`);
+  if (!SHARE_FORMATS[format]) throw new Error(`Unknown share card format "${format}" (use ${Object.keys(SHARE_FORMATS).join(", ")})`);
+  const { width, height } = SHARE_FORMATS[format];
+  const used = new Set(Object.values(STYLES).map((s) => `${s.family}|${s.weight}|${s.style}`));
+  const fonts = embedFonts ? inlineFontCSS(fontFaces().filter((f) => used.has(`${f.family}|${f.weight}|${f.style}`))) : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+${fonts ? `<style>${fonts}</style>\n` : ""}<rect width="${width}" height="${height}" fill="${COLORS.bg}"/>
+${layoutShareCard(card, { template, format }).join("\n")}
+</svg>
+`;
+}
+
+// PNG of the card at 2x (2400x1260 for landscape), like the browser's download
+function renderShareCardPNG(card, { template, format, scale = 2 } = {}) {
+  let Resvg;
+  try {
+    ({ Resvg } = require("@resvg/resvg-js"));
+  } catch {
+    throw new Error("@resvg/resvg-js is not installed; run npm install in the scripts folder, or use an .svg share image");
+  }
+  const resvg = new Resvg(renderShareCardSVG(card, { template, format, embedFonts: false }), {
+    fitTo: { mode: "zoom", value: scale },
+    // System fonts stand in for characters ours lack, as in the browser
+    font: { fontFiles: loadFonts().files, loadSystemFonts: true, defaultFontFamily: "Inter" },
+  });
+  return resvg.render().asPng();
+}
+
+// Writes card to file as PNG or SVG, going by its extension; options as for
+// renderShareCardSVG
+function writeShareImage(file, card, options = {}) {
+  const type = ((file.match(/\.(\w+)$/) || [])[1] || "").toLowerCase();
+  if (!SHARE_IMAGE_TYPES.includes(type)) {
+    throw new Error(`Share images must be ${SHARE_IMAGE_TYPES.map((t) => `.${t}`).join(" or ")} files: ${file}`);
+  }
+  fs.writeFileSync(file, type === "svg" ? renderShareCardSVG(card, options) : renderShareCardPNG(card, options));
+}
+
+module.exports = {
+  SHARE_IMAGE_TYPES,
+  woffToSfnt,
+  fontMetrics,
+  renderShareCardSVG,
+  renderShareCardPNG,
+  writeShareImage,
+};
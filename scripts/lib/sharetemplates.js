@@ -0,0 +1,111 @@
+// Share card templates and formats. A report's share card data (see
+// dailyShareCard) is laid out by one of the templates, at one of the sizes;
+// this works out which templates a card can use and what goes on them, and
+// theme.js (HTML) and shareimage.js (SVG/PNG) draw the result.
+
+const { formatHour, formatDate } = require("./format");
+const { streakLength } = require("./streaks");
+
+// Pixel sizes; landscape is the original card and fits X and LinkedIn posts
+const SHARE_FORMATS = {
+  landscape: { width: 1200, height: 630 },
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+};
+
+// summary: headline stats and top apps; heatmap: dictations by hour; quote:
+// one dictation, in full; streak: days in a row
+const SHARE_TEMPLATES = ["summary", "heatmap", "quote", "streak"];
+
+// Quotes longer than this are cut, so they fit the landscape card
+const QUOTE_MAX_CHARS = 180;
+
+// Why a card can't use a template, or null when it can
+function templateUnavailable(card, template) {
+  switch (template) {
+    case "summary":
+      return null;
+    case "heatmap":
+      return card.hourMap && card.totalDictations > 0 ? null : "no dictations to chart";
+    case "quote":
+      return card.quote ? null : "no transcript to quote (quotes come from daily recaps, and never from hidden, keyword-only or count-only transcripts)";
+    case "streak":
+      return card.streaks && card.streaks.daily.current ? null : "no current streak";
+    default:
+      return `unknown template (use ${SHARE_TEMPLATES.join(", ")})`;
+  }
+}
+
+// Templates card can be shown with, summary first
+function shareTemplates(card) {
+  return SHARE_TEMPLATES.filter((t) => !templateUnavailable(card, t));
+}
+
+// The dictation most worth quoting: the wordiest one that fits the card
+// uncut, else the wordiest one cut to fit. dictations come from the recap,
+// so redaction and count-only rules have already emptied what mustn't be
+// shown; keyword summaries aren't quotes, so redaction level "keywords"
+// gives none.
+function topQuote(dictations, redaction) {
+  if (!dictations || redaction === "keywords" || redaction === "hide") return null;
+  const candidates = dictations.filter((d) => d.text.trim().split(/\s+/).length >= 4);
+  if (candidates.length === 0) return null;
+  const fits = (d) => d.text.length <= QUOTE_MAX_CHARS;
+  const best = [...candidates].sort((a, b) => fits(b) - fits(a) || b.words - a.words)[0];
+  const clean = best.text.replace(/\s+/g, " ").trim();
+  const text = fits(best) ? clean : `${clean.slice(0, QUOTE_MAX_CHARS).replace(/\s+\S*$/, "")}…`;
+  return { text, time: best.time, app: best.app, words: best.words };
+}
+
+// "wispr-recap-2026-02-05-quote-story.png" for the non-default choices
+function shareImageName(filename, { template = "summary", format = "landscape" } = {}) {
+  const suffix = [template === "summary" ? null : template, format === "landscape" ? null : format].filter(Boolean);
+  return suffix.length > 0 ? filename.replace(/(\.\w+)?$/, (ext) => `-${suffix.join("-")}${ext}`) : filename;
+}
+
+// What a template shows, as plain data. Captions are runs of [text, strong].
+function templateContent(card, template) {
+  if (template === "heatmap") {
+    const cells = Array.from({ length: 24 }, (_, hour) => ({ hour, label: formatHour(hour), count: card.hourMap[hour] || 0 }));
+    const peak = card.peakHour ? formatHour(parseInt(card.peakHour[0])) : null;
+    return {
+      cells,
+      max: Math.max(...cells.map((c) => c.count), 1),
+      caption: [
+        ...(peak ? [["Peak hour "], [peak, true], [" · "]] : []),
+        [card.totalDictations.toLocaleString(), true],
+        [` dictation${card.totalDictations === 1 ? "" : "s"}`],
+      ],
+    };
+  }
+  if (template === "quote") {
+    const { text, time, app, words } = card.quote;
+    return {
+      text: `“${text}”`,
+      caption: [[time, true], [` · ${app} · ${words} word${words === 1 ? "" : "s"}`]],
+    };
+  }
+  if (template === "streak") {
+    const { daily, goal, weekdays, minWords } = card.streaks;
+    return {
+      hero: streakLength(daily.current),
+      caption: [["in a row, since "], [formatDate(daily.current.start, { month: "short", day: "numeric" }), true]],
+      stats: [
+        { value: streakLength(daily.longest), label: "Best Streak" },
+        { value: streakLength(goal.current), label: `${minWords.toLocaleString()}+ Word Days` },
+        { value: streakLength(weekdays.current, "weekday"), label: "Weekday Streak" },
+      ],
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SHARE_FORMATS,
+  SHARE_TEMPLATES,
+  templateUnavailable,
+  shareTemplates,
+  topQuote,
+  shareImageName,
+  templateContent,
+};
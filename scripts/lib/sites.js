@@ -0,0 +1,129 @@
+// Websites dictated into from a browser, from History's url column. Sites
+// are named by hostname, or by a label from the built-ins and the config's
+// "sites" ("mail.google.com": "Gmail"), and ranked under their browser app.
+
+const { appInfo } = require("./apps");
+
+// Labels for hosts we know out of the box. A key matches its subdomains too,
+// and the longest matching key wins.
+const BUILTIN_SITES = {
+  "mail.google.com": "Gmail",
+  "docs.google.com": "Google Docs",
+  "drive.google.com": "Google Drive",
+  "calendar.google.com": "Google Calendar",
+  "meet.google.com": "Google Meet",
+  "github.com": "GitHub",
+  "chatgpt.com": "ChatGPT",
+  "chat.openai.com": "ChatGPT",
+  "claude.ai": "Claude",
+  "notion.so": "Notion",
+  "linear.app": "Linear",
+  "app.slack.com": "Slack",
+  "figma.com": "Figma",
+  "outlook.office.com": "Outlook",
+  "outlook.live.com": "Outlook",
+  "linkedin.com": "LinkedIn",
+  "x.com": "X",
+  "twitter.com": "X",
+  "youtube.com": "YouTube",
+};
+
+// Sites listed under a browser before the rest are summed as "Other"
+const SITES_SHOWN = 5;
+
+let siteLabels = BUILTIN_SITES;
+
+// The config's "sites" (hostname → label) validated and merged over the
+// built-ins; hostnames are matched case-insensitively
+function siteSettings(config) {
+  const sites = config ? config.settings.sites : undefined;
+  if (sites === undefined) return BUILTIN_SITES;
+  if (!sites || typeof sites !== "object" || Array.isArray(sites)) throw new Error(`"sites" in ${config.path} must be an object of hostname → label`);
+  const labels = { ...BUILTIN_SITES };
+  for (const [host, label] of Object.entries(sites)) {
+    const where = `"sites" entry ${host} in ${config.path}`;
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(host)) throw new Error(`${where}: must be a hostname like mail.google.com`);
+    if (typeof label !== "string" || !label.trim()) throw new Error(`${where}: label must be a non-empty string`);
+    labels[host.toLowerCase()] = label.trim();
+  }
+  return labels;
+}
+
+// Makes siteName use labels (see siteSettings); the commands install them
+// when they load the config
+function setSiteLabels(labels = BUILTIN_SITES) {
+  siteLabels = labels;
+}
+
+// Browsers are the apps the registry files under "Browser"
+function isBrowser(bundleId) {
+  const info = appInfo(bundleId);
+  return Boolean(info && info.category === "Browser");
+}
+
+// "https://www.github.com/foo" → "github.com"; null for a missing or
+// unparseable URL, or one without a hostname (file:, about:blank)
+function siteHost(url) {
+  if (!url) return null;
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    return host || null;
+  } catch {
+    return null;
+  }
+}
+
+// The label for url's host, or the host itself; null when it has none
+function siteName(url) {
+  const host = siteHost(url);
+  if (!host) return null;
+  const key = Object.keys(siteLabels)
+    .filter((k) => host === k || host.endsWith(`.${k}`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? siteLabels[key] : host;
+}
+
+// A browser's sites as rows for display: the top few, then "Other" for the
+// rest of its dictations (other sites, and those with no URL)
+function siteRows(stats, limit = SITES_SHOWN) {
+  const shown = stats.sites.slice(0, limit);
+  const count = stats.count - shown.reduce((sum, [, s]) => sum + s.count, 0);
+  const words = stats.words - shown.reduce((sum, [, s]) => sum + s.words, 0);
+  return count > 0 ? [...shown, ["Other", { count, words }]] : shown;
+}
+
+// appsSorted with each browser split into its sites, which are ranked
+// alongside native apps (and merged across browsers). Dictations without a
+// site stay with their browser. For the share card's top apps.
+function appsAndSites(appsSorted) {
+  const entries = new Map();
+  const add = (name, count, words, bundleId) => {
+    const entry = entries.get(name) || { count: 0, words: 0, bundleId };
+    // A site and an app of the same name share the app's icon
+    entry.bundleId = entry.bundleId || bundleId;
+    entry.count += count;
+    entry.words += words;
+    entries.set(name, entry);
+  };
+  for (const [name, stats] of appsSorted) {
+    if (!stats.sites) {
+      add(name, stats.count, stats.words, stats.bundleId);
+      continue;
+    }
+    for (const [site, s] of stats.sites) add(site, s.count, s.words, null);
+    const rest = stats.count - stats.sites.reduce((sum, [, s]) => sum + s.count, 0);
+    if (rest > 0) add(name, rest, stats.words - stats.sites.reduce((sum, [, s]) => sum + s.words, 0), stats.bundleId);
+  }
+  return [...entries].sort((a, b) => b[1].count - a[1].count);
+}
+
+module.exports = {
+  BUILTIN_SITES,
+  siteSettings,
+  setSiteLabels,
+  isBrowser,
+  siteHost,
+  siteName,
+  siteRows,
+  appsAndSites,
+};
@@ -0,0 +1,123 @@
+// Habit streaks across the whole history, not just the report's period:
+// days in a row with a dictation, days in a row meeting a words goal, and
+// weekdays in a row (weekends neither count nor break it).
+
+const { findStreaks } = require("./aggregate");
+const { dayOfWeek, eachDay } = require("./dates");
+const { systemTimeZone, zonedParts, today } = require("./timezone");
+const { iterateHistory, ACTIVE_HISTORY } = require("./db");
+const { goalSettings } = require("./goals");
+
+// Words a day needs for the goal streak unless the config says otherwise
+const DEFAULT_STREAK_MIN_WORDS = 100;
+
+// "streaks": { "minWords": 500 } from the config file, else the daily words
+// goal ("goals": { "wordsPerDay": ... }), else the default
+function streakMinWords(config) {
+  const settings = (config && config.settings.streaks) || {};
+  if (settings.minWords === undefined) return Math.ceil(goalSettings(config).wordsPerDay || DEFAULT_STREAK_MIN_WORDS);
+  if (!Number.isInteger(settings.minWords) || settings.minWords < 1) {
+    throw new Error(`"streaks.minWords" in ${config.path} must be a positive whole number`);
+  }
+  return settings.minWords;
+}
+
+// Local date of the first dictation, or null for an empty database
+function firstDictationDate(db, tz) {
+  const row = db
+    .prepare(`SELECT MIN(timestamp) AS first FROM History WHERE ${ACTIVE_HISTORY}`)
+    .get();
+  return row.first ? zonedParts(row.first, tz).date : null;
+}
+
+// { date, dayOfWeek, count, words } for every day from the first dictation
+// through `end`, streamed so long histories stay cheap
+function historyDays(db, { end, tz, filters }) {
+  const start = firstDictationDate(db, tz);
+  if (!start || start > end) return [];
+  const totals = {};
+  for (const r of iterateHistory(db, { start, end, tz, filters })) {
+    const t = totals[r.localDate] || (totals[r.localDate] = { count: 0, words: 0 });
+    t.count++;
+    t.words += r.numWords || 0;
+  }
+  return eachDay(start, end).map((date) => ({ date, dayOfWeek: dayOfWeek(date), ...(totals[date] || { count: 0, words: 0 }) }));
+}
+
+// Current and longest streaks as of `end` (capped at today). A streak that
+// ran through yesterday still counts as current while today is under way.
+function computeStreaks(days, { asOf, minWords, isToday }) {
+  const kinds = {
+    daily: {},
+    goal: { qualifies: (d) => d.words >= minWords },
+    weekdays: { skip: (d) => d.dayOfWeek === 0 || d.dayOfWeek === 6 },
+  };
+  const out = { asOf, minWords };
+  for (const [kind, options] of Object.entries(kinds)) {
+    const { current, longest } = findStreaks(days, options);
+    out[kind] = {
+      current: current || (isToday ? findStreaks(days.slice(0, -1), options).current : null),
+      longest,
+    };
+  }
+  return out;
+}
+
+// Streaks for a report ending on `end`, counting only the apps it's filtered to
+function loadStreaks(db, { end, tz = systemTimeZone(), config, filters }) {
+  const minWords = streakMinWords(config);
+  const todayKey = today(tz);
+  const asOf = end < todayKey ? end : todayKey;
+  return computeStreaks(historyDays(db, { end: asOf, tz, filters }), { asOf, minWords, isToday: asOf === todayKey });
+}
+
+// "12 days", "1 weekday"
+function streakLength(streak, unit = "day") {
+  const n = streak ? streak.length : 0;
+  return `${n} ${unit}${n === 1 ? "" : "s"}`;
+}
+
+// "100+ words: 3 days (best 9) · Weekdays: 8 weekdays (best 12)" — the goal
+// and weekday streaks, for under the headline daily one
+function streakDetails(streaks) {
+  const { goal, weekdays, minWords } = streaks;
+  return [
+    `${minWords.toLocaleString()}+ words: ${streakLength(goal.current)} (best ${streakLength(goal.longest)})`,
+    `Weekdays: ${streakLength(weekdays.current, "weekday")} (best ${streakLength(weekdays.longest, "weekday")})`,
+  ].join(" · ");
+}
+
+// One-line summary of all three streaks for the CLI overview
+function streakSummary(streaks) {
+  const { daily } = streaks;
+  return `${streakLength(daily.current)} (best ${streakLength(daily.longest)}) · ${streakDetails(streaks)}`;
+}
+
+// Full-width stat card for renderStatCards
+function streakStat(streaks) {
+  return {
+    value: streakLength(streaks.daily.current),
+    label: "Current Streak",
+    note: `Best ${streakLength(streaks.daily.longest)} · ${streakDetails(streaks)}`,
+    wide: true,
+  };
+}
+
+// Label for the share card badge, or null when there's no streak worth it
+function streakBadge(streaks) {
+  const current = streaks && streaks.daily.current;
+  return current && current.length >= 2 ? `${current.length}-day streak` : null;
+}
+
+module.exports = {
+  DEFAULT_STREAK_MIN_WORDS,
+  streakMinWords,
+  historyDays,
+  computeStreaks,
+  loadStreaks,
+  streakLength,
+  streakDetails,
+  streakSummary,
+  streakStat,
+  streakBadge,
+};
@@ -0,0 +1,1618 @@
+// founder.codes look for HTML recaps: the CSS, the page shell with share card
+// and modal, and the building blocks (stat cards, app cards, charts, heatmaps)
+// that the individual reports assemble.
+
+const { appColor } = require("./apps");
+const { siteRows } = require("./sites");
+const { mixShares } = require("./languages");
+const { outlierNote } = require("./pace");
+const { appIconSrc, inlineAppIcon } = require("./icons");
+const { escapeHTML, formatHour, formatDate, formatChange, formatDuration, scriptString } = require("./format");
+const { inlineFontCSS, html2canvasSource } = require("./assets");
+const { SHARE_FORMATS, shareTemplates, shareImageName, templateContent } = require("./sharetemplates");
+
+// Linked versions, for reports rendered with selfContained: false
+const FONTS_HTML = `<link rel="preconnect" href="https://fonts.googleapis.com">
+<link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link href="https://fonts.googleapis.com/css2?family=Instrument+Serif:ital@0;1&family=Inter:wght@400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap" rel="stylesheet">`;
+
+const HTML2CANVAS_URL = "https://cdnjs.cloudflare.com/ajax/libs/html2canvas/1.4.1/html2canvas.min.js";
+
+// ===================== CSS =====================
+
+const BASE_CSS = `
+  :root {
+    --bg: #f5f4ed;
+    --surface: rgba(255, 255, 255, 0.6);
+    --surface2: rgba(255, 255, 255, 0.85);
+    --border: rgba(135, 139, 134, 0.12);
+    --text: #0b0d0b;
+    --text-muted: #52534e;
+    --accent: #f34e3f;
+    --accent-light: rgba(243, 78, 63, 0.12);
+    --font-sans: "Inter", system-ui, -apple-system, sans-serif;
+    --font-serif: "Instrument Serif", "Times New Roman", serif;
+    --font-mono: "JetBrains Mono", ui-monospace, SFMono-Regular, Menlo, monospace;
+    --max-width: 760px;
+    --stat-columns: 3;
+  }
+  * { margin: 0; padding: 0; box-sizing: border-box; }
+  body {
+    font-family: var(--font-sans);
+    background: var(--bg);
+    color: var(--text);
+    padding: 48px 24px;
+    max-width: var(--max-width);
+    margin: 0 auto;
+    line-height: 1.5;
+    font-size: 1.125rem;
+  }
+  @media (min-width: 640px) {
+    body { padding: 64px 32px; font-size: 1.25rem; }
+  }
+
+  /* Header */
+  .label-mono {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    font-weight: 500;
+    letter-spacing: 0.14em;
+    text-transform: uppercase;
+    color: var(--accent);
+    display: inline-flex;
+    align-items: center;
+    padding: 0.25rem 0.6rem;
+    background: var(--accent-light);
+    border-radius: 999px;
+    margin-bottom: 16px;
+  }
+  h1 {
+    font-family: var(--font-serif);
+    font-size: 2.5rem;
+    font-weight: 400;
+    line-height: 1.15;
+    color: var(--text);
+    margin-bottom: 6px;
+    font-style: italic;
+  }
+  .subtitle {
+    color: var(--text-muted);
+    font-size: 0.95rem;
+    margin-bottom: 40px;
+    line-height: 1.5;
+  }
+  .header-notes { display: flex; flex-wrap: wrap; gap: 6px; margin: -24px 0 32px; }
+  .header-note {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    letter-spacing: 0.04em;
+    color: var(--text-muted);
+    border: 1px solid var(--border);
+    border-radius: 999px;
+    padding: 4px 12px;
+  }
+
+  /* Stats Grid */
+  .stats-grid {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 12px;
+    margin-bottom: 48px;
+  }
+  @media (min-width: 640px) {
+    .stats-grid { grid-template-columns: repeat(var(--stat-columns), 1fr); }
+  }
+  .stat-card {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 16px;
+    padding: 20px;
+    backdrop-filter: blur(8px);
+  }
+  .stat-value {
+    font-family: var(--font-serif);
+    font-size: 2rem;
+    font-weight: 400;
+    color: var(--text);
+    line-height: 1.1;
+    margin-bottom: 4px;
+  }
+  .stat-label {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--text-muted);
+    text-transform: uppercase;
+    letter-spacing: 0.14em;
+  }
+  .delta {
+    display: inline-block;
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    font-weight: 500;
+    letter-spacing: 0.04em;
+    border-radius: 999px;
+    padding: 2px 8px;
+    vertical-align: middle;
+    white-space: nowrap;
+  }
+  .delta-up { color: #2f7d4f; background: rgba(47, 125, 79, 0.1); }
+  .delta-down { color: var(--accent); background: var(--accent-light); }
+  .delta-flat { color: var(--text-muted); background: rgba(135, 139, 134, 0.1); }
+  .stat-card .delta { margin-top: 8px; }
+  .stat-card.wide { grid-column: 1 / -1; display: flex; align-items: baseline; flex-wrap: wrap; gap: 4px 16px; }
+  .stat-note { font-size: 0.8rem; color: var(--text-muted); }
+
+  /* Section Headings */
+  h2 {
+    font-family: var(--font-serif);
+    font-size: 1.75rem;
+    font-weight: 400;
+    margin-bottom: 20px;
+    color: var(--text);
+    padding-bottom: 12px;
+    border-bottom: 1px solid var(--border);
+  }
+  .section { margin-bottom: 48px; }
+
+  /* App Cards */
+  .app-card {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 12px;
+    padding: 14px 18px;
+    margin-bottom: 8px;
+    backdrop-filter: blur(8px);
+  }
+  .app-header { display: flex; align-items: center; gap: 12px; margin-bottom: 10px; }
+  .app-icon { width: 40px; height: 40px; border-radius: 10px; object-fit: cover; flex-shrink: 0; }
+  .app-icon-fallback {
+    display: flex; align-items: center; justify-content: center;
+    background: var(--accent-light); color: var(--accent);
+    font-family: var(--font-serif); font-size: 1.2rem;
+    width: 40px; height: 40px; border-radius: 10px;
+  }
+  .app-header-text { flex: 1; min-width: 0; }
+  .app-name { font-weight: 600; font-size: 0.95rem; margin-bottom: 2px; color: var(--text); }
+  .app-bar-wrap { height: 4px; background: var(--border); border-radius: 2px; overflow: hidden; }
+  .app-bar { height: 100%; background: var(--accent); border-radius: 2px; min-width: 4px; transition: width 0.6s ease; }
+  .app-stats { font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); letter-spacing: 0.04em; }
+  .app-name .delta { margin-left: 6px; }
+  .apps-dropped { font-size: 0.8rem; color: var(--text-muted); margin-top: 4px; }
+  .app-sites { display: flex; flex-direction: column; gap: 6px; margin-top: 12px; padding-left: 52px; }
+  .app-site { display: flex; align-items: center; gap: 10px; }
+  .app-site-name { font-size: 0.8rem; color: var(--text); width: 120px; flex-shrink: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .app-site .app-bar-wrap { flex: 1; height: 3px; }
+  .app-site .app-bar { opacity: 0.6; }
+  .app-site .app-stats { min-width: 96px; text-align: right; }
+
+  /* Share */
+  .share-btn {
+    font-family: var(--font-mono); font-size: 0.65rem; font-weight: 500;
+    letter-spacing: 0.1em; text-transform: uppercase;
+    color: var(--accent); background: var(--accent-light);
+    border: none; border-radius: 999px; padding: 8px 16px;
+    cursor: pointer; transition: background 0.2s; margin-bottom: 16px;
+  }
+  .share-btn:hover { background: rgba(243, 78, 63, 0.2); }
+
+  /* Share Card (off-screen, captured by html2canvas) */
+  .share-card {
+    position: absolute; left: -9999px; top: 0;
+    width: 1200px; height: 630px;
+    background: var(--bg); padding: 56px 64px;
+    display: flex; flex-direction: column;
+    justify-content: space-between;
+    font-family: var(--font-sans);
+  }
+  .sc-top { display: flex; justify-content: space-between; align-items: center; }
+  .sc-brand {
+    font-family: var(--font-mono); font-size: 14px; font-weight: 500;
+    letter-spacing: 0.14em; text-transform: uppercase; color: var(--accent);
+  }
+  .sc-type {
+    font-family: var(--font-mono); font-size: 13px; font-weight: 500;
+    letter-spacing: 0.12em; text-transform: uppercase; color: var(--text-muted);
+  }
+  .sc-badge {
+    display: inline-block; margin-right: 14px; padding: 5px 12px;
+    color: #f5f4ed; background: var(--accent); border-radius: 999px;
+  }
+  .sc-title {
+    font-family: var(--font-serif); font-size: 52px; font-weight: 400;
+    font-style: italic; color: var(--text); line-height: 1.15; margin-top: 8px;
+  }
+  .sc-highlight {
+    display: inline-block; margin-top: 12px; padding: 6px 16px;
+    font-family: var(--font-mono); font-size: 15px; font-weight: 500;
+    letter-spacing: 0.06em; color: var(--accent); background: var(--accent-light);
+    border-radius: 999px;
+  }
+  .sc-stats { display: flex; gap: 24px; margin-top: 4px; }
+  .sc-stat {
+    background: rgba(255,255,255,0.6); border: 1px solid rgba(135,139,134,0.12);
+    border-radius: 16px; padding: 20px 28px; flex: 1; text-align: center;
+  }
+  .sc-num {
+    font-family: var(--font-serif); font-size: 44px; font-weight: 400;
+    color: var(--text); line-height: 1.1;
+  }
+  .sc-label {
+    font-family: var(--font-mono); font-size: 11px; font-weight: 500;
+    color: var(--text-muted); text-transform: uppercase; letter-spacing: 0.14em;
+    margin-top: 4px;
+  }
+  .sc-apps { display: flex; flex-direction: column; gap: 10px; }
+  .sc-app { display: flex; align-items: center; gap: 14px; }
+  .sc-app-name {
+    font-family: var(--font-sans); font-size: 16px; font-weight: 600;
+    color: var(--text); min-width: 100px; text-align: right;
+  }
+  .sc-app-icon { width: 28px; height: 28px; border-radius: 7px; flex-shrink: 0; }
+  .sc-app-bar-wrap {
+    flex: 1; height: 12px; background: rgba(135,139,134,0.08);
+    border-radius: 6px; overflow: hidden;
+  }
+  .sc-app-bar { height: 100%; background: #2d2d2d; border-radius: 6px; }
+  .sc-app-pct {
+    font-family: var(--font-mono); font-size: 14px; color: var(--text-muted);
+    min-width: 40px;
+  }
+  .sc-hero {
+    font-family: var(--font-serif); font-size: 96px; font-weight: 400;
+    font-style: italic; color: var(--text); line-height: 1;
+  }
+  .sc-caption {
+    font-family: var(--font-mono); font-size: 15px; font-weight: 500;
+    letter-spacing: 0.1em; text-transform: uppercase; color: var(--text-muted);
+  }
+  .sc-caption strong { color: var(--accent); font-weight: 500; }
+
+  /* Share card templates (shareimage.js draws the same numbers) */
+  .sc-heat { display: grid; grid-template-columns: repeat(12, 1fr); gap: 8px; }
+  .sc-heat-cell {
+    height: 64px; border-radius: 10px; padding: 8px 10px;
+    display: flex; align-items: flex-end;
+    font-family: var(--font-mono); font-size: 12px; font-weight: 500;
+  }
+  .sc-quote {
+    font-family: var(--font-serif); font-size: 40px; font-weight: 400;
+    font-style: italic; color: var(--text); line-height: 1.25;
+  }
+  .sc-streak .sc-caption { margin-top: 16px; }
+
+  /* Share card formats */
+  .share-card.square { width: 1080px; height: 1080px; padding: 72px; }
+  .share-card.story { width: 1080px; height: 1920px; padding: 120px 72px; }
+  .share-card.square .sc-title { font-size: 64px; }
+  .share-card.story .sc-title { font-size: 80px; }
+  .share-card.square .sc-hero { font-size: 120px; }
+  .share-card.story .sc-hero { font-size: 160px; }
+  .share-card.square .sc-quote { font-size: 52px; }
+  .share-card.story .sc-quote { font-size: 64px; }
+  .share-card.square .sc-heat { grid-template-columns: repeat(6, 1fr); }
+  .share-card.square .sc-heat-cell { height: 96px; }
+  .share-card.story .sc-heat { grid-template-columns: repeat(4, 1fr); }
+  .share-card.story .sc-heat-cell { height: 120px; }
+  .share-card.story .sc-stats { flex-direction: column; }
+
+  /* Share Modal */
+  .share-modal {
+    display: none; position: fixed; inset: 0;
+    background: rgba(0,0,0,0.55); backdrop-filter: blur(4px);
+    z-index: 1000; align-items: center; justify-content: center;
+  }
+  .share-modal.open { display: flex; }
+  .share-modal-inner {
+    background: #fff; border-radius: 20px; padding: 24px;
+    max-width: 680px; width: 90%; box-shadow: 0 24px 48px rgba(0,0,0,0.2);
+    position: relative;
+  }
+  .share-modal-inner img {
+    width: 100%; border-radius: 12px;
+    border: 1px solid rgba(135,139,134,0.12);
+  }
+  .share-slides {
+    display: flex; gap: 12px; position: relative;
+    overflow-x: auto; scroll-snap-type: x mandatory; scrollbar-width: none;
+  }
+  .share-slides::-webkit-scrollbar { display: none; }
+  .share-slides img { flex: 0 0 100%; max-height: 60vh; object-fit: contain; scroll-snap-align: center; }
+  .share-picker { display: flex; flex-wrap: wrap; justify-content: center; gap: 6px; margin-bottom: 14px; }
+  .share-picker + .share-picker { margin-top: -6px; }
+  .share-chip {
+    font-family: var(--font-mono); font-size: 0.6rem; font-weight: 500;
+    letter-spacing: 0.08em; text-transform: uppercase;
+    padding: 6px 12px; border-radius: 999px; cursor: pointer;
+    background: var(--bg); color: var(--text-muted); border: 1px solid var(--border);
+  }
+  .share-chip.active { background: var(--accent-light); color: var(--accent); border-color: transparent; }
+  .share-dots { display: none; justify-content: center; gap: 8px; margin-top: 14px; }
+  .share-modal.multi .share-dots { display: flex; }
+  .share-dot {
+    width: 7px; height: 7px; border-radius: 50%; border: none; padding: 0;
+    background: rgba(135,139,134,0.35); cursor: pointer;
+  }
+  .share-dot.active { background: var(--accent); }
+  .modal-close {
+    position: absolute; top: -12px; right: -12px;
+    width: 32px; height: 32px; border-radius: 50%;
+    background: var(--text); color: #fff; border: none;
+    font-size: 18px; cursor: pointer; display: flex;
+    align-items: center; justify-content: center;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.2);
+  }
+  .share-actions {
+    display: flex; gap: 10px; margin-top: 16px; justify-content: center;
+  }
+  .share-action-btn {
+    font-family: var(--font-mono); font-size: 0.7rem; font-weight: 500;
+    letter-spacing: 0.08em; text-transform: uppercase;
+    padding: 10px 20px; border-radius: 999px; cursor: pointer;
+    border: none; transition: background 0.2s; display: flex;
+    align-items: center; gap: 8px;
+  }
+  .share-action-btn.primary {
+    background: var(--accent); color: #fff;
+  }
+  .share-action-btn.primary:hover { background: #e04435; }
+  .share-action-btn.secondary {
+    background: var(--bg); color: var(--text); border: 1px solid var(--border);
+  }
+  .share-action-btn.secondary:hover { background: #edece5; }
+  .share-action-btn svg { width: 14px; height: 14px; }
+
+  /* Footer */
+  .footer {
+    margin-top: 56px; padding-top: 20px; border-top: 1px solid var(--border);
+    font-family: var(--font-mono); font-size: 0.6rem; color: var(--text-muted);
+    text-align: center; letter-spacing: 0.1em; text-transform: uppercase;
+  }
+  .footer a {
+    color: var(--accent); text-decoration: underline;
+    text-underline-offset: 3px; text-decoration-thickness: 1px;
+  }
+`;
+
+// Vertical bar chart (days of a week, weeks of a month, ...)
+const CHART_CSS = `
+  /* Bar Chart */
+  .bar-chart {
+    display: flex;
+    gap: 8px;
+    align-items: flex-end;
+    height: 200px;
+    padding: 16px 0;
+  }
+  .bar-chart.wide { gap: 12px; }
+  .bar-col {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 6px;
+    height: 100%;
+  }
+  .bar-today .bar-label { color: var(--accent); font-weight: 600; }
+  .bar-value {
+    font-family: var(--font-mono);
+    font-size: 0.7rem;
+    color: var(--text-muted);
+    min-height: 16px;
+  }
+  .bar-wrap {
+    flex: 1;
+    width: 100%;
+    display: flex;
+    align-items: flex-end;
+    justify-content: center;
+    position: relative;
+  }
+  .bar {
+    width: 100%;
+    max-width: 48px;
+    background: rgba(243, 78, 63, 0.25);
+    border-radius: 6px 6px 2px 2px;
+    min-height: 2px;
+    transition: height 0.6s ease;
+    position: relative;
+  }
+  .bar-chart.wide .bar, .bar-chart.wide .bar-ghost { max-width: 80px; }
+  /* Previous period, drawn behind the bar */
+  .bar-ghost {
+    position: absolute;
+    bottom: 0;
+    width: 100%;
+    max-width: 48px;
+    border: 1px dashed rgba(45, 45, 45, 0.3);
+    border-radius: 6px 6px 2px 2px;
+    box-sizing: border-box;
+  }
+  .bar-goal .bar { background: var(--accent); }
+  .chart-legend {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--text-muted);
+    letter-spacing: 0.04em;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  .chart-legend-goal {
+    display: inline-block;
+    width: 12px;
+    height: 10px;
+    background: var(--accent);
+    border-radius: 3px 3px 1px 1px;
+  }
+  .chart-legend-goal ~ .chart-legend-ghost { margin-left: 10px; }
+  .chart-legend-ghost {
+    display: inline-block;
+    width: 12px;
+    height: 10px;
+    border: 1px dashed rgba(45, 45, 45, 0.4);
+    border-radius: 3px 3px 1px 1px;
+  }
+  .bar-label {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    font-weight: 500;
+    letter-spacing: 0.08em;
+    color: var(--text);
+    text-transform: uppercase;
+  }
+  .bar-chart.wide .bar-label {
+    font-size: 0.6rem;
+    letter-spacing: 0.04em;
+    text-transform: none;
+    text-align: center;
+    line-height: 1.3;
+  }
+  .bar-sublabel {
+    font-family: var(--font-mono);
+    font-size: 0.55rem;
+    color: var(--text-muted);
+  }
+`;
+
+const HOUR_HEATMAP_CSS = `
+  /* Hour Heatmap */
+  .hour-grid {
+    display: grid;
+    grid-template-columns: repeat(9, 1fr);
+    gap: 4px;
+    margin-top: 8px;
+  }
+  @media (min-width: 640px) {
+    .hour-grid { grid-template-columns: repeat(18, 1fr); }
+  }
+  .hour-cell {
+    aspect-ratio: 1;
+    border-radius: 6px;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    min-height: 32px;
+    position: relative;
+    overflow: hidden;
+  }
+  /* Previous period's count for the hour, as a strip along the bottom */
+  .hour-ghost {
+    position: absolute;
+    left: 0;
+    bottom: 0;
+    height: 3px;
+    background: rgba(45, 45, 45, 0.35);
+  }
+  .hour-num {
+    font-family: var(--font-serif);
+    font-size: 0.85rem;
+    font-weight: 400;
+    font-style: italic;
+  }
+  .hour-label {
+    font-family: var(--font-mono);
+    font-size: 0.45rem;
+    letter-spacing: 0.06em;
+  }
+`;
+
+const DOW_HEATMAP_CSS = `
+  /* Day-of-week heatmap */
+  .dow-grid {
+    display: grid;
+    grid-template-columns: repeat(7, 1fr);
+    gap: 6px;
+    margin-top: 8px;
+  }
+  .dow-cell {
+    border-radius: 10px;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+    padding: 14px 8px;
+    min-height: 64px;
+  }
+  .dow-num {
+    font-family: var(--font-serif);
+    font-size: 1.1rem;
+    font-weight: 400;
+    font-style: italic;
+    margin-bottom: 2px;
+  }
+  .dow-label {
+    font-family: var(--font-mono);
+    font-size: 0.55rem;
+    letter-spacing: 0.08em;
+    text-transform: uppercase;
+  }
+`;
+
+const DAILY_AVG_CSS = `
+  /* Daily average */
+  .daily-avg {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 12px;
+    padding: 16px 20px;
+    font-family: var(--font-mono);
+    font-size: 0.7rem;
+    color: var(--text-muted);
+    letter-spacing: 0.04em;
+    text-align: center;
+    margin-bottom: 48px;
+  }
+  .daily-avg strong {
+    color: var(--text);
+    font-weight: 600;
+  }
+`;
+
+const CALENDAR_HEATMAP_CSS = `
+  /* Contribution calendar */
+  .cal-scroll { overflow-x: auto; padding-bottom: 4px; }
+  .cal {
+    --cal-cell: 11px;
+    display: inline-grid;
+    grid-template-rows: 14px repeat(7, var(--cal-cell));
+    grid-template-columns: calc(var(--cal-cell) * 2.5);
+    grid-auto-columns: var(--cal-cell);
+    grid-auto-flow: column;
+    gap: 3px;
+  }
+  .cal-month, .cal-dow {
+    font-family: var(--font-mono);
+    font-size: 0.5rem;
+    letter-spacing: 0.06em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    white-space: nowrap;
+  }
+  .cal-month { line-height: 14px; }
+  .cal-dow { line-height: var(--cal-cell); }
+  .cal-day { border-radius: 3px; }
+  .cal-l0 { background: rgba(243, 78, 63, 0.06); }
+  .cal-l1 { background: rgba(243, 78, 63, 0.25); }
+  .cal-l2 { background: rgba(243, 78, 63, 0.45); }
+  .cal-l3 { background: rgba(243, 78, 63, 0.7); }
+  .cal-l4 { background: rgba(243, 78, 63, 1); }
+  .cal-future { opacity: 0.35; }
+  .cal-goal { box-shadow: inset 0 0 0 2px #2d2d2d; }
+  .cal-legend {
+    display: flex;
+    align-items: center;
+    justify-content: flex-end;
+    gap: 3px;
+    margin-top: 10px;
+    font-family: var(--font-mono);
+    font-size: 0.5rem;
+    letter-spacing: 0.06em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+  }
+  .cal-legend .cal-day { width: 11px; height: 11px; }
+  .cal-legend span { margin: 0 4px; }
+`;
+
+// Progress rings for goals
+const GOALS_CSS = `
+  /* Goals */
+  .rings { display: flex; flex-wrap: wrap; gap: 16px; }
+  .ring-card {
+    flex: 1;
+    min-width: 150px;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    gap: 8px;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 16px;
+    padding: 20px 12px 16px;
+  }
+  .ring { width: 96px; height: 96px; transform: rotate(-90deg); }
+  .ring-track { fill: none; stroke: var(--border); stroke-width: 8; }
+  .ring-fill { fill: none; stroke: var(--accent); stroke-width: 8; stroke-linecap: round; }
+  .ring-met .ring-fill { stroke: #2f7d4f; }
+  .ring-wrap { position: relative; }
+  .ring-center {
+    position: absolute;
+    inset: 0;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    font-family: var(--font-serif);
+    font-size: 1.3rem;
+    font-style: italic;
+    color: var(--text);
+  }
+  .ring-label {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--text);
+    text-transform: uppercase;
+    letter-spacing: 0.1em;
+    text-align: center;
+  }
+  .ring-sublabel { font-family: var(--font-mono); font-size: 0.6rem; color: var(--text-muted); }
+  .goal-rate { font-size: 0.9rem; color: var(--text-muted); margin-top: 16px; }
+`;
+
+// Searchable list of every dictation
+const TRANSCRIPTS_CSS = `
+  /* All dictations */
+  .tx-controls { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+  .tx-controls input, .tx-controls select {
+    font-family: var(--font-mono);
+    font-size: 0.7rem;
+    color: var(--text);
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    padding: 8px 10px;
+  }
+  .tx-controls input { flex: 1; min-width: 180px; font-family: var(--font-sans); font-size: 0.85rem; }
+  .tx-count {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--text-muted);
+    text-transform: uppercase;
+    letter-spacing: 0.1em;
+    margin-bottom: 8px;
+  }
+  .tx-list { list-style: none; padding: 0; }
+  .tx-item { padding: 12px 0; border-bottom: 1px solid var(--border); }
+  .tx-item:last-child { border-bottom: none; }
+  .tx-meta { font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); letter-spacing: 0.04em; margin-bottom: 4px; }
+  .tx-time { color: var(--accent); font-weight: 500; }
+  .tx-text { font-size: 0.9rem; line-height: 1.5; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .tx-text:empty::before { content: "Transcript hidden"; color: var(--text-muted); font-style: italic; }
+  .tx-long:not(.open) .tx-text { display: -webkit-box; -webkit-line-clamp: 3; -webkit-box-orient: vertical; overflow: hidden; }
+  .tx-more {
+    font-family: var(--font-mono);
+    font-size: 0.6rem;
+    color: var(--accent);
+    background: none;
+    border: none;
+    padding: 4px 0 0;
+    cursor: pointer;
+    text-transform: uppercase;
+    letter-spacing: 0.1em;
+  }
+  .tx-empty { font-size: 0.9rem; color: var(--text-muted); padding: 12px 0; }
+`;
+
+// Language totals and mix bars
+const LANGUAGES_CSS = `
+  /* Languages */
+  .lang-legend { display: flex; flex-wrap: wrap; gap: 8px 20px; margin-bottom: 16px; }
+  .lang-key { display: flex; align-items: center; gap: 8px; font-size: 0.9rem; }
+  .lang-key strong { font-weight: 600; }
+  .lang-key span { font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); letter-spacing: 0.04em; }
+  .lang-swatch { width: 10px; height: 10px; border-radius: 3px; flex-shrink: 0; }
+  .lang-c0 { background: var(--accent); }
+  .lang-c1 { background: #2d2d2d; }
+  .lang-c2 { background: #878b86; }
+  .lang-c3 { background: rgba(243, 78, 63, 0.4); }
+  .lang-c4 { background: rgba(135, 139, 134, 0.35); }
+  .lang-group { margin-top: 20px; }
+  .lang-group h3 {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    font-weight: 500;
+    letter-spacing: 0.1em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    margin-bottom: 10px;
+  }
+  .lang-row { display: flex; align-items: center; gap: 12px; padding: 4px 0; }
+  .lang-label { width: 110px; flex-shrink: 0; font-size: 0.8rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .lang-bar { flex: 1; display: flex; height: 10px; border-radius: 5px; overflow: hidden; background: var(--border); }
+  .lang-count { min-width: 40px; text-align: right; font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); }
+`;
+
+// Speaking rate cards and per-app rate bars
+const PACE_CSS = `
+  /* Speaking rate */
+  .pace .stats-grid { margin-bottom: 16px; }
+  @media (min-width: 640px) {
+    .pace .stats-grid { grid-template-columns: repeat(4, 1fr); }
+  }
+  .pace-note { font-size: 0.8rem; color: var(--text-muted); margin-bottom: 8px; }
+  .pace-group { margin-top: 20px; }
+  .pace-group h3 {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    font-weight: 500;
+    letter-spacing: 0.1em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    margin-bottom: 10px;
+  }
+  .pace-row { display: flex; align-items: center; gap: 12px; padding: 4px 0; }
+  .pace-label { width: 110px; flex-shrink: 0; font-size: 0.8rem; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .pace-track { flex: 1; height: 10px; border-radius: 5px; overflow: hidden; background: var(--border); }
+  .pace-fill { height: 100%; background: var(--accent); border-radius: 5px; }
+  .pace-value { min-width: 110px; text-align: right; font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); }
+`;
+
+// Correction stats and the side-by-side diff viewer
+const CORRECTIONS_CSS = `
+  /* Corrections */
+  .corrections .stats-grid { margin-bottom: 24px; }
+  .corr-group { margin-top: 20px; }
+  .corr-group h3 {
+    font-family: var(--font-mono);
+    font-size: 0.65rem;
+    font-weight: 500;
+    letter-spacing: 0.1em;
+    text-transform: uppercase;
+    color: var(--text-muted);
+    margin-bottom: 10px;
+  }
+  .corr-list { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 8px; }
+  .corr-list li {
+    font-size: 0.85rem;
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 999px;
+    padding: 4px 12px;
+  }
+  .corr-list span { font-family: var(--font-mono); font-size: 0.65rem; color: var(--text-muted); margin-left: 6px; }
+  .corr-note { font-size: 0.8rem; color: var(--text-muted); margin-bottom: 8px; }
+  .diff-item { padding: 12px 0; border-bottom: 1px solid var(--border); }
+  .diff-item:last-child { border-bottom: none; }
+  .diff-cols { display: grid; grid-template-columns: 1fr; gap: 8px; }
+  @media (min-width: 640px) {
+    .diff-cols { grid-template-columns: 1fr 1fr; }
+  }
+  .diff-side { font-size: 0.85rem; line-height: 1.5; white-space: pre-wrap; overflow-wrap: anywhere; background: var(--surface2); border-radius: 8px; padding: 8px 12px; }
+  .diff-side h4 { font-family: var(--font-mono); font-size: 0.55rem; font-weight: 500; letter-spacing: 0.1em; text-transform: uppercase; color: var(--text-muted); margin-bottom: 4px; }
+  .diff-side del { color: var(--accent); background: var(--accent-light); text-decoration: line-through; }
+  .diff-side ins { color: #2f7d4f; background: rgba(47, 125, 79, 0.1); text-decoration: none; }
+`;
+
+// ===================== COMPONENTS =====================
+
+// Pill for a delta from compare.js: "▲ 23%", "▼ 12%", "new". vs names the
+// previous period for the tooltip, format renders its value there; absolute
+// shows the raw change.
+function renderDelta(d, { vs, absolute = false, format = (n) => n.toLocaleString() } = {}) {
+  const direction = d.change > 0 ? "up" : d.change < 0 ? "down" : "flat";
+  const arrow = { up: "▲ ", down: "▼ ", flat: "" }[direction];
+  const text = formatChange(d, { absolute }).replace(/^[+−]/, "");
+  const title = vs ? ` title="${escapeHTML(`${vs}: ${format(d.previous)}`)}"` : "";
+  return `<span class="delta delta-${direction}"${title}>${arrow}${text}</span>`;
+}
+
+// stats: [{ value, label, delta?, note?, wide? }] — values are inserted
+// as-is, labels and notes are escaped; delta adds a change pill under the
+// label (see renderDelta for the vs/absolute/format options, read from the
+// same object); wide cards span the whole row with the note beside them
+function renderStatCards(stats) {
+  const cards = stats
+    .map(
+      (s) => `
+    <div class="stat-card${s.wide ? " wide" : ""}">
+      <div class="stat-value">${s.value}</div>
+      <div class="stat-label">${escapeHTML(s.label)}</div>${s.delta ? `
+      ${renderDelta(s.delta, s)}` : ""}${s.note ? `
+      <div class="stat-note">${escapeHTML(s.note)}</div>` : ""}
+    </div>`
+    )
+    .join("");
+  return `<div class="stats-grid">${cards}
+  </div>`;
+}
+
+// selfContained leaves out icons that would have to be fetched
+function renderAppIcon(name, bundleId, { selfContained = true } = {}) {
+  const iconUrl = selfContained ? inlineAppIcon(bundleId) : appIconSrc(bundleId);
+  const color = appColor(bundleId);
+  return iconUrl
+    ? `<img class="app-icon" src="${iconUrl}" alt="${escapeHTML(name)}" onerror="this.style.display='none'">`
+    : `<div class="app-icon app-icon-fallback"${color ? ` style="background: ${color}; color: #fff"` : ""}>${escapeHTML(name.charAt(0))}</div>`;
+}
+
+// A browser's sites under its app card, bars on the same scale as the apps'
+function renderAppSites(stats, totalDictations) {
+  const rows = siteRows(stats)
+    .map(([site, s]) => {
+      const pct = Math.round((s.count / totalDictations) * 100);
+      return `
+          <div class="app-site">
+            <div class="app-site-name" title="${escapeHTML(site)}">${escapeHTML(site)}</div>
+            <div class="app-bar-wrap"><div class="app-bar" style="width: ${pct}%"></div></div>
+            <div class="app-stats">${s.count} · ${pct}%</div>
+          </div>`;
+    })
+    .join("");
+  return `
+        <div class="app-sites">${rows}
+        </div>`;
+}
+
+// appsSorted as returned by appBreakdown; browsers list their sites. changes
+// (compare.js appChanges) badges each app as new/rising/falling and lists
+// apps dropped since vs.
+function renderAppCards(appsSorted, totalDictations, { changes, vs, selfContained } = {}) {
+  const byName = new Map((changes || []).map((c) => [c.name, c]));
+  const badge = (name) => {
+    const c = byName.get(name);
+    if (!c || c.status === "steady") return "";
+    return c.status === "new" ? `<span class="delta delta-up">new</span>` : renderDelta(c, { vs });
+  };
+  const cards = appsSorted
+    .map(([name, stats]) => {
+      const pct = Math.round((stats.count / totalDictations) * 100);
+      return `
+      <div class="app-card">
+        <div class="app-header">
+          ${renderAppIcon(name, stats.bundleId, { selfContained })}
+          <div class="app-header-text">
+            <div class="app-name">${escapeHTML(name)}${badge(name)}</div>
+            <div class="app-stats">${stats.count} dictations · ${stats.words.toLocaleString()} words · ${pct}%</div>
+          </div>
+        </div>
+        <div class="app-bar-wrap">
+          <div class="app-bar" style="width: ${pct}%"></div>
+        </div>${stats.sites && stats.sites.length > 0 ? renderAppSites(stats, totalDictations) : ""}
+      </div>`;
+    })
+    .join("\n");
+  const dropped = (changes || []).filter((c) => c.status === "dropped");
+  if (dropped.length === 0) return cards;
+  const list = dropped.map((c) => `${escapeHTML(c.name)} (${c.previous})`).join(", ");
+  return `${cards}
+      <div class="apps-dropped">Not used since ${escapeHTML(vs)}: ${list}</div>`;
+}
+
+// cols: [{ count, label, sublabel, today, ghost?, goal? }], bar heights
+// relative to the tallest. ghost is the previous period's count, drawn as a
+// dashed outline; ghostLabel ("last week") adds a legend for it. goal: true
+// fills the bar solid, and goalLabel names that in the legend.
+function renderBarChart(cols, { wide = false, ghostLabel, goalLabel } = {}) {
+  const max = Math.max(...cols.map((c) => Math.max(c.count, c.ghost || 0)), 1);
+  const bars = cols
+    .map((c) => {
+      const pct = Math.round((c.count / max) * 100);
+      const ghost =
+        c.ghost > 0
+          ? `
+          <div class="bar-ghost" style="height: ${Math.round((c.ghost / max) * 100)}%" title="${escapeHTML(`${c.ghost} ${ghostLabel || "before"}`)}"></div>`
+          : "";
+      return `
+      <div class="bar-col${c.today ? " bar-today" : ""}${c.goal ? " bar-goal" : ""}">
+        <div class="bar-value">${c.count > 0 ? c.count : ""}</div>
+        <div class="bar-wrap">${ghost}
+          <div class="bar" style="height: ${Math.max(pct, 2)}%"></div>
+        </div>
+        <div class="bar-label">${escapeHTML(c.label)}</div>
+        <div class="bar-sublabel">${escapeHTML(c.sublabel)}</div>
+      </div>`;
+    })
+    .join("\n");
+  const legendItems = [
+    ...(goalLabel ? [`<span class="chart-legend-goal"></span>${escapeHTML(goalLabel)}`] : []),
+    ...(ghostLabel ? [`<span class="chart-legend-ghost"></span>${escapeHTML(ghostLabel)}`] : []),
+  ];
+  const legend = legendItems.length
+    ? `
+    <div class="chart-legend">${legendItems.join("")}</div>`
+    : "";
+  return `<div class="bar-chart${wide ? " wide" : ""}">
+      ${bars}
+    </div>${legend}`;
+}
+
+// Opacity of the coral for a heatmap cell; text on cells above 0.5 turns light
+function heatOpacity(count, max) {
+  const intensity = Math.round((count / max) * 100);
+  return count > 0 ? 0.15 + (intensity / 100) * 0.85 : 0.04;
+}
+
+// Coral intensity for a heatmap cell, with text colours that stay readable on it
+function heatColors(count, max) {
+  const opacity = heatOpacity(count, max);
+  return {
+    background: `rgba(243, 78, 63, ${opacity})`,
+    text: opacity > 0.5 ? "#f5f4ed" : "var(--text)",
+    label: opacity > 0.5 ? "rgba(245,244,237,0.7)" : "var(--text-muted)",
+  };
+}
+
+// Waking hours (6 AM – 11 PM) coloured by dictation count. previous (an
+// hourMap for the comparison period, named by vs) adds a strip per cell.
+function renderHourHeatmap(hourMap, { previous, vs } = {}) {
+  const maxHourCount = Math.max(...Object.values(hourMap), 1);
+  const maxPrevious = previous ? Math.max(...Object.values(previous), maxHourCount) : 0;
+  const cells = [];
+  for (let h = 6; h <= 23; h++) {
+    const count = hourMap[h] || 0;
+    const c = heatColors(count, maxHourCount);
+    const before = previous ? previous[h] || 0 : 0;
+    const title = previous ? `${formatHour(h)}: ${count} dictations (${before} ${vs})` : `${formatHour(h)}: ${count} dictations`;
+    const ghost = before > 0 ? `
+        <div class="hour-ghost" style="width: ${Math.round((before / maxPrevious) * 100)}%"></div>` : "";
+    cells.push(
+      `<div class="hour-cell" style="background: ${c.background}" title="${escapeHTML(title)}">
+        <div class="hour-num" style="color: ${c.text}">${count > 0 ? count : ""}</div>
+        <div class="hour-label" style="color: ${c.label}">${h % 3 === 0 ? formatHour(h) : ""}</div>${ghost}
+      </div>`
+    );
+  }
+  return `<div class="hour-grid">
+      ${cells.join("\n")}
+    </div>`;
+}
+
+function renderDowHeatmap(dowLabels, dowValues) {
+  const maxDowCount = Math.max(...dowValues, 1);
+  const cells = dowLabels
+    .map((label, i) => {
+      const count = dowValues[i];
+      const c = heatColors(count, maxDowCount);
+      return `
+      <div class="dow-cell" style="background: ${c.background}">
+        <div class="dow-num" style="color: ${c.text}">${count > 0 ? count : ""}</div>
+        <div class="dow-label" style="color: ${c.label}">${label}</div>
+      </div>`;
+    })
+    .join("\n");
+  return `<div class="dow-grid">
+      ${cells}
+    </div>`;
+}
+
+// 0–4 intensity for a day's count, split at the quartiles of the active days
+// so one huge day doesn't wash out the rest of the calendar
+function calendarLevels(days) {
+  const counts = days.map((d) => d.count).filter((c) => c > 0).sort((a, b) => a - b);
+  const quartile = (p) => counts[Math.min(counts.length - 1, Math.floor(p * counts.length))];
+  const thresholds = counts.length > 0 ? [quartile(0.25), quartile(0.5), quartile(0.75)] : [];
+  return (count) => (count === 0 ? 0 : 1 + thresholds.filter((t) => count > t).length);
+}
+
+// GitHub-style calendar: one column per Monday-starting week, one cell per
+// day (as returned by dayBreakdown). Days after `today` are faded; days in
+// goalDates are outlined.
+function renderCalendarHeatmap(days, { today, cell = 11, legend = true, goalDates } = {}) {
+  const goal = new Set(goalDates || []);
+  const level = calendarLevels(days);
+  const items = [
+    `<div class="cal-month"></div>`,
+    ...["Mon", "", "Wed", "", "Fri", "", ""].map((l) => `<div class="cal-dow">${l}</div>`),
+  ];
+
+  const lead = (days[0].dayOfWeek + 6) % 7; // blanks before the first day, Mon = 0
+  const cells = [...Array(lead).fill(null), ...days];
+  for (let i = 0; i < cells.length; i += 7) {
+    const week = cells.slice(i, i + 7);
+    const firstOfMonth = week.find((d) => d && d.dayNum === 1) || (i === 0 ? days[0] : null);
+    items.push(`<div class="cal-month">${firstOfMonth ? formatDate(firstOfMonth.date, { month: "short" }) : ""}</div>`);
+    for (const d of week) {
+      if (!d) {
+        items.push(`<div></div>`);
+        continue;
+      }
+      const future = today && d.date > today ? " cal-future" : "";
+      const met = goal.has(d.date) ? " cal-goal" : "";
+      const label = `${formatDate(d.date, { weekday: "short", month: "short", day: "numeric" })}: ${d.count} dictations${met ? " · goal met" : ""}`;
+      items.push(`<div class="cal-day cal-l${level(d.count)}${future}${met}" title="${label}"></div>`);
+    }
+  }
+
+  const legendHTML = legend
+    ? `<div class="cal-legend"><span>Less</span>${[0, 1, 2, 3, 4].map((l) => `<div class="cal-day cal-l${l}"></div>`).join("")}<span>More</span>${
+        goalDates ? `<div class="cal-day cal-l0 cal-goal"></div><span>Goal met</span>` : ""
+      }</div>`
+    : "";
+  return `<div class="cal-scroll">
+      <div class="cal" style="--cal-cell: ${cell}px">
+        ${items.join("")}
+      </div>
+    </div>${legendHTML}`;
+}
+
+// rings: [{ pct, center, label, sublabel }] — pct fills the ring (capped at
+// a full turn), center is the text inside it; note is a line underneath
+function renderProgressRings(rings, { note } = {}) {
+  const r = 40;
+  const circumference = 2 * Math.PI * r;
+  const cards = rings.map((ring) => {
+    const filled = (Math.min(ring.pct, 100) / 100) * circumference;
+    return `
+      <div class="ring-card${ring.pct >= 100 ? " ring-met" : ""}">
+        <div class="ring-wrap">
+          <svg class="ring" viewBox="0 0 96 96">
+            <circle class="ring-track" cx="48" cy="48" r="${r}"></circle>
+            <circle class="ring-fill" cx="48" cy="48" r="${r}" stroke-dasharray="${filled.toFixed(1)} ${circumference.toFixed(1)}"></circle>
+          </svg>
+          <div class="ring-center">${escapeHTML(ring.center)}</div>
+        </div>
+        <div class="ring-label">${escapeHTML(ring.label)}</div>
+        <div class="ring-sublabel">${escapeHTML(ring.sublabel)}</div>
+      </div>`;
+  });
+  const noteHTML = note ? `
+    <div class="goal-rate">${escapeHTML(note)}</div>` : "";
+  return `<div class="rings">${cards.join("")}
+    </div>${noteHTML}`;
+}
+
+// languageBreakdown as a legend with each language's totals, then one bar per
+// app, hour and trend period split by language. Past the fifth language the
+// colours repeat the last one.
+function renderLanguageMix(breakdown, { trendTitle = "Over Time" } = {}) {
+  const total = breakdown.languages.reduce((sum, l) => sum + l.count, 0);
+  const colour = new Map(breakdown.languages.map((l, i) => [l.code, `lang-c${Math.min(i, 4)}`]));
+  const legend = breakdown.languages
+    .map(
+      (l) => `
+      <div class="lang-key"><div class="lang-swatch ${colour.get(l.code)}"></div><strong>${escapeHTML(l.name)}</strong><span>${l.count.toLocaleString()} · ${Math.round((l.count / total) * 100)}% · ${l.words.toLocaleString()} words</span></div>`
+    )
+    .join("");
+  const row = (label, mix) => {
+    const segments = mixShares(mix, breakdown)
+      .map((s) => `<div class="${colour.get(s.code)}" style="width: ${((s.count / mix.count) * 100).toFixed(2)}%" title="${escapeHTML(`${s.name}: ${s.count} (${s.pct}%)`)}"></div>`)
+      .join("");
+    return `
+        <div class="lang-row"><div class="lang-label" title="${escapeHTML(label)}">${escapeHTML(label)}</div><div class="lang-bar">${segments}</div><div class="lang-count">${mix.count}</div></div>`;
+  };
+  const groups = [
+    ["By App", breakdown.byApp.map((a) => row(a.app, a))],
+    ["By Hour", breakdown.byHour.map((h) => row(h.label, h))],
+    ...(breakdown.trend ? [[trendTitle, breakdown.trend.map((p) => row(p.label, p))]] : []),
+  ]
+    .map(([title, rows]) => `
+      <div class="lang-group">
+        <h3>${escapeHTML(title)}</h3>${rows.join("")}
+      </div>`)
+    .join("");
+  return `<div class="lang-legend">${legend}
+    </div>${groups}`;
+}
+
+// paceBreakdown as stat cards (rate and length), the outlier note, a length
+// histogram, a rate bar per app, and the rate by hour and over trendTitle as
+// bar charts. Needs CHART_CSS for the charts.
+function renderPace(pace, { trendTitle = "Over Time" } = {}) {
+  const stats = renderStatCards([
+    { value: pace.wpm !== null ? pace.wpm : "N/A", label: "Words / Min", note: pace.medianWpm !== null ? `median ${pace.medianWpm}` : undefined },
+    { value: pace.counted.toLocaleString(), label: "Timed Dictations" },
+    { value: pace.duration.median !== null ? formatDuration(pace.duration.median) : "N/A", label: "Median Length", note: pace.words.median !== null ? `${pace.words.median} words` : undefined },
+    { value: pace.duration.p90 !== null ? formatDuration(pace.duration.p90) : "N/A", label: "90th Percentile", note: pace.words.p90 !== null ? `${pace.words.p90} words` : undefined },
+  ]);
+  const note = outlierNote(pace);
+  const group = (title, content) => `
+      <div class="pace-group">
+        <h3>${escapeHTML(title)}</h3>
+        ${content}
+      </div>`;
+
+  const lengths = renderBarChart(
+    pace.lengths.map((l) => ({ count: l.count, label: `${l.label} words`, sublabel: l.kind })),
+    { wide: true }
+  );
+  const maxApp = Math.max(...pace.byApp.map((a) => a.wpm), 1);
+  const apps = pace.byApp
+    .map(
+      (a) => `
+        <div class="pace-row"><div class="pace-label" title="${escapeHTML(a.app)}">${escapeHTML(a.app)}</div><div class="pace-track"><div class="pace-fill" style="width: ${((a.wpm / maxApp) * 100).toFixed(2)}%"></div></div><div class="pace-value">${a.wpm} wpm · ${a.count}</div></div>`
+    )
+    .join("");
+  const hours = renderBarChart(pace.byHour.map((h) => ({ count: h.wpm, label: String(h.hour % 12 || 12), sublabel: h.hour < 12 ? "am" : "pm" })));
+  // Days of a month are labelled by number to fit
+  const trend =
+    pace.trend &&
+    renderBarChart(
+      pace.trend.map((p) => ({
+        count: p.wpm || 0,
+        label: pace.trend.length > 7 ? String(Number(p.startDate.slice(8, 10))) : p.label,
+        sublabel: p.count > 0 ? String(p.count) : "-",
+      })),
+      { wide: pace.trend.length <= 7 }
+    );
+
+  return `<div class="pace">
+      ${stats}${note ? `
+      <div class="pace-note">${escapeHTML(note)}.</div>` : ""}${group("Dictation Length", lengths)}${apps ? group("By App", apps) : ""}${pace.byHour.length > 0 ? group("By Hour", hours) : ""}${trend ? group(trendTitle, trend) : ""}
+    </div>`;
+}
+
+// analyzeCorrections as stat cards, the most corrected words, and each
+// rewritten dictation side by side: what was recognised, with the removed
+// text struck out, and what formatting made of it, with the added text marked
+function renderCorrections(corrections) {
+  const c = corrections;
+  if (c.analyzed === 0) return `<div class="corr-note">No dictations with raw recognition text to compare.</div>`;
+  const fillers = c.fillers.map(([word, n]) => `${word} ×${n}`).join(" · ");
+  const stats = renderStatCards([
+    { value: `${c.editRate}%`, label: "Words Rewritten", note: `${c.wordEdits.toLocaleString()} of ${c.asrWords.toLocaleString()}` },
+    { value: c.fillersRemoved.toLocaleString(), label: "Fillers Removed", note: fillers || undefined },
+    { value: c.punctuationAdded.toLocaleString(), label: "Punctuation Added" },
+    { value: c.capitalizations.toLocaleString(), label: "Capitalisation Fixes" },
+  ]);
+
+  const top = c.topCorrections
+    .map(({ from, to, count }) => `<li>${escapeHTML(from)} → <strong>${escapeHTML(to)}</strong><span>×${count}</span></li>`)
+    .join("");
+  const side = (d, keep, tag) =>
+    d.segments
+      .filter(([op]) => op === "=" || op === keep)
+      .map(([op, text]) => (op === "=" ? escapeHTML(text) : `<${tag}>${escapeHTML(text)}</${tag}>`))
+      .join("");
+  const diffs = c.dictations
+    .map(
+      (d) => `
+        <div class="diff-item">
+          <div class="tx-meta"><span class="tx-time">${escapeHTML(d.time)}</span> · ${escapeHTML(d.app)} · ${d.edits} edit${d.edits === 1 ? "" : "s"}</div>
+          <div class="diff-cols">
+            <div class="diff-side"><h4>Recognised</h4>${side(d, "-", "del")}</div>
+            <div class="diff-side"><h4>Formatted</h4>${side(d, "+", "ins")}</div>
+          </div>
+        </div>`
+    )
+    .join("");
+
+  return `<div class="corrections">
+      <div class="corr-note">${c.changed.toLocaleString()} of ${c.analyzed.toLocaleString()} dictations changed by formatting.</div>
+      ${stats}${top ? `
+      <div class="corr-group">
+        <h3>Most Corrected</h3>
+        <ul class="corr-list">${top}</ul>
+      </div>` : ""}${diffs ? `
+      <div class="corr-group">
+        <h3>${c.dictations.length < c.changed ? `The ${c.dictations.length} Most Rewritten` : "Rewritten Dictations"}</h3>${diffs}
+      </div>` : ""}
+    </div>`;
+}
+
+// Every dictation (aggregate.js dictationList) with full text, plus a search
+// box, app and hour filters and a sort order. The filtering runs in the page,
+// so it keeps working in a saved copy of the report with no network.
+function renderTranscriptBrowser(dictations) {
+  const counts = {};
+  for (const d of dictations) counts[d.app] = (counts[d.app] || 0) + 1;
+  const apps = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const hours = [...new Set(dictations.map((d) => d.hour))].sort((a, b) => a - b);
+  const option = (value, label) => `<option value="${escapeHTML(String(value))}">${escapeHTML(label)}</option>`;
+
+  const items = dictations
+    .map((d, i) => {
+      const long = d.text.length > 280;
+      return `
+      <li class="tx-item${long ? " tx-long" : ""}" data-i="${i}" data-app="${escapeHTML(d.app)}" data-hour="${d.hour}" data-words="${d.words}">
+        <div class="tx-meta"><span class="tx-time">${escapeHTML(d.time)}</span> · ${escapeHTML(d.app)} · ${d.words.toLocaleString()} words${d.wpm !== null ? ` · ${d.wpm} wpm` : ""}</div>
+        <div class="tx-text">${escapeHTML(d.text)}</div>${long ? `
+        <button class="tx-more" type="button">Show more</button>` : ""}
+      </li>`;
+    })
+    .join("");
+
+  return `<div class="tx-browser" id="txBrowser">
+      <div class="tx-controls">
+        <input class="tx-search" type="search" placeholder="Search ${dictations.length.toLocaleString()} dictations" aria-label="Search dictations">
+        <select class="tx-app" aria-label="App">${option("", "All apps")}${apps.map((a) => option(a, a)).join("")}</select>
+        <select class="tx-hour" aria-label="Hour">${option("", "All hours")}${hours.map((h) => option(h, formatHour(h))).join("")}</select>
+        <select class="tx-sort" aria-label="Sort">${option("time", "Earliest first")}${option("latest", "Latest first")}${option("longest", "Longest first")}${option("shortest", "Shortest first")}</select>
+      </div>
+      <div class="tx-count"></div>
+      <ol class="tx-list">${items}
+      </ol>
+      <div class="tx-empty" hidden>No dictations match.</div>
+    </div>
+    <script>
+    (() => {
+      const root = document.getElementById("txBrowser");
+      const list = root.querySelector(".tx-list");
+      const items = [...list.children].map((el) => ({ el, i: +el.dataset.i, words: +el.dataset.words, text: el.querySelector(".tx-text").textContent.toLowerCase() }));
+      const [search, app, hour, sort] = ["search", "app", "hour", "sort"].map((name) => root.querySelector(".tx-" + name));
+      const orders = {
+        time: (a, b) => a.i - b.i,
+        latest: (a, b) => b.i - a.i,
+        longest: (a, b) => b.words - a.words || a.i - b.i,
+        shortest: (a, b) => a.words - b.words || a.i - b.i,
+      };
+
+      function update() {
+        const terms = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+        let shown = 0;
+        for (const item of items) {
+          const { dataset } = item.el;
+          const match = (!app.value || dataset.app === app.value) && (!hour.value || dataset.hour === hour.value) && terms.every((t) => item.text.includes(t));
+          item.el.hidden = !match;
+          if (match) shown++;
+        }
+        for (const item of items.slice().sort(orders[sort.value])) list.appendChild(item.el);
+        const total = items.length + (items.length === 1 ? " dictation" : " dictations");
+        root.querySelector(".tx-count").textContent = shown === items.length ? total : shown + " of " + total;
+        root.querySelector(".tx-empty").hidden = shown > 0;
+      }
+
+      root.addEventListener("input", update);
+      list.addEventListener("click", (e) => {
+        const more = e.target.closest(".tx-more");
+        if (!more) return;
+        const open = more.parentElement.classList.toggle("open");
+        more.textContent = open ? "Show less" : "Show more";
+      });
+      update();
+    })();
+    </script>`;
+}
+
+function renderSection(title, content) {
+  return `
+  <div class="section">
+    <h2>${escapeHTML(title)}</h2>
+    ${content}
+  </div>`;
+}
+
+// ===================== SHARE =====================
+
+// Share card chrome (brand, report type, title) around a card-specific body.
+// Every .share-card on the page becomes one slide in the share modal.
+// template is the picker entry it belongs to (see sharetemplates.js).
+function renderShareCardFrame({ type, title, highlight, badge, body, filename, template = "summary" }) {
+  const filenameAttr = filename ? ` data-filename="${escapeHTML(filename)}"` : "";
+  return `<div class="share-card" data-template="${template}"${filenameAttr}>
+    <div>
+      <div class="sc-top">
+        <div class="sc-brand">Wispr Flow</div>
+        <div class="sc-type">${badge ? `<span class="sc-badge">${escapeHTML(badge)}</span>` : ""}${escapeHTML(type)}</div>
+      </div>
+      <div class="sc-title">${escapeHTML(title)}</div>${highlight ? `
+      <div class="sc-highlight">${escapeHTML(highlight)}</div>` : ""}
+    </div>
+    ${body}
+  </div>`;
+}
+
+// 1200x630 off-screen card: title, three headline stats, top-3 app bars, and
+// optional pills: highlight under the title ("+23% words vs last week"),
+// badge in the corner ("12-day streak")
+function renderShareCard({ type, title, highlight, badge, stats, appsSorted, totalDictations, filename }) {
+  const top3Apps = appsSorted
+    .slice(0, 3)
+    .map(([name, s]) => {
+      const pct = Math.round((s.count / totalDictations) * 100);
+      // Only inlined icons: html2canvas can't reliably paint remote ones
+      const icon = inlineAppIcon(s.bundleId);
+      return `<div class="sc-app">
+        <div class="sc-app-name">${escapeHTML(name)}</div>${icon ? `
+        <img class="sc-app-icon" src="${icon}" alt="">` : ""}
+        <div class="sc-app-bar-wrap"><div class="sc-app-bar" style="width: ${pct}%"></div></div>
+        <div class="sc-app-pct">${pct}%</div>
+      </div>`;
+    })
+    .join("\n");
+  const statHTML = stats
+    .map((s) => `<div class="sc-stat"><div class="sc-num">${s.value}</div><div class="sc-label">${escapeHTML(s.label)}</div></div>`)
+    .join("\n      ");
+
+  return renderShareCardFrame({
+    type,
+    title,
+    highlight,
+    badge,
+    body: `<div class="sc-stats">
+      ${statHTML}
+    </div>
+    <div class="sc-apps">${top3Apps}</div>`,
+    filename,
+  });
+}
+
+// Caption runs ([text, strong]) as HTML
+function renderCaption(runs) {
+  return `<div class="sc-caption">${runs.map(([text, strong]) => (strong ? `<strong>${escapeHTML(text)}</strong>` : escapeHTML(text))).join("")}</div>`;
+}
+
+// The share card in one of the templates; summary is renderShareCard
+function renderShareTemplate(share, template) {
+  const filename = share.filename && shareImageName(share.filename, { template });
+  if (template === "summary") return renderShareCard({ ...share, filename });
+  const content = templateContent(share, template);
+  const bodies = {
+    heatmap: () => {
+      const cells = content.cells.map((c) => {
+        const colors = heatColors(c.count, content.max);
+        return `<div class="sc-heat-cell" style="background: ${colors.background}; color: ${colors.label}">${c.label}</div>`;
+      });
+      return `<div class="sc-heat">
+      ${cells.join("\n      ")}
+    </div>
+    ${renderCaption(content.caption)}`;
+    },
+    quote: () => `<div class="sc-quote">${escapeHTML(content.text)}</div>
+    ${renderCaption(content.caption)}`,
+    streak: () => {
+      const statHTML = content.stats
+        .map((s) => `<div class="sc-stat"><div class="sc-num">${escapeHTML(s.value)}</div><div class="sc-label">${escapeHTML(s.label)}</div></div>`)
+        .join("\n      ");
+      return `<div class="sc-streak">
+      <div class="sc-hero">${escapeHTML(content.hero)}</div>
+      ${renderCaption(content.caption)}
+    </div>
+    <div class="sc-stats">
+      ${statHTML}
+    </div>`;
+    },
+  };
+  return renderShareCardFrame({
+    type: share.type,
+    title: share.title,
+    // The streak card is all about the streak already
+    badge: template === "streak" ? null : share.badge,
+    body: bodies[template](),
+    filename,
+    template,
+  });
+}
+
+const SHARE_MODAL_HTML = `<!-- Share Modal -->
+  <div class="share-modal" id="shareModal">
+    <div class="share-modal-inner">
+      <button class="modal-close" onclick="closeShareModal()">&times;</button>
+      <div class="share-picker" id="shareTemplates"></div>
+      <div class="share-picker" id="shareFormats"></div>
+      <div class="share-slides" id="shareSlides"></div>
+      <div class="share-dots" id="shareDots"></div>
+      <div class="share-actions">
+        <button class="share-action-btn primary" onclick="downloadShareImage()">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+          Download
+        </button>
+        <button class="share-action-btn secondary" onclick="shareOnX()">
+          <svg viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg>
+          Share on X
+        </button>
+      </div>
+    </div>
+  </div>`;
+
+// templates are the ones the page has cards for; template and format are
+// picked when the modal opens
+function renderShareScript({ text, filename }, { selfContained, templates, template, format }) {
+  return `${selfContained ? `<script>${html2canvasSource()}</script>` : `<script src="${HTML2CANVAS_URL}"></script>`}
+<script>
+  const shareText = ${scriptString(text)};
+  const shareFilename = ${scriptString(filename)};
+  const shareOptions = { template: ${JSON.stringify(templates)}, format: ${JSON.stringify(Object.keys(SHARE_FORMATS))} };
+  const shareChoice = { template: ${scriptString(template)}, format: ${scriptString(format)} };
+  let shareImages = [];
+  let shareRun = 0;
+
+  async function renderShareCardImage(card) {
+    card.classList.add(shareChoice.format);
+    card.style.left = "0"; card.style.top = "0"; card.style.position = "fixed"; card.style.zIndex = "-1";
+    try {
+      return await html2canvas(card, { scale: 2, backgroundColor: "#f5f4ed", width: card.offsetWidth, height: card.offsetHeight, useCORS: true });
+    } finally {
+      card.style.left = "-9999px"; card.style.position = "absolute"; card.style.zIndex = "";
+      card.classList.remove(shareChoice.format);
+    }
+  }
+
+  // "wispr-recap-2026-02-05-story.png"; the cards' own names carry the template
+  function shareImageName(card) {
+    const name = card.dataset.filename || shareFilename;
+    return shareChoice.format === "landscape" ? name : name.replace(/(\\.\\w+)?$/, (ext) => "-" + shareChoice.format + ext);
+  }
+
+  function renderSharePicker() {
+    for (const [key, id] of [["template", "shareTemplates"], ["format", "shareFormats"]]) {
+      const picker = document.getElementById(id);
+      picker.innerHTML = "";
+      picker.style.display = shareOptions[key].length > 1 ? "" : "none";
+      for (const option of shareOptions[key]) {
+        const chip = document.createElement("button");
+        chip.className = "share-chip" + (option === shareChoice[key] ? " active" : "");
+        chip.textContent = option;
+        chip.onclick = () => {
+          shareChoice[key] = option;
+          renderShareSlides().catch((e) => console.error(e));
+        };
+        picker.appendChild(chip);
+      }
+    }
+  }
+
+  // One slide per card of the chosen template, at the chosen size. Picking
+  // again while this runs abandons it.
+  async function renderShareSlides() {
+    const run = ++shareRun;
+    const slides = document.getElementById("shareSlides");
+    const dots = document.getElementById("shareDots");
+    renderSharePicker();
+    const images = [];
+    for (const card of document.querySelectorAll('.share-card[data-template="' + shareChoice.template + '"]')) {
+      const canvas = await renderShareCardImage(card);
+      if (run !== shareRun) return;
+      const image = { dataUrl: canvas.toDataURL("image/png"), filename: shareImageName(card), blob: null };
+      canvas.toBlob(b => { image.blob = b; });
+      images.push(image);
+    }
+    shareImages = images;
+    slides.innerHTML = "";
+    dots.innerHTML = "";
+    for (const image of images) {
+      const img = document.createElement("img");
+      img.src = image.dataUrl;
+      slides.appendChild(img);
+      const dot = document.createElement("button");
+      dot.className = "share-dot";
+      dot.onclick = () => img.scrollIntoView({ behavior: "smooth", block: "nearest", inline: "center" });
+      dots.appendChild(dot);
+    }
+    document.getElementById("shareModal").classList.toggle("multi", images.length > 1);
+    slides.scrollLeft = 0;
+    updateShareDots();
+  }
+
+  async function generateShareImage() {
+    const btn = document.querySelector(".share-btn");
+    btn.textContent = "...";
+    try {
+      await renderShareSlides();
+      document.getElementById("shareModal").classList.add("open");
+      updateShareDots();
+    } catch (e) { console.error(e); }
+    btn.textContent = "Share";
+  }
+
+  // Index of the slide currently scrolled into view
+  function currentShareIndex() {
+    const slides = document.getElementById("shareSlides");
+    let best = 0;
+    [...slides.children].forEach((img, i) => {
+      if (Math.abs(img.offsetLeft - slides.scrollLeft) < Math.abs(slides.children[best].offsetLeft - slides.scrollLeft)) best = i;
+    });
+    return best;
+  }
+
+  function updateShareDots() {
+    const current = currentShareIndex();
+    [...document.getElementById("shareDots").children].forEach((dot, i) => dot.classList.toggle("active", i === current));
+  }
+
+  function closeShareModal() {
+    document.getElementById("shareModal").classList.remove("open");
+  }
+
+  function downloadShareImage() {
+    const image = shareImages[currentShareIndex()];
+    const a = document.createElement("a");
+    a.href = image.dataUrl;
+    a.download = image.filename;
+    a.click();
+  }
+
+  async function shareOnX() {
+    const image = shareImages[currentShareIndex()];
+    if (image.blob && navigator.canShare && navigator.canShare({ files: [new File([image.blob], "recap.png", { type: "image/png" })] })) {
+      await navigator.share({ text: shareText, files: [new File([image.blob], image.filename, { type: "image/png" })] });
+    } else {
+      downloadShareImage();
+      setTimeout(() => window.open("https://x.com/intent/tweet?text=" + encodeURIComponent(shareText), "_blank"), 500);
+    }
+  }
+
+  document.getElementById("shareSlides").addEventListener("scroll", updateShareDots);
+  document.getElementById("shareModal").addEventListener("click", (e) => {
+    if (e.target === e.currentTarget) closeShareModal();
+  });
+</script>`;
+}
+
+// ===================== PAGE =====================
+
+function renderHeaderNotes(notes) {
+  const shown = notes.filter(Boolean);
+  if (shown.length === 0) return "";
+  return `
+  <div class="header-notes">${shown.map((n) => `<span class="header-note">${escapeHTML(n)}</span>`).join("")}</div>`;
+}
+
+// Full HTML document. `label` is the report type ("Weekly Recap"), used for the
+// header pill, footer and share card; `body` is the report-specific sections;
+// `notes` (e.g. "Only Slack"; falsy ones are skipped) are pills under the subtitle.
+// share.cards adds extra slides ({ title, body, filename }) after the main card,
+// and cards with the data for other templates get those too (see
+// sharetemplates.js); shareTemplate and shareFormat are what the share modal
+// starts on. selfContained inlines the fonts and html2canvas, so the page
+// makes no requests; otherwise they're loaded from Google Fonts and cdnjs.
+function renderPage({ title, label, heading, subtitle, notes = [], stats, body, css = "", maxWidth = 760, statColumns = 3, share, shareTemplate = "summary", shareFormat = "landscape", selfContained = true }) {
+  const card = { type: label, ...share };
+  const templates = shareTemplates(card);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+${selfContained ? `<style>${inlineFontCSS()}</style>` : FONTS_HTML}
+<style>${BASE_CSS}
+  :root { --max-width: ${maxWidth}px; --stat-columns: ${statColumns}; }
+${css}</style>
+</head>
+<body>
+  <div class="label-mono">${escapeHTML(label)}</div>
+  <h1>${escapeHTML(heading)}</h1>
+  <div class="subtitle">${escapeHTML(subtitle)}</div>${renderHeaderNotes(notes)}
+
+  ${renderStatCards(stats)}
+${body}
+
+  <div class="footer">
+    <button class="share-btn" onclick="generateShareImage()">Share</button>
+    <div class="footer-links">Generated by <a href="https://lttlmg.ht/wisprflow">Wispr Flow</a> ${escapeHTML(label)} · <a href="https://github.com/cathrynlavery/wispr-flow-recap">GitHub</a> · <a href="https://founder.codes">founder.codes</a></div>
+  </div>
+
+  <!-- Share cards (off-screen, rendered to images) -->
+  ${[...templates.map((t) => renderShareTemplate(card, t)), ...(share.cards || []).map((extra) => renderShareCardFrame({ type: label, ...extra }))].join("\n  ")}
+
+  ${SHARE_MODAL_HTML}
+
+${renderShareScript(share, { selfContained, templates, template: shareTemplate, format: shareFormat })}
+</body>
+</html>`;
+}
+
+module.exports = {
+  BASE_CSS,
+  CHART_CSS,
+  HOUR_HEATMAP_CSS,
+  DOW_HEATMAP_CSS,
+  DAILY_AVG_CSS,
+  CALENDAR_HEATMAP_CSS,
+  GOALS_CSS,
+  TRANSCRIPTS_CSS,
+  LANGUAGES_CSS,
+  PACE_CSS,
+  CORRECTIONS_CSS,
+  renderDelta,
+  renderStatCards,
+  renderAppIcon,
+  renderAppCards,
+  renderBarChart,
+  heatOpacity,
+  heatColors,
+  renderHourHeatmap,
+  renderDowHeatmap,
+  calendarLevels,
+  renderCalendarHeatmap,
+  renderProgressRings,
+  renderLanguageMix,
+  renderPace,
+  renderCorrections,
+  renderTranscriptBrowser,
+  renderSection,
+  renderShareCardFrame,
+  renderShareCard,
+  renderShareTemplate,
+  renderPage,
+};
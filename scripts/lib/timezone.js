@@ -0,0 +1,113 @@
+// Time zone model. History timestamps are UTC instants; every report buckets
+// them into calendar days and hours of one IANA zone (the system zone unless
+// --tz says otherwise), so day boundaries, hour buckets and "today" agree.
+
+const { addDays } = require("./dates");
+
+const formatters = new Map();
+
+function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+// Validated IANA zone name, defaulting to the system zone
+function resolveTimeZone(tz) {
+  if (!tz) return systemTimeZone();
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: tz }).resolvedOptions().timeZone;
+  } catch (e) {
+    throw new RangeError(`Unknown time zone: ${tz}`);
+  }
+}
+
+function formatter(tz) {
+  if (!formatters.has(tz)) {
+    formatters.set(
+      tz,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: tz,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(tz);
+}
+
+// History stores "2026-02-05 14:23:11.123 +00:00"; timestamps without an
+// offset are UTC, matching how SQLite's date functions read them
+function parseTimestamp(ts) {
+  if (ts instanceof Date) return ts;
+  if (typeof ts === "number") return new Date(ts);
+  let s = String(ts).trim().replace(" ", "T").replace(/\s+(Z|[+-]\d{2}:?\d{2})$/i, "$1");
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(s)) s += "Z";
+  return new Date(s);
+}
+
+// Wall-clock date ("YYYY-MM-DD") and hour (0–23) of an instant in tz
+function zonedParts(instant, tz) {
+  const p = {};
+  for (const { type, value } of formatter(tz).formatToParts(parseTimestamp(instant))) p[type] = value;
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    hour: Number(p.hour),
+    minute: Number(p.minute),
+    second: Number(p.second),
+  };
+}
+
+// queryHistory stamps rows with localDate/localHour/localMinute for the
+// report's zone; rows from elsewhere fall back to the system zone
+function localize(r) {
+  if (r.localDate === undefined) {
+    const { date, hour, minute } = zonedParts(r.timestamp, systemTimeZone());
+    r.localDate = date;
+    r.localHour = hour;
+    r.localMinute = minute;
+  }
+  return r;
+}
+
+// Milliseconds the zone's wall clock is ahead of UTC at an instant
+function offsetAt(instant, tz) {
+  const p = zonedParts(instant, tz);
+  const [y, m, d] = p.date.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d, p.hour, p.minute, p.second);
+  return wall - (instant.getTime() - instant.getUTCMilliseconds());
+}
+
+// First instant of a calendar day in tz. Midnight is tried with the offsets in
+// force half a day either side, so DST changes that happen at midnight still
+// resolve: a skipped midnight gives the transition instant (01:00), a repeated
+// one gives its first occurrence. A day the zone skipped entirely is empty and
+// starts where the next one does.
+function startOfDay(dateStr, tz) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const wall = Date.UTC(y, m - 1, d);
+  const halfDay = 12 * 3600 * 1000;
+  const candidates = [
+    wall - offsetAt(new Date(wall - halfDay), tz),
+    wall - offsetAt(new Date(wall + halfDay), tz),
+  ].filter((t) => zonedParts(new Date(t), tz).date === dateStr);
+  if (candidates.length === 0) return startOfDay(addDays(dateStr, 1), tz);
+  return new Date(Math.min(...candidates));
+}
+
+function today(tz = systemTimeZone()) {
+  return zonedParts(new Date(), tz).date;
+}
+
+module.exports = {
+  systemTimeZone,
+  resolveTimeZone,
+  parseTimestamp,
+  zonedParts,
+  localize,
+  startOfDay,
+  today,
+};
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { parseArgs, configOrExit, timeZoneOrExit, appFiltersOrExit, fail, requireDate, openDatabaseOrExit, htmlOptionsOrExit, reportPath } = require("./lib/cli");
+const { queryHistory, renderJSON, buildRangeRecap, renderRangeCLI, renderRangeHTML } = require("./lib");
+
+// --- Config ---
+const { flags } = parseArgs(process.argv.slice(2));
+const config = configOrExit(flags);
+const tz = timeZoneOrExit(flags.tz, config);
+const filters = appFiltersOrExit(flags);
+const range = {
+  start: requireDate(flags.from, "from"),
+  end: requireDate(flags.to, "to"),
+};
+if (range.start > range.end) fail("--from must be on or before --to");
+
+// --- Query ---
+const db = openDatabaseOrExit(flags, config);
+const rows = queryHistory(db, { ...range, tz, filters });
+db.close();
+
+if (rows.length === 0 && !flags.json) {
+  console.log(`No Wispr Flow dictations found between ${range.start} and ${range.end}.`);
+  process.exit(0);
+}
+
+// --- Output ---
+const data = buildRangeRecap(rows, { range, tz, filters });
+
+if (flags.json) {
+  console.log(renderJSON(data));
+} else if (flags.html) {
+  const outPath = reportPath(`wispr-range-${range.start}-to-${range.end}.html`);
+  fs.writeFileSync(outPath, renderRangeHTML(data, htmlOptionsOrExit(flags)));
+  console.log(`Range HTML recap saved to: ${outPath}`);
+} else {
+  console.log(renderRangeCLI(data));
+}
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+const {
+  parseArgs,
+  configOrExit,
+  timeZoneOrExit,
+  appFiltersOrExit,
+  fail,
+  requireDate,
+  openDatabaseOrExit,
+} = require("./lib/cli");
+const {
+  configPathSetting,
+  expandPath,
+  startOfDay,
+  addDays,
+  zonedParts,
+  formatDate,
+  formatClock,
+  truncate,
+  friendlyAppName,
+  makeAppFilter,
+  defaultIndexPath,
+  openSearchIndex,
+  syncSearchIndex,
+  searchTranscripts,
+  conversationContext,
+  highlightExcerpt,
+} = require("./lib");
+
+// --- Config ---
+const { flags, positional } = parseArgs(process.argv.slice(2));
+const config = configOrExit(flags);
+const tz = timeZoneOrExit(flags.tz, config);
+const filters = appFiltersOrExit(flags);
+
+const query = positional.join(" ");
+if (!query.trim()) fail('Usage: search.js "words to find" [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--app=Slack] [--phrase | --regex]');
+if (flags.phrase && flags.regex) fail("Use either --phrase or --regex, not both");
+const mode = flags.regex ? "regex" : flags.phrase ? "phrase" : "words";
+
+const limit = flags.limit === undefined ? 20 : Number(flags.limit);
+if (!Number.isInteger(limit) || limit < 1) fail("--limit must be a positive whole number");
+const contextSize = flags.context === undefined ? 1 : Number(flags.context);
+if (!Number.isInteger(contextSize) || contextSize < 0) fail("--context must be a whole number");
+
+const from = flags.from === undefined ? undefined : startOfDay(requireDate(flags.from, "from"), tz);
+const until = flags.to === undefined ? undefined : startOfDay(addDays(requireDate(flags.to, "to"), 1), tz);
+const appFilter = makeAppFilter(filters) || undefined;
+
+// --index, then "searchIndex" in the config, then the cache directory
+const indexPath =
+  typeof flags.index === "string" ? expandPath(flags.index) : configPathSetting(config, "searchIndex") || defaultIndexPath();
+
+// --- Index ---
+const db = openDatabaseOrExit(flags, config);
+let index;
+try {
+  index = openSearchIndex(indexPath);
+  const sync = syncSearchIndex(index, db, { rebuild: Boolean(flags.reindex) });
+  if (sync.rebuilt) console.error(`Indexed ${sync.total.toLocaleString()} dictations in ${indexPath}`);
+} catch (e) {
+  fail(`Could not update the search index at ${indexPath}: ${e.message}`);
+}
+db.close();
+
+// --- Search ---
+let results;
+try {
+  results = searchTranscripts(index, query, { mode, from, until, appFilter, limit });
+} catch (e) {
+  fail(e.message);
+}
+const withContext = results.map((r) => ({
+  ...r,
+  context: contextSize > 0 ? conversationContext(index, r, { before: contextSize, after: contextSize, appFilter }) : { before: [], after: [] },
+}));
+index.close();
+
+// --- Output ---
+function when(timestamp) {
+  const p = zonedParts(timestamp, tz);
+  return { date: p.date, time: formatClock(p.hour, p.minute) };
+}
+
+if (flags.json) {
+  const entry = (r) => ({
+    id: r.entityId,
+    timestamp: r.timestamp,
+    localTime: `${when(r.timestamp).date} ${when(r.timestamp).time}`,
+    app: r.app,
+    appName: friendlyAppName(r.app),
+    conversationId: r.conversationId,
+    numWords: r.numWords,
+    text: r.text,
+  });
+  const out = withContext.map((r) => ({
+    ...entry(r),
+    score: r.score,
+    matches: r.matches,
+    context: { before: r.context.before.map(entry), after: r.context.after.map(entry) },
+  }));
+  console.log(JSON.stringify({ query, mode, timeZone: tz, results: out }, null, 2));
+  process.exit(0);
+}
+
+const label = mode === "regex" ? `/${query}/` : `"${query}"`;
+if (results.length === 0) {
+  console.log(`No dictations match ${label}.`);
+  process.exit(0);
+}
+
+const out = [`\n# Wispr Flow Search — ${label}\n`];
+out.push(`${results.length} result${results.length === 1 ? "" : "s"}${results.length === limit ? ` (showing the top ${limit}; use --limit for more)` : ""}\n`);
+withContext.forEach((r, i) => {
+  const { date, time } = when(r.timestamp);
+  out.push(`## ${i + 1}. ${friendlyAppName(r.app)} — ${formatDate(date, { weekday: "short", month: "short", day: "numeric", year: "numeric" })} · ${time}\n`);
+  for (const c of r.context.before) out.push(`↑ ${when(c.timestamp).time}: "${truncate(c.text, 120)}"`);
+  out.push(`> ${highlightExcerpt(r.text, r.matches)}`);
+  for (const c of r.context.after) out.push(`↓ ${when(c.timestamp).time}: "${truncate(c.text, 120)}"`);
+  out.push("");
+});
+console.log(out.join("\n"));
@@ -0,0 +1,73 @@
+// App names, the per-app rules from the config, and the --app /
+// --exclude-app matching built on them.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { appRulesSettings, setAppRules, friendlyAppName, showsTranscripts, isAppExcluded, appMatcher, makeAppFilter } = require("../lib/apps");
+
+const config = (apps) => ({ path: "/tmp/config.json", settings: { apps } });
+
+test.afterEach(() => setAppRules());
+
+// --- Rules ---
+
+test("appRulesSettings: shorthands become objects, {} without a config", () => {
+  assert.deepEqual(appRulesSettings(config({ "com.hnc.Discord": "exclude", "com.apple.mail": "countOnly" })), {
+    "com.hnc.Discord": { exclude: true },
+    "com.apple.mail": { countOnly: true },
+  });
+  assert.deepEqual(appRulesSettings(config(undefined)), {});
+  assert.deepEqual(appRulesSettings(null), {});
+});
+
+test("appRulesSettings: bad rules name the app and the setting", () => {
+  assert.throws(() => appRulesSettings(config({ "com.hnc.Discord": "hide" })), /com\.hnc\.Discord.*"exclude", "countOnly"/);
+  assert.throws(() => appRulesSettings(config({ "com.hnc.Discord": { hidden: true } })), /unknown setting "hidden"/);
+  assert.throws(() => appRulesSettings(config({ "com.hnc.Discord": { alias: " " } })), /alias must be a name/);
+});
+
+test("rules: exclude and countOnly both hide transcripts", () => {
+  setAppRules({ "com.hnc.Discord": { exclude: true }, "com.apple.mail": { countOnly: true } });
+  assert.equal(isAppExcluded("com.hnc.Discord"), true);
+  assert.equal(isAppExcluded("com.apple.mail"), false);
+  assert.equal(showsTranscripts("com.hnc.Discord"), false);
+  assert.equal(showsTranscripts("com.apple.mail"), false);
+  assert.equal(showsTranscripts("com.tinyspeck.slackmacgap"), true);
+});
+
+// --- Names and matching ---
+
+test("friendlyAppName: alias, registry name, then a guess from the bundle ID", () => {
+  setAppRules({ "com.apple.MobileSMS": { alias: "Personal " } });
+  assert.equal(friendlyAppName("com.apple.MobileSMS"), "Personal");
+  assert.equal(friendlyAppName("com.tinyspeck.slackmacgap"), "Slack");
+  assert.equal(friendlyAppName("com.example.Weird-App"), "Weird App");
+  assert.equal(friendlyAppName(null), "Unknown");
+});
+
+test("appMatcher: bundle IDs exactly, names case-insensitively", () => {
+  const matches = appMatcher("slack, com.todesktop.230313mzl4w4u92,Weird App");
+  assert.equal(matches("com.tinyspeck.slackmacgap"), true);
+  assert.equal(matches("com.todesktop.230313mzl4w4u92"), true);
+  assert.equal(matches("com.example.Weird-App"), true);
+  assert.equal(matches("com.apple.MobileSMS"), false);
+  assert.equal(appMatcher("COM.TINYSPECK.SLACKMACGAP")("com.tinyspeck.slackmacgap"), false);
+});
+
+test("appMatcher: an aliased app matches its alias, its own name and its bundle ID", () => {
+  setAppRules({ "com.apple.MobileSMS": { alias: "Personal" } });
+  for (const entry of ["Personal", "Messages", "messages", "com.apple.MobileSMS"]) {
+    assert.equal(appMatcher(entry)("com.apple.MobileSMS"), true, entry);
+  }
+  assert.equal(appMatcher("Personal")("com.tinyspeck.slackmacgap"), false);
+});
+
+test("makeAppFilter: --exclude-app drops an aliased app by its own name", () => {
+  setAppRules({ "com.apple.MobileSMS": { alias: "Personal" } });
+  const keep = makeAppFilter({ apps: [], excludeApps: ["Messages"] });
+  assert.equal(keep("com.apple.MobileSMS"), false);
+  assert.equal(keep("com.tinyspeck.slackmacgap"), true);
+  const only = makeAppFilter({ apps: ["Slack", "Personal"], excludeApps: [] });
+  assert.deepEqual(["com.apple.MobileSMS", "com.tinyspeck.slackmacgap", "com.apple.Notes"].filter(only), ["com.apple.MobileSMS", "com.tinyspeck.slackmacgap"]);
+  assert.equal(makeAppFilter({ apps: [], excludeApps: [] }), null);
+});
@@ -0,0 +1,121 @@
+// Period-over-period comparison: which range a week or month is compared
+// against, the deltas and app changes, and the share card highlight.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { comparisonRange, comparisonLabel, queryComparison, appChanges, buildComparison, comparisonHighlight } = require("../lib/compare");
+const { summarize, appBreakdown } = require("../lib/aggregate");
+const { getWeekRange, getMonthRange } = require("../lib/dates");
+const { queryHistory } = require("../lib/db");
+
+const TZ = "America/Los_Angeles";
+
+// --- Ranges ---
+
+test("comparisonRange: the previous week, or the same week 52 weeks back", () => {
+  const week = getWeekRange("2026-02-05");
+  assert.deepEqual(comparisonRange("weekly", week, "previous"), { start: "2026-01-26", end: "2026-02-01" });
+  assert.deepEqual(comparisonRange("weekly", week, "yoy"), { start: "2025-02-03", end: "2025-02-09" });
+});
+
+test("comparisonRange: the previous month across a year end, or the same month last year", () => {
+  const previous = comparisonRange("monthly", getMonthRange("2026-01"), "previous");
+  assert.deepEqual([previous.start, previous.end], ["2025-12-01", "2025-12-31"]);
+  const march = comparisonRange("monthly", getMonthRange("2026-03"), "previous");
+  assert.deepEqual([march.start, march.end, march.daysInMonth], ["2026-02-01", "2026-02-28", 28]);
+  const yoy = comparisonRange("monthly", getMonthRange("2026-02"), "yoy");
+  assert.deepEqual([yoy.start, yoy.end, yoy.label], ["2025-02-01", "2025-02-28", "February 2025"]);
+  assert.throws(() => comparisonRange("daily", { start: "2026-02-05", end: "2026-02-05" }, "previous"), /No comparison period for daily reports/);
+});
+
+test("comparisonLabel: how the report names the other period", () => {
+  assert.equal(comparisonLabel("weekly", "previous"), "last week");
+  assert.equal(comparisonLabel("monthly", "previous"), "last month");
+  assert.equal(comparisonLabel("weekly", "yoy"), "the same week last year");
+  assert.equal(comparisonLabel("monthly", "yoy", getMonthRange("2025-02")), "February 2025");
+});
+
+// --- Apps ---
+
+test("appChanges: new, rising, falling, steady and dropped apps", () => {
+  const app = (count) => ({ count, bundleId: "x" });
+  const changes = appChanges(
+    [["Slack", app(5)], ["Notes", app(3)], ["Mail", app(2)], ["Cursor", app(1)]],
+    [["Notes", app(4)], ["Mail", app(2)], ["Slack", app(1)], ["Chrome", app(6)]]
+  );
+  assert.deepEqual(
+    changes.map((a) => [a.name, a.count, a.previous, a.change, a.pct, a.status]),
+    [
+      ["Slack", 5, 1, 4, 400, "rising"],
+      ["Notes", 3, 4, -1, -25, "falling"],
+      ["Mail", 2, 2, 0, 0, "steady"],
+      ["Cursor", 1, 0, 1, null, "new"],
+      ["Chrome", 0, 6, -6, -100, "dropped"],
+    ]
+  );
+});
+
+// --- Comparison block ---
+
+// Three dictations this week, two the week before (one in an app not used since)
+const DICTATIONS = [
+  { timestamp: "2026-02-03 18:00:00.000 +00:00", numWords: 40, duration: 10 },
+  { timestamp: "2026-02-04 18:00:00.000 +00:00", numWords: 40, duration: 10 },
+  { timestamp: "2026-02-05 18:00:00.000 +00:00", numWords: 40, duration: 10, app: "com.tinyspeck.slackmacgap" },
+  { timestamp: "2026-01-27 18:00:00.000 +00:00", numWords: 50, duration: 20 },
+  { timestamp: "2026-02-02 07:00:00.000 +00:00", numWords: 50, duration: 20, app: "com.apple.mail" }, // Sunday night in LA
+];
+
+test("buildComparison: totals, deltas, apps and ghost bars for the previous week", () => {
+  const week = getWeekRange("2026-02-05");
+  const db = historyDb(DICTATIONS);
+  const rows = queryHistory(db, { ...week, tz: TZ });
+  const previous = queryComparison(db, "weekly", week, { mode: "previous", tz: TZ });
+  db.close();
+
+  const comparison = buildComparison("weekly", previous, { totals: summarize(rows), appsSorted: appBreakdown(rows) });
+  assert.equal(comparison.label, "last week");
+  assert.deepEqual(comparison.range, { start: "2026-01-26", end: "2026-02-01" });
+  assert.equal(comparison.totalDictations, 2);
+  assert.deepEqual(comparison.deltas.totalWords, { previous: 100, change: 20, pct: 20 });
+  assert.deepEqual(comparison.deltas.totalDuration, { previous: 40, change: -10, pct: -25 });
+  assert.deepEqual(
+    comparison.apps.map((a) => [a.name, a.status]),
+    [
+      ["Notes", "rising"],
+      ["Slack", "new"],
+      ["Mail", "dropped"],
+    ]
+  );
+  assert.deepEqual(
+    comparison.days.map((d) => d.count),
+    [0, 1, 0, 0, 0, 0, 1]
+  );
+  assert.equal(buildComparison("weekly", null, { totals: summarize(rows), appsSorted: [] }), null);
+});
+
+// January has only the 27th; the Sunday night dictation is February 1 in LA
+test("buildComparison: monthly comparisons carry weeks instead of days", () => {
+  const month = getMonthRange("2026-02");
+  const db = historyDb(DICTATIONS);
+  const rows = queryHistory(db, { ...month, tz: TZ });
+  const previous = queryComparison(db, "monthly", month, { mode: "previous", tz: TZ });
+  db.close();
+
+  const comparison = buildComparison("monthly", previous, { totals: summarize(rows), appsSorted: appBreakdown(rows) });
+  assert.equal(comparison.days, undefined);
+  assert.equal(comparison.weeks.reduce((sum, w) => sum + w.count, 0), 1);
+  assert.deepEqual(comparison.deltas.totalDictations, { previous: 1, change: 3, pct: 300 });
+});
+
+// --- Highlight ---
+
+test("comparisonHighlight: a signed percentage, or null without a change", () => {
+  const comparison = (pct) => ({ label: "last week", deltas: { totalWords: { pct } } });
+  assert.equal(comparisonHighlight(comparison(23)), "+23% words vs last week");
+  assert.equal(comparisonHighlight(comparison(-8)), "−8% words vs last week");
+  assert.equal(comparisonHighlight(comparison(0)), null);
+  assert.equal(comparisonHighlight(comparison(null)), null);
+  assert.equal(comparisonHighlight(null), null);
+});
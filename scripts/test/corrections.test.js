@@ -0,0 +1,38 @@
+// What compareTexts counts between the ASR transcript and the formatted text
+// (fillers dropped, capitalizations and word corrections), and the stats
+// analyzeCorrections builds from it over rows.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { compareTexts, analyzeCorrections } = require("../lib/corrections");
+const { formatClock } = require("../lib/format");
+const { zonedParts, systemTimeZone } = require("../lib/timezone");
+
+test("compareTexts: a dropped filler is counted", () => {
+  const result = compareTexts("um so we ship it", "So we ship it.");
+  assert.deepEqual(result.fillers, ["um"]);
+  assert.equal(result.capitalizations, 1);
+});
+
+test("compareTexts: a filler that was only recased isn't removed", () => {
+  const result = compareTexts("um so we ship it", "Um, so we ship it.");
+  assert.deepEqual(result.fillers, []);
+  assert.equal(result.capitalizations, 1);
+  assert.deepEqual(result.corrections, []);
+});
+
+test("compareTexts: fillers don't show up as corrections", () => {
+  const result = compareTexts("uh meet at the cafe", "Meet at the café.");
+  assert.deepEqual(result.fillers, ["uh"]);
+  assert.deepEqual(result.corrections, [{ from: "cafe", to: "café" }]);
+});
+
+test("analyzeCorrections: rows without localDate are dated in the system zone", () => {
+  const timestamp = "2026-02-05 17:05:00.000 +00:00";
+  const { dictations } = analyzeCorrections([{ timestamp, app: "com.apple.Notes", asrText: "um meet at the cafe", formattedText: "Meet at the café." }]);
+  const { date, hour, minute } = zonedParts(timestamp, systemTimeZone());
+  assert.deepEqual(
+    dictations.map((d) => [d.date, d.time]),
+    [[date, formatClock(hour, minute)]]
+  );
+});
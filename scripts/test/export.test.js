@@ -0,0 +1,81 @@
+// Raw exports: the CSV and NDJSON lines createExporter writes for rows from
+// the database, quoting, --no-text and countOnly apps.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { createExporter } = require("../lib/export");
+const { queryHistory } = require("../lib/db");
+const { setAppRules } = require("../lib/apps");
+
+const TZ = "America/Los_Angeles";
+
+test.afterEach(() => setAppRules());
+
+function rows(dictations) {
+  const db = historyDb(dictations);
+  const result = queryHistory(db, { start: "2026-02-05", end: "2026-02-05", tz: TZ });
+  db.close();
+  return result;
+}
+
+function exportRows(format, options, dictations) {
+  const exporter = createExporter(format, { tz: TZ, ...options });
+  return (exporter.header || "") + rows(dictations).map(exporter.line).join("");
+}
+
+const DICTATION = {
+  timestamp: "2026-02-05 17:05:09.000 +00:00",
+  transcriptEntityId: "abc",
+  app: "com.tinyspeck.slackmacgap",
+  numWords: 3,
+  duration: 1.5,
+  language: "en",
+  asrText: "um ship it",
+  formattedText: 'Ship it, "today"\nplease.',
+};
+
+// --- CSV ---
+
+test("createExporter: CSV with a header, local time and quoted text", () => {
+  assert.equal(
+    exportRows("csv", {}, [DICTATION]),
+    "id,timestamp,localTime,app,appName,url,numWords,duration,language,conversationId,formattedText,asrText\r\n" +
+      'abc,2026-02-05T17:05:09.000Z,2026-02-05 09:05:09,com.tinyspeck.slackmacgap,Slack,,3,1.5,en,,"Ship it, ""today""\nplease.",um ship it\r\n'
+  );
+});
+
+test("createExporter: --no-text drops the text columns", () => {
+  const csv = exportRows("csv", { text: false }, [DICTATION]);
+  assert.equal(csv.split("\r\n")[0], "id,timestamp,localTime,app,appName,url,numWords,duration,language,conversationId");
+  assert.ok(!csv.includes("Ship it"));
+});
+
+// --- NDJSON ---
+
+test("createExporter: NDJSON has one object per line and no header", () => {
+  const lines = exportRows("ndjson", {}, [DICTATION, { ...DICTATION, transcriptEntityId: "def", language: null }]).split("\n");
+  assert.equal(lines.pop(), "");
+  const records = lines.map((l) => JSON.parse(l));
+  assert.deepEqual(
+    records.map((r) => [r.id, r.localTime, r.appName, r.language, r.formattedText]),
+    [
+      ["abc", "2026-02-05 09:05:09", "Slack", "en", DICTATION.formattedText],
+      ["def", "2026-02-05 09:05:09", "Slack", null, DICTATION.formattedText],
+    ]
+  );
+});
+
+// --- Privacy rules ---
+
+test("createExporter: countOnly apps export without their text", () => {
+  setAppRules({ "com.tinyspeck.slackmacgap": { countOnly: true } });
+  const [record] = exportRows("ndjson", {}, [DICTATION]).trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(record.formattedText, null);
+  assert.equal(record.asrText, null);
+  assert.equal(record.numWords, 3);
+});
+
+test("createExporter: unknown formats are errors", () => {
+  assert.throws(() => createExporter("xlsx", { tz: TZ }), /Unknown export format: xlsx \(expected csv or ndjson\)/);
+});
@@ -0,0 +1,43 @@
+// Shared by the tests: an in-memory flow.sqlite whose History table holds the
+// given dictations, and a temporary directory that's removed after the run.
+
+const test = require("node:test");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { HISTORY_COLUMNS } = require("../lib/db");
+
+// Each dictation is an object with any of HISTORY_COLUMNS (and isArchived);
+// timestamp is required, the rest default to a short Notes dictation
+function historyDb(dictations) {
+  const db = new Database(":memory:");
+  db.exec(`CREATE TABLE History (${HISTORY_COLUMNS.join(", ")}, isArchived INTEGER DEFAULT 0)`);
+  const columns = [...HISTORY_COLUMNS, "isArchived"];
+  const insert = db.prepare(`INSERT INTO History (${columns.join(", ")}) VALUES (${columns.map((c) => `@${c}`).join(", ")})`);
+  dictations.forEach((d, i) => {
+    insert.run({
+      transcriptEntityId: `t${i}`,
+      formattedText: "hello there",
+      asrText: null,
+      app: "com.apple.Notes",
+      url: null,
+      numWords: 2,
+      duration: 1,
+      language: null,
+      conversationId: null,
+      isArchived: 0,
+      ...d,
+    });
+  });
+  return db;
+}
+
+// A fresh directory under the system temp dir, removed when the file's tests end
+function tempDir(prefix = "wispr-test-") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+module.exports = { historyDb, tempDir };
@@ -0,0 +1,85 @@
+// Goals: the settings from the config, progress for a day or a week, hit
+// rates that only count elapsed days, and how they're labelled.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { goalSettings, buildGoals, goalRings, hitRateSentence, goalList } = require("../lib/goals");
+
+const config = (goals) => ({ path: "/tmp/config.json", settings: goals === undefined ? {} : { goals } });
+
+// --- Settings ---
+
+test("goalSettings: any subset of the goals, {} without a config", () => {
+  assert.deepEqual(goalSettings(null), {});
+  assert.deepEqual(goalSettings(config()), {});
+  assert.deepEqual(goalSettings(config({ wordsPerDay: 3000, wordsPerWeek: 15000 })), { wordsPerDay: 3000, wordsPerWeek: 15000 });
+});
+
+test("goalSettings: bad values are errors", () => {
+  assert.throws(() => goalSettings(config([3000])), /"goals" in \/tmp\/config.json must be an object/);
+  assert.throws(() => goalSettings(config({ wordsPerMonth: 1 })), /Unknown goal "wordsPerMonth" .*expected wordsPerDay, voiceMinutesPerDay, wordsPerWeek/);
+  assert.throws(() => goalSettings(config({ wordsPerDay: 0 })), /wordsPerDay must be a positive number/);
+  assert.throws(() => goalSettings(config({ voiceMinutesPerDay: "20" })), /voiceMinutesPerDay must be a positive number/);
+});
+
+// --- Progress ---
+
+test("buildGoals: a single day has progress against the daily goals", () => {
+  const goals = buildGoals({ wordsPerDay: 3000, voiceMinutesPerDay: 20, wordsPerWeek: 15000 }, { days: [{ date: "2026-02-05", words: 2100, duration: 1200 }], asOf: "2026-02-05" });
+  assert.deepEqual(goals.progress, [
+    { goal: "wordsPerDay", target: 3000, value: 2100, pct: 70, met: false },
+    { goal: "voiceMinutesPerDay", target: 20, value: 20, pct: 100, met: true },
+  ]);
+  assert.deepEqual(goals.hitRates, []);
+  assert.deepEqual(goals.metDates, []);
+  assert.deepEqual(goals.hitRate, { met: 0, of: 1, pct: 0 });
+  assert.equal(buildGoals({}, { days: [], asOf: "2026-02-05" }), null);
+});
+
+// Monday to Sunday, viewed on Thursday: the weekend hasn't happened yet
+const WEEK = [
+  { date: "2026-02-02", words: 3500, duration: 1500 },
+  { date: "2026-02-03", words: 3100, duration: 600 },
+  { date: "2026-02-04", words: 900, duration: 300 },
+  { date: "2026-02-05", words: 3000, duration: 1260 },
+  { date: "2026-02-06", words: 0, duration: 0 },
+  { date: "2026-02-07", words: 0, duration: 0 },
+  { date: "2026-02-08", words: 0, duration: 0 },
+];
+
+test("buildGoals: a week has hit rates over the days so far and progress towards wordsPerWeek", () => {
+  const goals = buildGoals({ wordsPerDay: 3000, voiceMinutesPerDay: 20, wordsPerWeek: 15000 }, { days: WEEK, asOf: "2026-02-05", week: true });
+  assert.deepEqual(goals.progress, [{ goal: "wordsPerWeek", target: 15000, value: 10500, pct: 70, met: false }]);
+  assert.deepEqual(goals.hitRates, [
+    { goal: "wordsPerDay", met: 3, of: 4, pct: 75 },
+    { goal: "voiceMinutesPerDay", met: 2, of: 4, pct: 50 },
+  ]);
+  assert.deepEqual(goals.metDates, ["2026-02-02", "2026-02-05"]);
+  assert.deepEqual(goals.hitRate, { met: 2, of: 4, pct: 50 });
+});
+
+test("buildGoals: a month ignores wordsPerWeek", () => {
+  const goals = buildGoals({ wordsPerWeek: 15000 }, { days: WEEK, asOf: "2026-02-08" });
+  assert.deepEqual(goals.progress, []);
+  assert.deepEqual(goals.hitRates, []);
+  assert.equal(goals.hitRate, null);
+});
+
+// --- Labels ---
+
+test("goalRings, hitRateSentence and goalList", () => {
+  const goals = buildGoals({ wordsPerDay: 3000, voiceMinutesPerDay: 20, wordsPerWeek: 15000 }, { days: WEEK, asOf: "2026-02-05", week: true });
+  assert.deepEqual(goalRings(goals), [
+    { pct: 70, center: "70%", label: "Words this week", sublabel: "10,500 / 15,000" },
+    { pct: 75, center: "3/4", label: "Days at 3,000 words", sublabel: "75% hit rate" },
+    { pct: 50, center: "2/4", label: "Days at 20m of voice", sublabel: "50% hit rate" },
+  ]);
+  assert.equal(hitRateSentence(goals), "Hit every daily goal on 2 of 4 days (50%)");
+  assert.equal(hitRateSentence(buildGoals({ wordsPerDay: 3000 }, { days: WEEK, asOf: "2026-02-05" })), null);
+
+  const lines = goalList(goals);
+  assert.equal(lines[0], "## Goals\n");
+  assert.match(lines[1], /Words this week: 10,500 \/ 15,000 \(70%\)$/);
+  assert.match(lines[2], /Days at 3,000 words: 3 of 4 \(75%\)$/);
+  assert.equal(lines.at(-2), "Hit every daily goal on 2 of 4 days (50%)");
+});
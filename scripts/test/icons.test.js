@@ -0,0 +1,24 @@
+// Bundled icons: every app in the built-in registry ships with one, so
+// reports never need the network for them.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BUILTIN_APPS } = require("../lib/apps");
+const { BUNDLED_ICON_DIR, setIconDirs, resolveAppIcon } = require("../lib/icons");
+
+// Empty user and cache folders, so only the bundled icons can be found
+const empty = fs.mkdtempSync(path.join(os.tmpdir(), "wispr-icons-"));
+setIconDirs({ user: path.join(empty, "user"), cache: path.join(empty, "cache") });
+test.after(() => fs.rmSync(empty, { recursive: true, force: true }));
+
+test("icons: every built-in app has a bundled PNG", () => {
+  for (const bundleId of Object.keys(BUILTIN_APPS)) {
+    const file = path.join(BUNDLED_ICON_DIR, `${bundleId}.png`);
+    assert.ok(fs.existsSync(file), `missing ${file}`);
+    assert.equal(resolveAppIcon(bundleId).source, "bundled", bundleId);
+    assert.match(resolveAppIcon(bundleId).src, /^data:image\/png;base64,/);
+  }
+});
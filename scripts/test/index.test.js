@@ -0,0 +1,22 @@
+// The package entry point: the library without the commands' flag handling,
+// and share images loaded only when they're used.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const loaded = (file) => Object.keys(require.cache).some((k) => k.endsWith(file));
+
+test("index: exports the library, not cli.js, and leaves shareimage.js unloaded", () => {
+  const recap = require("../lib");
+  assert.equal(typeof recap.buildWeeklyRecap, "function");
+  assert.equal(typeof recap.queryHistory, "function");
+  for (const name of ["parseArgs", "fail", "configOrExit", "writeShareImageOrExit"]) assert.equal(recap[name], undefined, name);
+  assert.equal(loaded("/lib/cli.js"), false);
+  assert.equal(loaded("/lib/shareimage.js"), false);
+  assert.equal(loaded("@resvg/resvg-js/index.js"), false);
+
+  assert.deepEqual(recap.SHARE_IMAGE_TYPES, ["png", "svg"]);
+  assert.equal(recap.renderShareCardSVG, require("../lib/shareimage").renderShareCardSVG);
+  assert.ok(Object.keys(recap).includes("writeShareImage"));
+  assert.equal(loaded("/lib/shareimage.js"), true);
+});
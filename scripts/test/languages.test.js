@@ -0,0 +1,108 @@
+// Language breakdown: totals per language, the mix per app, per hour and per
+// period, and how language codes are read.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { languageBreakdown, languageName, isMultilingual, mixShares } = require("../lib/languages");
+const { queryHistory } = require("../lib/db");
+const { zonedParts, systemTimeZone } = require("../lib/timezone");
+
+const row = (language, extra = {}) => ({ timestamp: "2026-02-05 17:00:00.000 +00:00", app: "com.apple.Notes", numWords: 10, language, ...extra });
+
+// --- Codes ---
+
+test("languageBreakdown: regional codes count towards their language", () => {
+  const { languages } = languageBreakdown([row("en"), row("en-US"), row("EN_gb"), row(" es-MX "), row(null), row("")]);
+  assert.deepEqual(
+    languages.map((l) => [l.code, l.name, l.count, l.words]),
+    [
+      ["en", "English", 3, 30],
+      ["und", "Unknown", 2, 20],
+      ["es", "Spanish", 1, 10],
+    ]
+  );
+});
+
+test("languageName: names from Intl, the code when it's unknown", () => {
+  assert.equal(languageName("de"), "German");
+  assert.equal(languageName("und"), "Unknown");
+  assert.equal(languageName("qq"), "qq");
+});
+
+// --- Mixes ---
+
+const TZ = "America/Los_Angeles";
+
+// Monday and Wednesday in Los Angeles: English and Spanish in Slack in the
+// morning, English in Notes in the afternoon
+function week() {
+  const at = (timestamp, app, language) => ({ timestamp, app, language, numWords: 10 });
+  const db = historyDb([
+    at("2026-02-02 17:00:00.000 +00:00", "com.tinyspeck.slackmacgap", "en"),
+    at("2026-02-02 17:30:00.000 +00:00", "com.tinyspeck.slackmacgap", "es"),
+    at("2026-02-02 17:45:00.000 +00:00", "com.tinyspeck.slackmacgap", "es-MX"),
+    at("2026-02-04 22:00:00.000 +00:00", "com.apple.Notes", "en-US"),
+  ]);
+  const rows = queryHistory(db, { start: "2026-02-02", end: "2026-02-08", tz: TZ });
+  db.close();
+  return rows;
+}
+
+test("languageBreakdown: the mix per app and per local hour", () => {
+  const { byApp, byHour } = languageBreakdown(week());
+  assert.deepEqual(byApp, [
+    { app: "Slack", count: 3, languages: { en: 1, es: 2 } },
+    { app: "Notes", count: 1, languages: { en: 1 } },
+  ]);
+  assert.deepEqual(byHour, [
+    { hour: 9, label: "9 AM", count: 3, languages: { en: 1, es: 2 } },
+    { hour: 14, label: "2 PM", count: 1, languages: { en: 1 } },
+  ]);
+});
+
+test("languageBreakdown: the trend has every period, empty ones included", () => {
+  const periods = [
+    { label: "Mon", startDate: "2026-02-02" },
+    { label: "Tue", startDate: "2026-02-03" },
+    { label: "Wed", startDate: "2026-02-04" },
+  ];
+  assert.deepEqual(languageBreakdown(week(), { periods }).trend, [
+    { label: "Mon", startDate: "2026-02-02", count: 3, languages: { en: 1, es: 2 } },
+    { label: "Tue", startDate: "2026-02-03", count: 0, languages: {} },
+    { label: "Wed", startDate: "2026-02-04", count: 1, languages: { en: 1 } },
+  ]);
+  assert.equal(languageBreakdown(week()).trend, null);
+});
+
+test("mixShares: a mix's languages in the overall order, as percentages", () => {
+  const breakdown = languageBreakdown(week());
+  assert.deepEqual(
+    breakdown.languages.map((l) => l.code),
+    ["en", "es"]
+  );
+  assert.deepEqual(mixShares(breakdown.byApp[0], breakdown), [
+    { code: "en", name: "English", count: 1, pct: 33 },
+    { code: "es", name: "Spanish", count: 2, pct: 67 },
+  ]);
+  assert.deepEqual(mixShares(breakdown.byApp[1], breakdown), [{ code: "en", name: "English", count: 1, pct: 100 }]);
+});
+
+test("isMultilingual: more than one language, regional codes not counting twice", () => {
+  assert.equal(isMultilingual(languageBreakdown(week())), true);
+  assert.equal(isMultilingual(languageBreakdown([row("en"), row("en-GB")])), false);
+  assert.equal(isMultilingual(languageBreakdown([])), false);
+});
+
+// --- Rows from outside queryHistory ---
+
+test("languageBreakdown: rows without localHour are bucketed in the system zone", () => {
+  const rows = [row("en"), row("es", { timestamp: "2026-02-05 21:00:00.000 +00:00" })];
+  const hours = rows.map((r) => zonedParts(r.timestamp, systemTimeZone()).hour);
+  const { byHour } = languageBreakdown(rows);
+  assert.deepEqual(
+    byHour.map((h) => h.hour),
+    [...new Set(hours)].sort((a, b) => a - b)
+  );
+  assert.ok(byHour.every((h) => Number.isInteger(h.hour)));
+});
@@ -0,0 +1,139 @@
+// Speaking rate and dictation length: which rows can be timed, the rates
+// overall, per app, per hour and per period, and the length spread.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { wordsPerMinute, paceOutlier, dictationWPM, percentile, paceBreakdown, outlierNote } = require("../lib/pace");
+const { queryHistory } = require("../lib/db");
+const { zonedParts, systemTimeZone } = require("../lib/timezone");
+
+// --- Single dictations ---
+
+test("wordsPerMinute and dictationWPM: rounded rates", () => {
+  assert.equal(wordsPerMinute(42, 18), 140);
+  assert.equal(dictationWPM({ numWords: 42, duration: 18 }), 140);
+  assert.equal(dictationWPM({ numWords: 42, duration: 0 }), null);
+});
+
+test("paceOutlier: rows whose rate can't be trusted, and why", () => {
+  assert.equal(paceOutlier({ numWords: 10, duration: 0 }), "no duration");
+  assert.equal(paceOutlier({ numWords: 10, duration: null }), "no duration");
+  assert.equal(paceOutlier({ numWords: 0, duration: 5 }), "no words");
+  assert.equal(paceOutlier({ numWords: 41, duration: 6 }), "too fast");
+  assert.equal(paceOutlier({ numWords: 1, duration: 7 }), "too slow");
+  assert.equal(paceOutlier({ numWords: 40, duration: 6 }), null); // 400 wpm
+  assert.equal(paceOutlier({ numWords: 1, duration: 6 }), null); // 10 wpm
+});
+
+test("percentile: interpolated between the nearest values", () => {
+  assert.equal(percentile([1, 2, 3, 4], 50), 2.5);
+  assert.equal(percentile([10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110], 90), 100);
+  assert.equal(percentile([7], 90), 7);
+  assert.equal(percentile([], 50), null);
+});
+
+// --- Breakdown ---
+
+const TZ = "America/Los_Angeles";
+
+// Monday morning and Wednesday afternoon in Los Angeles; four of the
+// Wednesday dictations can't be timed
+function week() {
+  const at = (timestamp, app, numWords, duration) => ({ timestamp, app, numWords, duration });
+  const db = historyDb([
+    at("2026-02-02 17:00:00.000 +00:00", "com.apple.Notes", 30, 12),
+    at("2026-02-02 17:30:00.000 +00:00", "com.tinyspeck.slackmacgap", 60, 30),
+    at("2026-02-04 22:00:00.000 +00:00", "com.apple.Notes", 4, 2),
+    at("2026-02-04 22:10:00.000 +00:00", "com.apple.Notes", 10, 0),
+    at("2026-02-04 22:20:00.000 +00:00", "com.apple.Notes", 0, 5),
+    at("2026-02-04 22:30:00.000 +00:00", "com.tinyspeck.slackmacgap", 200, 10),
+    at("2026-02-04 22:40:00.000 +00:00", "com.tinyspeck.slackmacgap", 5, 60),
+    at("2026-02-04 22:50:00.000 +00:00", "com.apple.Notes", 200, 60),
+  ]);
+  const rows = queryHistory(db, { start: "2026-02-02", end: "2026-02-08", tz: TZ });
+  db.close();
+  return rows;
+}
+
+test("paceBreakdown: rates over the timed dictations, outliers counted by reason", () => {
+  const pace = paceBreakdown(week());
+  assert.equal(pace.wpm, 170); // 294 words in 104 seconds
+  assert.equal(pace.medianWpm, 135);
+  assert.equal(pace.counted, 4);
+  assert.deepEqual(pace.outliers, { count: 4, reasons: { "no duration": 1, "no words": 1, "too fast": 1, "too slow": 1 } });
+});
+
+test("paceBreakdown: how long dictations run and how many words they have", () => {
+  const pace = paceBreakdown(week());
+  assert.deepEqual(pace.duration, { median: 12, p90: 60 });
+  assert.deepEqual(pace.words, { median: 20, p90: 200 });
+  assert.deepEqual(
+    pace.lengths.map((l) => [l.label, l.kind, l.count]),
+    [
+      ["1–5", "Commands", 2],
+      ["6–20", "Short", 1],
+      ["21–60", "Medium", 2],
+      ["61–150", "Long", 0],
+      ["150+", "Long-form", 2],
+    ]
+  );
+});
+
+test("paceBreakdown: rates per app, per local hour and per period", () => {
+  const periods = [
+    { label: "Mon", startDate: "2026-02-02" },
+    { label: "Tue", startDate: "2026-02-03" },
+    { label: "Wed", startDate: "2026-02-04" },
+  ];
+  const pace = paceBreakdown(week(), { periods });
+  assert.deepEqual(pace.byApp, [
+    { app: "Notes", count: 3, wpm: 190 },
+    { app: "Slack", count: 1, wpm: 120 },
+  ]);
+  assert.deepEqual(pace.byHour, [
+    { hour: 9, label: "9 AM", count: 2, wpm: 129 },
+    { hour: 14, label: "2 PM", count: 2, wpm: 197 },
+  ]);
+  assert.deepEqual(pace.trend, [
+    { label: "Mon", startDate: "2026-02-02", count: 2, wpm: 129 },
+    { label: "Tue", startDate: "2026-02-03", count: 0, wpm: null },
+    { label: "Wed", startDate: "2026-02-04", count: 2, wpm: 197 },
+  ]);
+  assert.equal(paceBreakdown(week()).trend, null);
+});
+
+test("paceBreakdown: nothing to time gives no rates", () => {
+  const pace = paceBreakdown([{ timestamp: "2026-02-05 17:00:00.000 +00:00", numWords: 3, duration: 0 }]);
+  assert.equal(pace.wpm, null);
+  assert.equal(pace.medianWpm, null);
+  assert.deepEqual(pace.duration, { median: null, p90: null });
+  assert.deepEqual(pace.words, { median: 3, p90: 3 });
+  assert.deepEqual(paceBreakdown([]).words, { median: null, p90: null });
+});
+
+test("outlierNote: the reasons, most common first, or null", () => {
+  assert.equal(
+    outlierNote(paceBreakdown(week())),
+    "Left out of the rates: 1 dictation with no duration, 1 with no words, 1 too fast (over 400 wpm), 1 too slow (under 10 wpm)"
+  );
+  assert.equal(
+    outlierNote({ outliers: { count: 81, reasons: { "too fast": 2, "no duration": 79 } } }),
+    "Left out of the rates: 79 dictations with no duration, 2 too fast (over 400 wpm)"
+  );
+  assert.equal(outlierNote(paceBreakdown([])), null);
+});
+
+// --- Rows from outside queryHistory ---
+
+test("paceBreakdown: rows without localHour are bucketed in the system zone", () => {
+  const timestamps = ["2026-02-05 17:00:00.000 +00:00", "2026-02-05 17:30:00.000 +00:00", "2026-02-05 21:00:00.000 +00:00"];
+  const rows = timestamps.map((timestamp) => ({ timestamp, app: "com.apple.Notes", numWords: 30, duration: 12 }));
+  const hours = timestamps.map((ts) => zonedParts(ts, systemTimeZone()).hour);
+  const pace = paceBreakdown(rows);
+  assert.deepEqual(
+    pace.byHour.map((h) => [h.hour, h.count]),
+    [...new Set(hours)].map((hour) => [hour, hours.filter((h) => h === hour).length])
+  );
+  assert.ok(pace.byHour.every((h) => Number.isInteger(h.hour) && !h.label.includes("NaN")));
+});
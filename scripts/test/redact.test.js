@@ -0,0 +1,170 @@
+// Redaction: what maskText replaces (and what it must leave alone), the
+// keyword summaries, and the settings from --redact and the config.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { maskText, keywordSummary, makeRedactor, redactionSettings, redactionLabel } = require("../lib/redact");
+const { queryHistory } = require("../lib/db");
+const { buildDailyRecap, renderDailyCLI, renderDailyHTML, dailyShareCard } = require("../lib/reports/daily");
+
+// --- maskText ---
+
+test("maskText: emails", () => {
+  assert.equal(maskText("Mail ana.lima+work@example.co.uk today"), "Mail [email] today");
+  assert.equal(maskText("write to jörg@müller.de"), "write to [email]");
+});
+
+test("maskText: URLs, with or without a scheme", () => {
+  assert.equal(maskText("See https://example.com/pricing?a=1."), "See [url].");
+  assert.equal(maskText("it's on www.example.org/docs, I think"), "it's on [url], I think");
+  assert.equal(maskText("go to linear.app/team/issue"), "go to [url]");
+});
+
+test("maskText: phone numbers in the usual formats", () => {
+  for (const phone of [
+    "5551234567",
+    "15551234567",
+    "555-123-4567",
+    "555.123.4567",
+    "555 123 4567",
+    "(555) 123-4567",
+    "(555)123-4567",
+    "+1 555 123 4567",
+    "+15551234567",
+    "+44 20 7946 0958",
+    "0161 496 0000",
+    "+49 30 1234 5678",
+  ]) {
+    assert.equal(maskText(`My phone is ${phone}, call me`), "My phone is [phone], call me", phone);
+  }
+});
+
+test("maskText: card numbers are cards, not phones", () => {
+  assert.equal(maskText("card 4111 1111 1111 1111 expires soon"), "card [card] expires soon");
+  assert.equal(maskText("card 4111-1111-1111-1111"), "card [card]");
+});
+
+test("maskText: numbers that aren't phone numbers are left alone", () => {
+  for (const text of [
+    "ids: 2026 0205 1234",
+    "ids 2026-0205-1234",
+    "on 2026-02-05 at 10:30",
+    "in 2026 we had 1500 users",
+    "order 123456789012",
+    "12 345 678 people",
+    "version 1.2.3 and 10.15.7",
+    "the 9:00-17:30 shift",
+  ]) {
+    assert.equal(maskText(text), text, text);
+  }
+});
+
+test("maskText: names as whole words in any case, longest first", () => {
+  assert.equal(maskText("Ask ana lima and Ana about Anastasia", ["Ana", "Ana Lima"]), "Ask [name] and [name] about Anastasia");
+  assert.equal(maskText("Café with Zoë.", ["zoë"]), "Café with [name].");
+});
+
+// --- keywordSummary ---
+
+test("keywordSummary: the most frequent meaningful words, ties in order", () => {
+  assert.equal(keywordSummary("The pricing page and the launch: pricing, launch, pricing."), "pricing, launch, page");
+  assert.equal(keywordSummary("Pricing launch page roadmap", { count: 2 }), "pricing, launch");
+});
+
+test("keywordSummary: mask tokens and stop words aren't keywords", () => {
+  assert.equal(keywordSummary("email [email] about the [phone] thing"), "email");
+  assert.equal(keywordSummary("yeah so I think that's it"), null);
+  assert.equal(keywordSummary(""), null);
+});
+
+// --- Levels ---
+
+test("makeRedactor: each level", () => {
+  const text = "Call Ana at 555-123-4567 about pricing and pricing plans";
+  assert.equal(makeRedactor(null)(text), text);
+  assert.equal(makeRedactor({ level: "hide", names: [] })(text), null);
+  assert.equal(makeRedactor({ level: "mask", names: ["Ana"] })(text), "Call [name] at [phone] about pricing and pricing plans");
+  assert.equal(makeRedactor({ level: "keywords", names: ["Ana"] })(text), "pricing, call, plans");
+});
+
+test("redactionLabel: the header note for each level", () => {
+  assert.equal(redactionLabel("hide"), "Transcripts hidden");
+  assert.equal(redactionLabel("mask"), "Personal details masked");
+  assert.equal(redactionLabel("keywords"), "Transcripts shown as keywords");
+  assert.equal(redactionLabel(null), null);
+});
+
+// --- Reports ---
+
+const TZ = "America/Los_Angeles";
+const SECRETS = [/\bana\b/i, /ana@example\.com/i, /555-123-4567/];
+
+// A day whose transcripts (raw and formatted) hold a name, an email and a phone
+function recap(level) {
+  const db = historyDb(
+    ["16:00", "16:05", "17:30"].map((time, i) => ({
+      timestamp: `2026-02-05 ${time}:00.000 +00:00`,
+      asrText: "um tell ana to mail ana@example.com or call 555-123-4567 about the launch",
+      formattedText: `Tell Ana to mail ana@example.com or call 555-123-4567 about the launch${i === 0 ? "" : " plan"}.`,
+      numWords: 14,
+      duration: 6,
+    }))
+  );
+  const rows = queryHistory(db, { start: "2026-02-05", end: "2026-02-05", tz: TZ });
+  db.close();
+  return buildDailyRecap(rows, { date: "2026-02-05", tz: TZ, redaction: level && { level, names: ["Ana"] }, corrections: true });
+}
+
+// Everything a daily recap puts out: its JSON, the terminal text, the HTML page and the share card
+const outputs = (data) => [JSON.stringify(data), renderDailyCLI(data), renderDailyHTML(data, { selfContained: false }), JSON.stringify(dailyShareCard(data))];
+
+test("daily recap: without redaction the transcripts are shown as said", () => {
+  assert.ok(outputs(recap(null)).every((out) => SECRETS.every((secret) => secret.test(out))));
+});
+
+for (const level of ["hide", "mask", "keywords"]) {
+  test(`daily recap: --redact=${level} keeps personal details out of every output`, () => {
+    const data = recap(level);
+    assert.equal(data.redaction, level);
+    for (const out of outputs(data)) {
+      for (const secret of SECRETS) assert.doesNotMatch(out, secret);
+    }
+    assert.ok(outputs(data).slice(1, 3).every((out) => out.includes(redactionLabel(level))));
+  });
+}
+
+test("daily recap: --redact=hide lists no dictations and --redact=mask keeps the rest of the text", () => {
+  assert.deepEqual(recap("hide").dictations, []);
+  assert.deepEqual(
+    recap("mask").dictations.map((d) => d.text),
+    [
+      "Tell [name] to mail [email] or call [phone] about the launch.",
+      "Tell [name] to mail [email] or call [phone] about the launch plan.",
+      "Tell [name] to mail [email] or call [phone] about the launch plan.",
+    ]
+  );
+});
+
+// --- Settings ---
+
+const config = (redact) => ({ path: "/tmp/config.json", settings: redact === undefined ? {} : { redact } });
+
+test("redactionSettings: --redact and the config's level", () => {
+  assert.equal(redactionSettings(undefined, config()), null);
+  assert.deepEqual(redactionSettings(true, config()), { level: "mask", names: [] });
+  assert.deepEqual(redactionSettings("keywords", config()), { level: "keywords", names: [] });
+  assert.deepEqual(redactionSettings(undefined, config({ level: "hide" })), { level: "hide", names: [] });
+  assert.deepEqual(redactionSettings(true, config({ level: "keywords" })), { level: "keywords", names: [] });
+  assert.equal(redactionSettings("none", config({ level: "mask" })), null);
+  assert.deepEqual(redactionSettings(undefined, config({ level: "mask", names: [" Ana ", "Ben"] })), { level: "mask", names: ["Ana", "Ben"] });
+  assert.deepEqual(redactionSettings(true, null), { level: "mask", names: [] });
+});
+
+test("redactionSettings: bad values are errors", () => {
+  assert.throws(() => redactionSettings("blur", config()), /--redact must be one of: hide, mask, keywords, none/);
+  assert.throws(() => redactionSettings(undefined, config({ level: "blur" })), /"redact.level"/);
+  assert.throws(() => redactionSettings(undefined, config({ names: "Ana" })), /"redact.names" .* must be a list of names/);
+  assert.throws(() => redactionSettings(undefined, config({ names: ["Ana", ""] })), /"redact.names"/);
+  assert.throws(() => redactionSettings(undefined, config(["mask"])), /"redact" in \/tmp\/config.json must be an object/);
+});
@@ -0,0 +1,212 @@
+// Transcript search: the FTS index built from History, what searches find,
+// and the conversation context shown around each result.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { historyDb, tempDir } = require("./fixtures");
+const { openSearchIndex, syncSearchIndex, ftsQuery, searchTranscripts, conversationContext, highlightExcerpt } = require("../lib/search");
+const { makeAppFilter, setAppRules } = require("../lib/apps");
+
+const dir = tempDir("wispr-search-");
+let indexes = 0;
+
+// A fresh index synced from dictations
+function searchIndex(dictations) {
+  const db = historyDb(dictations);
+  const index = openSearchIndex(path.join(dir, `search-${indexes++}.sqlite`));
+  syncSearchIndex(index, db);
+  db.close();
+  return index;
+}
+
+// One conversation that hops between Messages and Slack
+const CONVERSATION = [
+  { timestamp: "2026-02-05 17:00:00.000 +00:00", app: "com.apple.MobileSMS", conversationId: "c1", formattedText: "Can you send the deck tonight?" },
+  { timestamp: "2026-02-05 17:01:00.000 +00:00", app: "com.tinyspeck.slackmacgap", conversationId: "c1", formattedText: "The pricing page goes live Friday." },
+  { timestamp: "2026-02-05 17:02:00.000 +00:00", app: "com.apple.MobileSMS", conversationId: "c1", formattedText: "Dinner at eight works for me." },
+  { timestamp: "2026-02-05 17:03:00.000 +00:00", app: "com.tinyspeck.slackmacgap", conversationId: "c1", formattedText: "Ship the pricing FAQ after that." },
+];
+
+// --- Queries ---
+
+test("ftsQuery: every word, quoted parts as phrases", () => {
+  assert.equal(ftsQuery("pricing page"), '"pricing" "page"');
+  assert.equal(ftsQuery('ship "pricing page" friday'), '"ship" "pricing page" "friday"');
+  assert.equal(ftsQuery("it's AND-or NOT*"), `"it's" "AND-or" "NOT*"`);
+  assert.equal(ftsQuery(' say "hi" ', { phrase: true }), '"say ""hi"""');
+});
+
+// --- Searching ---
+
+test("searchTranscripts: every word must appear, stemmed, with the matches marked", () => {
+  const index = searchIndex(CONVERSATION);
+  const [result, ...rest] = searchTranscripts(index, "price pages");
+  assert.deepEqual(rest, []);
+  assert.equal(result.text, "The pricing page goes live Friday.");
+  assert.deepEqual(
+    result.matches.map(([a, b]) => result.text.slice(a, b)),
+    ["pricing", "page"]
+  );
+  assert.ok(result.score > 0);
+  assert.deepEqual(searchTranscripts(index, "pricing dinner"), []);
+  index.close();
+});
+
+test("searchTranscripts: phrases must appear in order", () => {
+  const index = searchIndex(CONVERSATION);
+  assert.deepEqual(searchTranscripts(index, "pricing page", { mode: "phrase" }).map((r) => r.text), ["The pricing page goes live Friday."]);
+  assert.deepEqual(searchTranscripts(index, "page pricing", { mode: "phrase" }), []);
+  assert.deepEqual(searchTranscripts(index, '"page pricing"'), []);
+  index.close();
+});
+
+test("searchTranscripts: regex matches rank by count, then newest first", () => {
+  const index = searchIndex([...CONVERSATION, { timestamp: "2026-02-05 18:00:00.000 +00:00", formattedText: "Pricing, pricing and more PRICING." }]);
+  const results = searchTranscripts(index, "pric\\w+", { mode: "regex" });
+  assert.deepEqual(
+    results.map((r) => [r.text, r.score]),
+    [
+      ["Pricing, pricing and more PRICING.", 3],
+      ["Ship the pricing FAQ after that.", 1],
+      ["The pricing page goes live Friday.", 1],
+    ]
+  );
+  assert.deepEqual(results[1].matches, [[9, 16]]);
+  assert.throws(() => searchTranscripts(index, "pric(", { mode: "regex" }), /Invalid regular expression/);
+  index.close();
+});
+
+test("searchTranscripts: date range, app filter and limit", () => {
+  const index = searchIndex(CONVERSATION);
+  const texts = (options) => searchTranscripts(index, "\\w", { mode: "regex", ...options }).map((r) => r.text);
+  assert.deepEqual(texts({ from: new Date("2026-02-05T17:01:00Z"), until: new Date("2026-02-05T17:03:00Z") }), [
+    "The pricing page goes live Friday.",
+    "Dinner at eight works for me.",
+  ]);
+  assert.deepEqual(texts({ appFilter: (app) => app === "com.apple.MobileSMS", limit: 1 }), ["Can you send the deck tonight?"]);
+  assert.equal(searchTranscripts(index, "the", { limit: 1 }).length, 1);
+  index.close();
+});
+
+test("searchTranscripts: bad modes and empty queries are errors", () => {
+  const index = searchIndex(CONVERSATION);
+  assert.throws(() => searchTranscripts(index, "pricing", { mode: "fuzzy" }), /Search mode must be one of: words, phrase, regex/);
+  assert.throws(() => searchTranscripts(index, "   "), /Nothing to search for/);
+  index.close();
+});
+
+// --- Excerpts ---
+
+test("highlightExcerpt: matches are marked, neighbouring ones together", () => {
+  const text = "The pricing page\ngoes live Friday.";
+  assert.equal(highlightExcerpt(text, [[4, 11], [12, 16]]), "The **pricing page** goes live Friday.");
+  assert.equal(highlightExcerpt(text, [[4, 11], [22, 26]], { mark: (s) => `[${s}]` }), "The [pricing] page goes [live] Friday.");
+});
+
+test("highlightExcerpt: long text is cut around the first match", () => {
+  const text = `${"a".repeat(100)} pricing ${"b".repeat(100)}`;
+  const excerpt = highlightExcerpt(text, [[101, 108]], { width: 30 });
+  assert.equal(excerpt, `…${"a".repeat(9)} **pricing** ${"b".repeat(12)}…`);
+  assert.equal(highlightExcerpt("short", [], { width: 30 }), "short");
+});
+
+// --- Conversation context ---
+
+test("conversationContext: --exclude-app leaves the excluded app out of the context too", () => {
+  const index = searchIndex(CONVERSATION);
+  const appFilter = makeAppFilter({ apps: [], excludeApps: ["Messages"] });
+  const results = searchTranscripts(index, "pricing", { appFilter });
+  assert.deepEqual(
+    results.map((r) => r.app),
+    ["com.tinyspeck.slackmacgap", "com.tinyspeck.slackmacgap"]
+  );
+  for (const r of results) {
+    const context = conversationContext(index, r, { before: 3, after: 3, appFilter });
+    for (const c of [...context.before, ...context.after]) assert.equal(c.app, "com.tinyspeck.slackmacgap");
+  }
+  const first = results.find((r) => r.text.startsWith("The pricing page"));
+  assert.deepEqual(conversationContext(index, first, { before: 3, after: 3, appFilter }).after.map((c) => c.text), ["Ship the pricing FAQ after that."]);
+  index.close();
+});
+
+test("conversationContext: without a filter, neighbours from any app are shown", () => {
+  const index = searchIndex(CONVERSATION);
+  const [result] = searchTranscripts(index, '"pricing page"');
+  const context = conversationContext(index, result);
+  assert.deepEqual(context.before.map((c) => c.text), ["Can you send the deck tonight?"]);
+  assert.deepEqual(context.after.map((c) => c.text), ["Dinner at eight works for me."]);
+  index.close();
+});
+
+// --- Per-app rules ---
+
+test.afterEach(() => setAppRules());
+
+// Everything the index file holds for an app, text included
+const indexed = (index, app) => index.prepare("SELECT text FROM dictations WHERE app = ?").all(app).map((r) => r.text);
+
+test("syncSearchIndex: excluded apps aren't indexed and countOnly apps are indexed without text", () => {
+  setAppRules({ "com.apple.MobileSMS": { exclude: true }, "com.tinyspeck.slackmacgap": { countOnly: true } });
+  const index = searchIndex([...CONVERSATION, { timestamp: "2026-02-05 18:00:00.000 +00:00", formattedText: "pricing notes" }]);
+  assert.deepEqual(indexed(index, "com.apple.MobileSMS"), []);
+  assert.deepEqual(indexed(index, "com.tinyspeck.slackmacgap"), ["", ""]);
+  assert.deepEqual(indexed(index, "com.apple.Notes"), ["pricing notes"]);
+  assert.deepEqual(searchTranscripts(index, "pricing").map((r) => r.text), ["pricing notes"]);
+  index.close();
+});
+
+test("syncSearchIndex: changing the rules rebuilds the index", () => {
+  const db = historyDb(CONVERSATION);
+  const index = openSearchIndex(path.join(dir, "rules.sqlite"));
+  assert.equal(syncSearchIndex(index, db).total, 4);
+  assert.equal(syncSearchIndex(index, db).rebuilt, false);
+
+  setAppRules({ "com.apple.MobileSMS": { exclude: true } });
+  const sync = syncSearchIndex(index, db);
+  assert.equal(sync.rebuilt, true);
+  assert.equal(sync.total, 2);
+  assert.deepEqual(indexed(index, "com.apple.MobileSMS"), []);
+  assert.equal(syncSearchIndex(index, db).rebuilt, false);
+
+  setAppRules();
+  assert.equal(syncSearchIndex(index, db).total, 4);
+  index.close();
+  db.close();
+});
+
+// --- Syncing ---
+
+test("syncSearchIndex: new dictations are appended, archived ones trigger a rebuild", () => {
+  const db = historyDb(CONVERSATION);
+  const index = openSearchIndex(path.join(dir, "sync.sqlite"));
+  assert.deepEqual(syncSearchIndex(index, db), { added: 4, rebuilt: true, total: 4 });
+  assert.deepEqual(syncSearchIndex(index, db), { added: 0, rebuilt: false, total: 4 });
+
+  db.prepare("INSERT INTO History (transcriptEntityId, timestamp, app, formattedText, numWords) VALUES ('t9', '2026-02-06 09:00:00.000 +00:00', 'com.apple.Notes', 'pricing recap', 2)").run();
+  assert.deepEqual(syncSearchIndex(index, db), { added: 1, rebuilt: false, total: 5 });
+
+  db.prepare("UPDATE History SET isArchived = 1 WHERE transcriptEntityId = 't1'").run();
+  assert.deepEqual(syncSearchIndex(index, db), { added: 4, rebuilt: true, total: 4 });
+  assert.deepEqual(
+    searchTranscripts(index, "pricing").map((r) => r.text).sort(),
+    ["Ship the pricing FAQ after that.", "pricing recap"]
+  );
+  assert.equal(syncSearchIndex(index, db, { rebuild: true }).rebuilt, true);
+  index.close();
+  db.close();
+});
+
+test("openSearchIndex: an index from another version is recreated", () => {
+  const file = path.join(dir, "old.sqlite");
+  const old = new Database(file);
+  old.exec("CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT); INSERT INTO meta VALUES ('version', '1'); CREATE TABLE stale (x);");
+  old.close();
+  const index = openSearchIndex(file);
+  assert.equal(index.prepare("SELECT value FROM meta WHERE key = 'version'").get().value, "2");
+  assert.equal(index.prepare("SELECT 1 FROM sqlite_master WHERE name = 'stale'").get(), undefined);
+  index.close();
+  assert.ok(fs.existsSync(file));
+});
@@ -0,0 +1,108 @@
+// Self-contained HTML reports load nothing from the network: every report,
+// rendered with selfContained, has no http(s) URL anywhere the browser would
+// fetch it. Plain <a href> links are fine; they're only followed on a click.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const lib = require("../lib");
+
+const TZ = "America/Los_Angeles";
+
+// Places a page would fetch from: src= (tags and script), url(), @import and
+// <link href>
+const FETCHED_URLS = [
+  /\bsrc\s*=\s*["'`]?\s*(?:https?:)?\/\/[^\s"'`>]*/gi,
+  /url\(\s*["']?\s*(?:https?:)?\/\/[^\s"')]*/gi,
+  /@import\s+(?:url\()?\s*["']?\s*(?:https?:)?\/\/[^\s"');]*/gi,
+  /<link\b[^>]*\bhref\s*=\s*["']?\s*(?:https?:)?\/\/[^\s"'>]*/gi,
+];
+
+function fetchedURLs(html) {
+  return FETCHED_URLS.flatMap((pattern) => html.match(pattern) || []);
+}
+
+// A few dictations a day from January to March 2026, across built-in apps, a
+// browser with sites, an unknown app and one whose registry icon is remote
+function historyDb() {
+  const db = new Database(":memory:");
+  db.exec(`CREATE TABLE History (${lib.HISTORY_COLUMNS.join(", ")}, isArchived INTEGER DEFAULT 0)`);
+  const insert = db.prepare(
+    "INSERT INTO History (transcriptEntityId, formattedText, asrText, timestamp, app, url, numWords, duration, language) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)"
+  );
+  const apps = [
+    ["com.tinyspeck.slackmacgap", null],
+    ["com.google.Chrome", "https://mail.google.com/mail/u/0/"],
+    ["com.google.Chrome", "https://github.com/pulls"],
+    ["com.todesktop.230313mzl4w4u92", null],
+    ["com.example.Remote", null],
+    ["com.example.Weird-App", null],
+  ];
+  let n = 0;
+  for (let day = new Date(Date.UTC(2026, 0, 1)); day < Date.UTC(2026, 3, 1); day.setUTCDate(day.getUTCDate() + 1)) {
+    for (let i = 0; i < 4; i++) {
+      const [app, url] = apps[n % apps.length];
+      const at = new Date(day.getTime() + (17 + i * 2) * 3600000).toISOString().replace("T", " ").replace("Z", " +00:00");
+      insert.run(`t${n}`, "So we ship it on Friday.", "um so we ship it on friday", at, app, url, 6, 3 + (n % 5), n % 7 ? "en" : "es");
+      n++;
+    }
+  }
+  return db;
+}
+
+const empty = fs.mkdtempSync(path.join(os.tmpdir(), "wispr-selfcontained-"));
+lib.setIconDirs({ user: path.join(empty, "user"), cache: path.join(empty, "cache") });
+lib.setAppRegistry({ ...lib.BUILTIN_APPS, "com.example.Remote": { name: "Remote", icon: "https://example.com/remote.png" } });
+test.after(() => {
+  lib.setAppRegistry();
+  fs.rmSync(empty, { recursive: true, force: true });
+});
+
+const db = historyDb();
+const rows = (range) => lib.queryHistory(db, { ...range, tz: TZ });
+
+const REPORTS = {
+  daily: () => {
+    const date = "2026-02-05";
+    return lib.renderDailyHTML(lib.buildDailyRecap(rows({ start: date, end: date }), { date, tz: TZ, corrections: true }), { selfContained: true });
+  },
+  weekly: () => {
+    const week = lib.getWeekRange("2026-02-05");
+    return lib.renderWeeklyHTML(lib.buildWeeklyRecap(rows(week), { week, tz: TZ }), { selfContained: true });
+  },
+  monthly: () => {
+    const monthRange = lib.getMonthRange("2026-02");
+    return lib.renderMonthlyHTML(lib.buildMonthlyRecap(rows(monthRange), { monthRange, tz: TZ }), { selfContained: true });
+  },
+  range: () => {
+    const range = { start: "2026-01-10", end: "2026-03-20" };
+    return lib.renderRangeHTML(lib.buildRangeRecap(rows(range), { range, tz: TZ }), { selfContained: true });
+  },
+  yearly: () => {
+    const yearRange = lib.getYearRange("2026");
+    return lib.renderYearlyHTML(lib.buildYearlyRecap(rows(yearRange), { yearRange, tz: TZ }), { selfContained: true });
+  },
+};
+
+for (const [name, render] of Object.entries(REPORTS)) {
+  test(`selfContained: the ${name} report fetches nothing`, () => {
+    const html = render();
+    assert.match(html, /<a [^>]*href="https:\/\//, "expected the footer links to stay");
+    assert.deepEqual(fetchedURLs(html), []);
+  });
+}
+
+test("selfContained: the check catches each kind of fetched URL", () => {
+  const html = [
+    '<img src="https://example.com/a.png">',
+    "<script src='//cdn.example.com/x.js'></script>",
+    "<style>body { background: url(https://example.com/b.png) }</style>",
+    '<style>@import "https://fonts.example.com/c.css";</style>',
+    '<link rel="stylesheet" href="http://example.com/d.css">',
+    '<a href="https://example.com/">fine</a>',
+  ].join("\n");
+  assert.equal(fetchedURLs(html).length, 5);
+});
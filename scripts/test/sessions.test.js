@@ -0,0 +1,130 @@
+// Dictation sessions: how a day's dictations are split into bursts, what each
+// session adds up, and the gap setting.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { buildSessions, sessionGapSettings } = require("../lib/sessions");
+const { setAppRules } = require("../lib/apps");
+const { queryHistory } = require("../lib/db");
+
+const TZ = "America/Los_Angeles";
+
+// A dictation at "HH:MM" UTC on 2026-02-05 (morning in Los Angeles)
+const at = (time, extra = {}) => ({ timestamp: `2026-02-05 ${time}:00.000 +00:00`, numWords: 10, duration: 30, ...extra });
+
+// February 5 in Los Angeles, as the daily recap queries it
+function day(dictations) {
+  const db = historyDb(dictations);
+  const rows = queryHistory(db, { start: "2026-02-05", end: "2026-02-05", tz: TZ });
+  db.close();
+  return rows;
+}
+
+// --- Splitting ---
+
+test("buildSessions: an idle gap starts a new session even in the same conversation", () => {
+  const rows = day([at("16:00", { conversationId: "c1" }), at("16:05", { conversationId: "c1" }), at("04:28", { conversationId: "c1", timestamp: "2026-02-06 04:28:00.000 +00:00" })]);
+  const sessions = buildSessions(rows, { tz: TZ, gapMinutes: 10 });
+  assert.deepEqual(
+    sessions.map((s) => [s.start, s.end, s.count]),
+    [
+      ["8:00 AM", "8:05 AM", 2],
+      ["8:28 PM", "8:28 PM", 1],
+    ]
+  );
+  assert.ok(sessions.every((s) => s.duration < 3600));
+});
+
+test("buildSessions: dictations within the gap share a session across conversations", () => {
+  const rows = day([at("16:00", { conversationId: "c1" }), at("16:08", { conversationId: "c2", app: "com.tinyspeck.slackmacgap" }), at("16:30")]);
+  const sessions = buildSessions(rows, { tz: TZ, gapMinutes: 10 });
+  assert.deepEqual(
+    sessions.map((s) => s.count),
+    [2, 1]
+  );
+});
+
+test("buildSessions: the gap runs from the end of the previous dictation", () => {
+  const rows = day([at("16:00", { duration: 300 }), at("16:14"), at("16:30")]);
+  assert.deepEqual(
+    buildSessions(rows, { tz: TZ, gapMinutes: 10 }).map((s) => s.count),
+    [2, 1]
+  );
+  assert.deepEqual(
+    buildSessions(rows, { tz: TZ, gapMinutes: 20 }).map((s) => s.count),
+    [3]
+  );
+});
+
+// --- What a session adds up ---
+
+test.afterEach(() => setAppRules());
+
+test("buildSessions: times, totals, apps and switches", () => {
+  const rows = day([
+    at("16:00", { formattedText: "Draft the launch note." }),
+    at("16:02", { app: "com.tinyspeck.slackmacgap", formattedText: "Posting it now." }),
+    at("16:04", { app: "com.tinyspeck.slackmacgap", numWords: 5 }),
+    at("16:09", { duration: 90 }),
+  ]);
+  const [session] = buildSessions(rows, { tz: TZ });
+  assert.deepEqual(
+    { ...session, thread: undefined },
+    {
+      start: "8:00 AM",
+      end: "8:10 AM",
+      startHour: 8,
+      duration: 630,
+      voiceTime: 180,
+      count: 4,
+      words: 35,
+      apps: ["Notes", "Slack"],
+      appSwitches: 2,
+      thread: undefined,
+    }
+  );
+  assert.deepEqual(
+    session.thread.map((d) => [d.time, d.app, d.text]),
+    [
+      ["8:00 AM", "Notes", "Draft the launch note."],
+      ["8:02 AM", "Slack", "Posting it now."],
+      ["8:04 AM", "Slack", "hello there"],
+      ["8:09 AM", "Notes", "hello there"],
+    ]
+  );
+});
+
+test("buildSessions: threads are redacted, and countOnly apps show no text", () => {
+  setAppRules({ "com.tinyspeck.slackmacgap": { countOnly: true } });
+  const rows = day([at("16:00", { formattedText: "Mail ana@example.com today." }), at("16:01", { app: "com.tinyspeck.slackmacgap", formattedText: "Secret plans." })]);
+  const [session] = buildSessions(rows, { tz: TZ, redact: (text) => text.replace(/\S+@\S+/, "[email]") });
+  assert.deepEqual(
+    session.thread.map((d) => d.text),
+    ["Mail [email] today.", ""]
+  );
+  assert.equal(session.words, 20);
+});
+
+test("buildSessions: no rows, no sessions", () => {
+  assert.deepEqual(buildSessions([], { tz: TZ }), []);
+});
+
+// --- Settings ---
+
+const config = (sessions) => ({ path: "/tmp/config.json", settings: sessions === undefined ? {} : { sessions } });
+
+test("sessionGapSettings: --session-gap, else the config, else 10 minutes", () => {
+  assert.equal(sessionGapSettings(undefined, null), 10);
+  assert.equal(sessionGapSettings(undefined, config()), 10);
+  assert.equal(sessionGapSettings(true, config({})), 10);
+  assert.equal(sessionGapSettings(undefined, config({ gapMinutes: 25 })), 25);
+  assert.equal(sessionGapSettings("7.5", config({ gapMinutes: 25 })), 7.5);
+});
+
+test("sessionGapSettings: bad values are errors", () => {
+  assert.throws(() => sessionGapSettings("0", config()), /--session-gap must be a number of minutes, e.g. --session-gap=15/);
+  assert.throws(() => sessionGapSettings("soon", config()), /--session-gap must be a number of minutes/);
+  assert.throws(() => sessionGapSettings(undefined, config(15)), /"sessions" in \/tmp\/config.json must be an object/);
+  assert.throws(() => sessionGapSettings(undefined, config({ gapMinutes: "15" })), /"sessions.gapMinutes" in \/tmp\/config.json must be a positive number/);
+});
@@ -0,0 +1,105 @@
+// Share images without a browser: the fonts read from the bundled WOFF
+// files, the SVG laid out for each template and format, and the PNG and SVG
+// files --share-image writes.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { historyDb, tempDir } = require("./fixtures");
+
+// Converted fonts are cached here rather than in the real cache directory
+const dir = tempDir("wispr-shareimage-");
+process.env.XDG_CACHE_HOME = path.join(dir, "cache");
+
+const { woffToSfnt, fontMetrics, renderShareCardSVG, renderShareCardPNG, writeShareImage } = require("../lib/shareimage");
+const { fontFaces } = require("../lib/assets");
+const { queryHistory } = require("../lib/db");
+const { buildDailyRecap, dailyShareCard } = require("../lib/reports/daily");
+
+const TZ = "America/Los_Angeles";
+
+// The share card of a daily recap with a Notes dictation and a Slack one
+function card() {
+  const db = historyDb([
+    { timestamp: "2026-02-05 17:00:00.000 +00:00", formattedText: "We ship the pricing page on Friday & tell sales.", numWords: 9, duration: 4 },
+    { timestamp: "2026-02-05 18:00:00.000 +00:00", app: "com.tinyspeck.slackmacgap", formattedText: "Sounds good.", numWords: 2, duration: 1 },
+  ]);
+  const rows = queryHistory(db, { start: "2026-02-05", end: "2026-02-05", tz: TZ });
+  db.close();
+  return dailyShareCard(buildDailyRecap(rows, { date: "2026-02-05", tz: TZ }));
+}
+
+// [width, height] from a PNG's IHDR chunk
+function pngSize(png) {
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  return [png.readUInt32BE(16), png.readUInt32BE(20)];
+}
+
+// --- Fonts ---
+
+test("woffToSfnt and fontMetrics: the bundled fonts' metrics", () => {
+  const face = fontFaces().find((f) => f.family === "Inter" && !/-ext-/.test(f.name));
+  const sfnt = woffToSfnt(fs.readFileSync(`${face.file}.woff`));
+  assert.equal(sfnt.readUInt32BE(0), 0x00010000);
+  const metrics = fontMetrics(sfnt);
+  assert.ok(metrics.unitsPerEm > 0);
+  assert.ok(metrics.ascender > 0 && metrics.descender < 0);
+  assert.ok(metrics.advance("W".codePointAt(0)) > metrics.advance("i".codePointAt(0)));
+  assert.equal(metrics.advance("中".codePointAt(0)), null);
+});
+
+// --- SVG ---
+
+test("renderShareCardSVG: the card's text at each format's size", () => {
+  const summary = card();
+  for (const [format, size] of [
+    ["landscape", 'width="1200" height="630"'],
+    ["square", 'width="1080" height="1080"'],
+    ["story", 'width="1080" height="1920"'],
+  ]) {
+    const svg = renderShareCardSVG(summary, { format });
+    assert.ok(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" ${size}`), format);
+    assert.ok(svg.includes(">Thursday, February 5, 2026</text>"), format);
+    assert.ok(svg.includes(">DICTATIONS</text>") && svg.includes(">Notes</text>") && svg.includes(">Slack</text>"), format);
+    assert.ok(!/NaN|undefined/.test(svg), format);
+  }
+});
+
+test("renderShareCardSVG: fonts are embedded unless asked not to", () => {
+  const summary = card();
+  assert.match(renderShareCardSVG(summary), /<style>@font-face \{[^<]*url\(data:font\//);
+  assert.ok(!renderShareCardSVG(summary, { embedFonts: false }).includes("@font-face"));
+});
+
+test("renderShareCardSVG: templates show their own content, escaped", () => {
+  const svg = renderShareCardSVG(card(), { template: "quote", embedFonts: false });
+  assert.ok(svg.includes("We ship the pricing page on Friday &amp; tell sales."));
+  assert.ok(renderShareCardSVG(card(), { template: "heatmap", embedFonts: false }).includes(">9 AM</text>"));
+});
+
+test("renderShareCardSVG: unavailable templates and unknown formats are errors", () => {
+  assert.throws(() => renderShareCardSVG(card(), { template: "streak" }), /Can't use the streak share card: no current streak/);
+  assert.throws(() => renderShareCardSVG(card(), { format: "banner" }), /Unknown share card format "banner" \(use landscape, square, story\)/);
+});
+
+// --- PNG and files ---
+
+test("renderShareCardPNG: twice the card's size unless scaled otherwise", () => {
+  assert.deepEqual(pngSize(renderShareCardPNG(card())), [2400, 1260]);
+  assert.deepEqual(pngSize(renderShareCardPNG(card(), { format: "square", scale: 1 })), [1080, 1080]);
+  assert.ok(fs.readdirSync(path.join(process.env.XDG_CACHE_HOME, "wispr-flow-recap", "fonts")).every((f) => f.endsWith(".ttf")));
+});
+
+test("writeShareImage: PNG or SVG by the file's extension", () => {
+  const svgFile = path.join(dir, "card.svg");
+  writeShareImage(svgFile, card(), { format: "story" });
+  assert.match(fs.readFileSync(svgFile, "utf8"), /^<svg [^>]*width="1080" height="1920"/);
+
+  const pngFile = path.join(dir, "card.PNG");
+  writeShareImage(pngFile, card());
+  assert.deepEqual(pngSize(fs.readFileSync(pngFile)), [2400, 1260]);
+
+  assert.throws(() => writeShareImage(path.join(dir, "card.jpg"), card()), /Share images must be \.png or \.svg files: .*card\.jpg/);
+  assert.ok(!fs.existsSync(path.join(dir, "card.jpg")));
+});
@@ -0,0 +1,95 @@
+// Share card templates: which ones a card can use, the quote picked for it,
+// what each template shows and the file names for each choice.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { templateUnavailable, shareTemplates, topQuote, shareImageName, templateContent } = require("../lib/sharetemplates");
+
+const dictation = (text, extra = {}) => ({ text, time: "9:05 AM", app: "Notes", words: text.split(" ").length, ...extra });
+
+const STREAKS = {
+  minWords: 1000,
+  daily: { current: { length: 4, start: "2026-02-02", end: "2026-02-05" }, longest: { length: 9 } },
+  goal: { current: { length: 1 } },
+  weekdays: { current: { length: 6 } },
+};
+
+// A daily card with two dictations at 9 AM and one at 2 PM
+const CARD = {
+  totalDictations: 3,
+  hourMap: { 9: 2, 14: 1 },
+  peakHour: ["9", 2],
+  quote: { text: "Ship the pricing page on Friday.", time: "9:05 AM", app: "Notes", words: 6 },
+  streaks: STREAKS,
+};
+
+// --- Availability ---
+
+test("templateUnavailable and shareTemplates: only templates with something to show", () => {
+  assert.deepEqual(shareTemplates(CARD), ["summary", "heatmap", "quote", "streak"]);
+  assert.deepEqual(shareTemplates({ ...CARD, quote: null, streaks: null }), ["summary", "heatmap"]);
+  assert.deepEqual(shareTemplates({ totalDictations: 0, hourMap: {}, streaks: { daily: { current: null } } }), ["summary"]);
+  assert.match(templateUnavailable({ ...CARD, quote: null }, "quote"), /^no transcript to quote/);
+  assert.equal(templateUnavailable(CARD, "poster"), "unknown template (use summary, heatmap, quote, streak)");
+});
+
+// --- Quotes ---
+
+test("topQuote: the wordiest dictation that fits, else the wordiest one cut", () => {
+  const long = `${"word ".repeat(50)}end`;
+  assert.deepEqual(topQuote([dictation("Sounds good."), dictation("Ship the pricing page on Friday."), dictation("Ship  it\nnow, please team.")]), {
+    text: "Ship the pricing page on Friday.",
+    time: "9:05 AM",
+    app: "Notes",
+    words: 6,
+  });
+  assert.equal(topQuote([dictation("Ship it now please."), dictation(long)]).text, "Ship it now please.");
+  const cut = topQuote([dictation(long)]).text;
+  assert.ok(cut.length <= 181 && cut.endsWith("word…"), cut);
+});
+
+test("topQuote: none from short, hidden or keyword-only transcripts", () => {
+  const dictations = [dictation("Ship the pricing page on Friday.")];
+  assert.equal(topQuote([dictation("Sounds good."), dictation("", { words: 4 })]), null);
+  assert.equal(topQuote(dictations, "keywords"), null);
+  assert.equal(topQuote(dictations, "hide"), null);
+  assert.equal(topQuote(null), null);
+  assert.equal(topQuote(dictations, "mask").text, "Ship the pricing page on Friday.");
+});
+
+// --- Content ---
+
+test("templateContent: heatmap cells for every hour with the peak in the caption", () => {
+  const { cells, max, caption } = templateContent(CARD, "heatmap");
+  assert.equal(cells.length, 24);
+  assert.deepEqual(cells[9], { hour: 9, label: "9 AM", count: 2 });
+  assert.equal(max, 2);
+  assert.deepEqual(caption, [["Peak hour "], ["9 AM", true], [" · "], ["3", true], [" dictations"]]);
+  assert.equal(templateContent({ ...CARD, hourMap: {}, peakHour: null, totalDictations: 1 }, "heatmap").max, 1);
+});
+
+test("templateContent: the quote in curly quotes, streak lengths and summary's none", () => {
+  assert.deepEqual(templateContent(CARD, "quote"), {
+    text: "“Ship the pricing page on Friday.”",
+    caption: [["9:05 AM", true], [" · Notes · 6 words"]],
+  });
+  assert.deepEqual(templateContent(CARD, "streak"), {
+    hero: "4 days",
+    caption: [["in a row, since "], ["Feb 2", true]],
+    stats: [
+      { value: "9 days", label: "Best Streak" },
+      { value: "1 day", label: "1,000+ Word Days" },
+      { value: "6 weekdays", label: "Weekday Streak" },
+    ],
+  });
+  assert.equal(templateContent(CARD, "summary"), null);
+});
+
+// --- File names ---
+
+test("shareImageName: non-default templates and formats go before the extension", () => {
+  assert.equal(shareImageName("wispr-recap-2026-02-05.png"), "wispr-recap-2026-02-05.png");
+  assert.equal(shareImageName("wispr-recap-2026-02-05.png", { template: "quote", format: "story" }), "wispr-recap-2026-02-05-quote-story.png");
+  assert.equal(shareImageName("wispr-recap-2026-02-05.png", { format: "square" }), "wispr-recap-2026-02-05-square.png");
+  assert.equal(shareImageName("wispr-recap", { template: "heatmap" }), "wispr-recap-heatmap");
+});
@@ -0,0 +1,113 @@
+// Websites: hostnames and labels for browser URLs, the config's "sites",
+// and how sites are ranked under their browser and alongside other apps.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { BUILTIN_SITES, siteSettings, setSiteLabels, isBrowser, siteHost, siteName, siteRows, appsAndSites } = require("../lib/sites");
+const { appBreakdown } = require("../lib/aggregate");
+const { queryHistory } = require("../lib/db");
+
+test.afterEach(() => setSiteLabels());
+
+// --- Hosts and labels ---
+
+test("siteHost: the lowercase hostname without www., null without one", () => {
+  assert.equal(siteHost("https://www.GitHub.com/pulls?q=1"), "github.com");
+  assert.equal(siteHost("http://localhost:3000/"), "localhost");
+  assert.equal(siteHost("about:blank"), null);
+  assert.equal(siteHost("file:///Users/me/notes.txt"), null);
+  assert.equal(siteHost("not a url"), null);
+  assert.equal(siteHost(null), null);
+});
+
+test("siteName: built-in labels cover subdomains, the longest match wins", () => {
+  assert.equal(siteName("https://mail.google.com/mail/u/0/"), "Gmail");
+  assert.equal(siteName("https://gist.github.com/me"), "GitHub");
+  assert.equal(siteName("https://acme.notion.so/Roadmap"), "Notion");
+  assert.equal(siteName("https://google.com/search"), "google.com");
+  assert.equal(siteName("https://notgithub.com/"), "notgithub.com");
+  assert.equal(siteName(""), null);
+});
+
+const config = (sites) => ({ path: "/tmp/config.json", settings: sites === undefined ? {} : { sites } });
+
+test("siteSettings: the config's labels over the built-ins", () => {
+  assert.equal(siteSettings(null), BUILTIN_SITES);
+  assert.equal(siteSettings(config()), BUILTIN_SITES);
+  const labels = siteSettings(config({ "Jira.Acme.com": " Jira ", "github.com": "Code" }));
+  assert.equal(labels["jira.acme.com"], "Jira");
+  setSiteLabels(labels);
+  assert.equal(siteName("https://jira.acme.com/browse/X-1"), "Jira");
+  assert.equal(siteName("https://github.com/"), "Code");
+  assert.equal(siteName("https://mail.google.com/"), "Gmail");
+});
+
+test("siteSettings: bad entries are errors", () => {
+  assert.throws(() => siteSettings(config(["github.com"])), /"sites" in \/tmp\/config.json must be an object of hostname → label/);
+  assert.throws(() => siteSettings(config({ "https://github.com": "GitHub" })), /"sites" entry https:\/\/github.com .*must be a hostname like mail.google.com/);
+  assert.throws(() => siteSettings(config({ "github.com": " " })), /label must be a non-empty string/);
+});
+
+test("isBrowser: apps the registry files under Browser", () => {
+  assert.equal(isBrowser("com.google.Chrome"), true);
+  assert.equal(isBrowser("com.apple.Safari"), true);
+  assert.equal(isBrowser("com.tinyspeck.slackmacgap"), false);
+  assert.equal(isBrowser("com.example.Unknown"), false);
+});
+
+// --- Breakdowns ---
+
+// Chrome on Gmail (3), GitHub (1) and a tab without a URL; Safari on Gmail;
+// the Slack app and Slack in a browser
+function apps() {
+  const at = (app, url, numWords = 10) => ({ timestamp: "2026-02-05 18:00:00.000 +00:00", app, url, numWords });
+  const db = historyDb([
+    at("com.google.Chrome", "https://mail.google.com/mail/u/0/"),
+    at("com.google.Chrome", "https://mail.google.com/mail/u/1/"),
+    at("com.google.Chrome", "https://mail.google.com/"),
+    at("com.google.Chrome", "https://github.com/pulls", 40),
+    at("com.google.Chrome", null),
+    at("com.apple.Safari", "https://mail.google.com/"),
+    at("com.apple.Safari", "https://app.slack.com/client"),
+    at("com.tinyspeck.slackmacgap", null),
+  ]);
+  const rows = queryHistory(db, { start: "2026-02-05", end: "2026-02-05", tz: "America/Los_Angeles" });
+  db.close();
+  return appBreakdown(rows);
+}
+
+test("appBreakdown: browsers list their sites, native apps don't", () => {
+  const byName = Object.fromEntries(apps());
+  assert.deepEqual(byName.Chrome.sites, [
+    ["Gmail", { count: 3, words: 30 }],
+    ["GitHub", { count: 1, words: 40 }],
+  ]);
+  assert.equal(byName.Chrome.count, 5);
+  assert.equal(byName.Slack.sites, undefined);
+});
+
+test("siteRows: the top sites, then Other for the rest of the browser", () => {
+  const chrome = Object.fromEntries(apps()).Chrome;
+  assert.deepEqual(siteRows(chrome), [
+    ["Gmail", { count: 3, words: 30 }],
+    ["GitHub", { count: 1, words: 40 }],
+    ["Other", { count: 1, words: 10 }],
+  ]);
+  assert.deepEqual(siteRows(chrome, 1), [
+    ["Gmail", { count: 3, words: 30 }],
+    ["Other", { count: 2, words: 50 }],
+  ]);
+});
+
+test("appsAndSites: sites merge across browsers and share a same-named app's entry", () => {
+  assert.deepEqual(
+    appsAndSites(apps()).map(([name, s]) => [name, s.count, s.words, s.bundleId]),
+    [
+      ["Gmail", 4, 40, null],
+      ["Slack", 2, 20, "com.tinyspeck.slackmacgap"],
+      ["GitHub", 1, 40, null],
+      ["Chrome", 1, 10, "com.google.Chrome"],
+    ]
+  );
+});
@@ -0,0 +1,109 @@
+// Streaks: the days read from the whole history, the three kinds of streak
+// and the grace for today, the words threshold and the labels.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { historyDb } = require("./fixtures");
+const { streakMinWords, historyDays, computeStreaks, loadStreaks, streakLength, streakSummary, streakBadge } = require("../lib/streaks");
+
+const TZ = "America/Los_Angeles";
+
+// 10 AM in Los Angeles on the given date
+const on = (date, numWords, extra = {}) => ({ timestamp: `${date} 18:00:00.000 +00:00`, numWords, ...extra });
+
+// Thu–Fri, an empty weekend, then Mon–Thu with a light Wednesday; the
+// archived dictation before them doesn't start the history
+const DICTATIONS = [
+  on("2026-01-20", 500, { isArchived: 1 }),
+  on("2026-01-29", 50),
+  on("2026-01-30", 150),
+  on("2026-02-02", 150),
+  on("2026-02-03", 150),
+  on("2026-02-04", 50, { app: "com.tinyspeck.slackmacgap" }),
+  on("2026-02-05", 150),
+];
+
+// What loadConfig returns when there is no config file
+const NO_CONFIG = { path: null, settings: {} };
+
+const span = (s) => s && [s.length, s.start, s.end];
+
+// --- History ---
+
+test("historyDays: every day from the first dictation, empty ones included", () => {
+  const db = historyDb(DICTATIONS);
+  const days = historyDays(db, { end: "2026-02-05", tz: TZ });
+  assert.deepEqual(historyDays(db, { end: "2026-01-28", tz: TZ }), []);
+  db.close();
+  assert.deepEqual(
+    days.map((d) => [d.date, d.dayOfWeek, d.count, d.words]),
+    [
+      ["2026-01-29", 4, 1, 50],
+      ["2026-01-30", 5, 1, 150],
+      ["2026-01-31", 6, 0, 0],
+      ["2026-02-01", 0, 0, 0],
+      ["2026-02-02", 1, 1, 150],
+      ["2026-02-03", 2, 1, 150],
+      ["2026-02-04", 3, 1, 50],
+      ["2026-02-05", 4, 1, 150],
+    ]
+  );
+});
+
+// --- Streaks ---
+
+test("loadStreaks: daily, goal and weekday streaks as of the report's end", () => {
+  const db = historyDb(DICTATIONS);
+  const streaks = loadStreaks(db, { end: "2026-02-05", tz: TZ, config: NO_CONFIG });
+  db.close();
+  assert.equal(streaks.asOf, "2026-02-05");
+  assert.equal(streaks.minWords, 100);
+  assert.deepEqual(span(streaks.daily.current), [4, "2026-02-02", "2026-02-05"]);
+  assert.deepEqual(span(streaks.daily.longest), [4, "2026-02-02", "2026-02-05"]);
+  assert.deepEqual(span(streaks.goal.current), [1, "2026-02-05", "2026-02-05"]);
+  assert.deepEqual(span(streaks.goal.longest), [2, "2026-02-02", "2026-02-03"]);
+  assert.deepEqual(span(streaks.weekdays.current), [6, "2026-01-29", "2026-02-05"]);
+});
+
+test("loadStreaks: only the apps the report is filtered to count", () => {
+  const db = historyDb(DICTATIONS);
+  const streaks = loadStreaks(db, { end: "2026-02-05", tz: TZ, config: NO_CONFIG, filters: { apps: [], excludeApps: ["Slack"] } });
+  db.close();
+  assert.deepEqual(span(streaks.daily.current), [1, "2026-02-05", "2026-02-05"]);
+  assert.deepEqual(span(streaks.daily.longest), [2, "2026-01-29", "2026-01-30"]);
+});
+
+test("computeStreaks: a streak through yesterday is still current today", () => {
+  const db = historyDb(DICTATIONS);
+  const days = historyDays(db, { end: "2026-02-06", tz: TZ });
+  db.close();
+  const options = { asOf: "2026-02-06", minWords: 100 };
+  assert.deepEqual(span(computeStreaks(days, { ...options, isToday: true }).daily.current), [4, "2026-02-02", "2026-02-05"]);
+  assert.equal(computeStreaks(days, { ...options, isToday: false }).daily.current, null);
+});
+
+// --- Settings ---
+
+const config = (settings) => ({ path: "/tmp/config.json", settings });
+
+test("streakMinWords: the streaks setting, else the daily words goal, else 100", () => {
+  assert.equal(streakMinWords(NO_CONFIG), 100);
+  assert.equal(streakMinWords(config({ goals: { wordsPerDay: 2500.5 } })), 2501);
+  assert.equal(streakMinWords(config({ streaks: { minWords: 500 }, goals: { wordsPerDay: 2500 } })), 500);
+  assert.throws(() => streakMinWords(config({ streaks: { minWords: 0 } })), /"streaks.minWords" in \/tmp\/config.json must be a positive whole number/);
+  assert.throws(() => streakMinWords(config({ streaks: { minWords: "500" } })), /"streaks.minWords"/);
+});
+
+// --- Labels ---
+
+test("streakSummary and streakBadge", () => {
+  const db = historyDb(DICTATIONS);
+  const streaks = loadStreaks(db, { end: "2026-02-05", tz: TZ, config: NO_CONFIG });
+  db.close();
+  assert.equal(streakLength(null), "0 days");
+  assert.equal(streakLength({ length: 1 }, "weekday"), "1 weekday");
+  assert.equal(streakSummary(streaks), "4 days (best 4 days) · 100+ words: 1 day (best 2 days) · Weekdays: 6 weekdays (best 6 weekdays)");
+  assert.equal(streakBadge(streaks), "4-day streak");
+  assert.equal(streakBadge({ daily: { current: { length: 1 } } }), null);
+  assert.equal(streakBadge(null), null);
+});
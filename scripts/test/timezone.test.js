@@ -0,0 +1,122 @@
+// Day boundaries across DST changes: startOfDay, zonedParts, and how
+// iterateHistory buckets rows into local days.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const { startOfDay, zonedParts } = require("../lib/timezone");
+const { iterateHistory, HISTORY_COLUMNS } = require("../lib/db");
+
+const iso = (dateStr, tz) => startOfDay(dateStr, tz).toISOString();
+const hours = (from, to, tz) => (startOfDay(to, tz) - startOfDay(from, tz)) / 3600000;
+
+// --- startOfDay ---
+
+test("startOfDay: Los Angeles spring forward is a 23-hour day", () => {
+  assert.equal(iso("2026-03-08", "America/Los_Angeles"), "2026-03-08T08:00:00.000Z");
+  assert.equal(iso("2026-03-09", "America/Los_Angeles"), "2026-03-09T07:00:00.000Z");
+  assert.equal(hours("2026-03-08", "2026-03-09", "America/Los_Angeles"), 23);
+});
+
+test("startOfDay: Los Angeles fall back is a 25-hour day", () => {
+  assert.equal(iso("2026-11-01", "America/Los_Angeles"), "2026-11-01T07:00:00.000Z");
+  assert.equal(iso("2026-11-02", "America/Los_Angeles"), "2026-11-02T08:00:00.000Z");
+  assert.equal(hours("2026-11-01", "2026-11-02", "America/Los_Angeles"), 25);
+});
+
+test("startOfDay: London spring forward at 1 AM", () => {
+  assert.equal(iso("2026-03-29", "Europe/London"), "2026-03-29T00:00:00.000Z");
+  assert.equal(iso("2026-03-30", "Europe/London"), "2026-03-29T23:00:00.000Z");
+  assert.equal(hours("2026-03-29", "2026-03-30", "Europe/London"), 23);
+});
+
+test("startOfDay: Santiago skips midnight, so the day starts at 1 AM", () => {
+  assert.equal(iso("2026-09-06", "America/Santiago"), "2026-09-06T04:00:00.000Z");
+  assert.deepEqual(zonedParts(startOfDay("2026-09-06", "America/Santiago"), "America/Santiago"), {
+    date: "2026-09-06",
+    hour: 1,
+    minute: 0,
+    second: 0,
+  });
+  assert.equal(hours("2026-09-06", "2026-09-07", "America/Santiago"), 23);
+});
+
+test("startOfDay: a day Apia skipped is empty and starts with the next one", () => {
+  assert.equal(iso("2011-12-29", "Pacific/Apia"), "2011-12-29T10:00:00.000Z");
+  assert.equal(iso("2011-12-30", "Pacific/Apia"), "2011-12-30T10:00:00.000Z");
+  assert.equal(iso("2011-12-30", "Pacific/Apia"), iso("2011-12-31", "Pacific/Apia"));
+});
+
+// --- zonedParts ---
+
+test("zonedParts: the repeated hour at fall back maps to the same wall clock", () => {
+  const first = zonedParts("2026-11-01 08:30:00.000 +00:00", "America/Los_Angeles");
+  const second = zonedParts("2026-11-01 09:30:00.000 +00:00", "America/Los_Angeles");
+  assert.deepEqual(first, { date: "2026-11-01", hour: 1, minute: 30, second: 0 });
+  assert.deepEqual(second, first);
+});
+
+test("zonedParts: the hour after the spring-forward gap", () => {
+  assert.deepEqual(zonedParts("2026-03-08T10:00:00Z", "America/Los_Angeles"), { date: "2026-03-08", hour: 3, minute: 0, second: 0 });
+  assert.deepEqual(zonedParts("2026-03-29T01:00:00Z", "Europe/London"), { date: "2026-03-29", hour: 2, minute: 0, second: 0 });
+});
+
+test("zonedParts: Apia goes straight from December 29 to December 31", () => {
+  assert.equal(zonedParts("2011-12-30T09:59:00Z", "Pacific/Apia").date, "2011-12-29");
+  assert.equal(zonedParts("2011-12-30T10:00:00Z", "Pacific/Apia").date, "2011-12-31");
+});
+
+test("zonedParts: timestamps without an offset are UTC", () => {
+  assert.deepEqual(zonedParts("2026-02-06 06:30:00", "America/Los_Angeles"), { date: "2026-02-05", hour: 22, minute: 30, second: 0 });
+});
+
+// --- iterateHistory ---
+
+// In-memory History table holding one dictation per timestamp
+function historyDb(timestamps) {
+  const db = new Database(":memory:");
+  db.exec(`CREATE TABLE History (${HISTORY_COLUMNS.join(", ")}, isArchived INTEGER DEFAULT 0)`);
+  const insert = db.prepare("INSERT INTO History (transcriptEntityId, formattedText, timestamp, app, numWords, duration) VALUES (?, 'hello there', ?, 'com.apple.Notes', 2, 1)");
+  timestamps.forEach((ts, i) => insert.run(`t${i}`, ts));
+  return db;
+}
+
+const localDays = (db, options) => [...iterateHistory(db, options)].map((r) => `${r.localDate} ${r.localHour}`);
+
+test("iterateHistory: a late-evening row lands on its local day, not the UTC day", () => {
+  const db = historyDb(["2026-02-06 06:30:00.000 +00:00", "2026-02-06 08:30:00.000 +00:00"]);
+  const tz = "America/Los_Angeles";
+  assert.deepEqual(localDays(db, { start: "2026-02-05", end: "2026-02-05", tz }), ["2026-02-05 22"]);
+  assert.deepEqual(localDays(db, { start: "2026-02-06", end: "2026-02-06", tz }), ["2026-02-06 0"]);
+  db.close();
+});
+
+test("iterateHistory: Los Angeles DST days take their 23 and 25 hours", () => {
+  const tz = "America/Los_Angeles";
+  const db = historyDb([
+    "2026-03-08 07:59:00.000 +00:00", // 11:59 PM on the 7th (PST)
+    "2026-03-08 08:00:00.000 +00:00", // midnight on the 8th
+    "2026-03-09 06:59:00.000 +00:00", // 11:59 PM on the 8th (PDT)
+    "2026-11-02 07:30:00.000 +00:00", // 11:30 PM on Nov 1 (PST)
+    "2026-11-02 08:00:00.000 +00:00", // midnight on Nov 2
+  ]);
+  assert.deepEqual(localDays(db, { start: "2026-03-08", end: "2026-03-08", tz }), ["2026-03-08 0", "2026-03-08 23"]);
+  assert.deepEqual(localDays(db, { start: "2026-11-01", end: "2026-11-01", tz }), ["2026-11-01 23"]);
+  db.close();
+});
+
+test("iterateHistory: London and Santiago days around their changes", () => {
+  const db = historyDb(["2026-03-29 00:30:00.000 +00:00", "2026-03-29 23:30:00.000 +00:00", "2026-09-06 03:30:00.000 +00:00", "2026-09-06 04:30:00.000 +00:00"]);
+  assert.deepEqual(localDays(db, { start: "2026-03-29", end: "2026-03-29", tz: "Europe/London" }), ["2026-03-29 0"]);
+  assert.deepEqual(localDays(db, { start: "2026-09-05", end: "2026-09-05", tz: "America/Santiago" }), ["2026-09-05 23"]);
+  assert.deepEqual(localDays(db, { start: "2026-09-06", end: "2026-09-06", tz: "America/Santiago" }), ["2026-09-06 1"]);
+  db.close();
+});
+
+test("iterateHistory: a skipped day has no rows", () => {
+  const db = historyDb(["2011-12-30 09:30:00.000 +00:00", "2011-12-30 10:30:00.000 +00:00"]);
+  const tz = "Pacific/Apia";
+  assert.deepEqual(localDays(db, { start: "2011-12-30", end: "2011-12-30", tz }), []);
+  assert.deepEqual(localDays(db, { start: "2011-12-29", end: "2011-12-31", tz }), ["2011-12-29 23", "2011-12-31 0"]);
+  db.close();
+});
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const { parseArgs, configOrExit, timeZoneOrExit, appFiltersOrExit, fail, openDatabaseOrExit, htmlOptionsOrExit, reportPath } = require("./lib/cli");
+const { queryHistory, renderJSON, today, getYearRange, buildYearlyRecap, renderYearlyCLI, renderYearlyHTML } = require("./lib");
+
+// --- Config ---
+const { flags } = parseArgs(process.argv.slice(2));
+const config = configOrExit(flags);
+const tz = timeZoneOrExit(flags.tz, config);
+const filters = appFiltersOrExit(flags);
+
+const targetYear = flags.year || today(tz).slice(0, 4);
+if (!/^\d{4}$/.test(targetYear)) fail("--year must be a year in YYYY format");
+const yearRange = getYearRange(targetYear);
+
+// --- Query ---
+const db = openDatabaseOrExit(flags, config);
+const rows = queryHistory(db, { ...yearRange, tz, filters });
+db.close();
+
+if (rows.length === 0 && !flags.json) {
+  console.log(`No Wispr Flow dictations found for ${yearRange.label}.`);
+  process.exit(0);
+}
+
+// --- Output ---
+const data = buildYearlyRecap(rows, { yearRange, tz, filters });
+
+if (flags.json) {
+  console.log(renderJSON(data));
+} else if (flags.html) {
+  const outPath = reportPath(`wispr-yearly-${yearRange.label}.html`);
+  fs.writeFileSync(outPath, renderYearlyHTML(data, htmlOptionsOrExit(flags)));
+  console.log(`Yearly HTML recap saved to: ${outPath}`);
+} else {
+  console.log(renderYearlyCLI(data));
+}